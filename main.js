@@ -1,4 +1,11 @@
 // Advanced EEG Sleep Monitor - Fixed and Fully Functional
+import Papa from 'papaparse';
+import fftjs from 'fft-js';
+import {
+    addSeconds, differenceInMinutes, endOfDay, format, isWithinInterval, parseISO,
+    startOfDay, startOfMonth, startOfWeek, subDays, subHours
+} from 'date-fns';
+
 class AdvancedEEGSleepMonitor {
     constructor() {
         this.data = null;
@@ -7,14 +14,299 @@ class AdvancedEEGSleepMonitor {
         this.maxTime = 1000;
         this.activeBand = 'all';
         this.currentTab = 'home';
-        this.playSpeed = 1.0;
+        this.playSpeed = 1.0; // recording seconds per wall-clock second
+        this.playMode = 'continuous'; // or 'epoch': jump one scoring epoch every epochInterval seconds
+        this.epochInterval = 1;
         this.userName = 'Guest';
         this.userAvatar = '👤';
         this.isInitialized = false;
+        this.isImporting = false;
+        this.isSimulating = false;
+        this.eventSerial = 0; // makes event ids unique within the session
+        this.preprocessing = null; // recording whose notch filtering and artifact screening is still running
+        this.filterCache = new Map();
+        this.spectralCache = new Map();
+        this.spectralChannel = null;
+        this.lastLinkedViewUpdate = 0;
+        this.linkedViewTimer = null;
+        this.epochLength = 30; // seconds, standard scoring epoch
+        
+        // Event detector thresholds; amplitudes in µV, durations in seconds
+        this.eventDetection = {
+            channels: null, // null = central staging channel
+            spindle: { band: [11, 16], minDuration: 0.5, maxDuration: 2, threshold: 2.5, boundary: 1.5, stages: ['N2', 'N3'] },
+            kComplex: { band: [0.5, 2], minAmplitude: 75, minNegativePeak: 40, minDuration: 0.5, maxDuration: 1.5, stages: ['N2'] },
+            slowOscillation: { band: [0.16, 1.25], minAmplitude: 75, minNegativePeak: 40, minNegativeDuration: 0.3, maxNegativeDuration: 1.5, stages: ['N2', 'N3'] },
+            arousal: { band: [8, 30], minDuration: 3, baseline: 10, threshold: 2.5, stages: ['N1', 'N2', 'N3', 'REM'] }
+        };
+        // Artifact screening per window and channel; amplitudes in µV
+        this.artifactDetection = {
+            notch: 'auto', // 'auto', 50, 60 or null
+            windowLength: 5,
+            maxAmplitude: 500,
+            minStd: 0.5,
+            kurtosisZ: 6,
+            minKurtosis: 10, // Gaussian noise sits at 3, K-complexes around 7
+            highFrequencyBand: [30, 45],
+            highFrequencyZ: 6,
+            highFrequencyRatio: 2,
+            badChannelFraction: 0.5,
+            epochRejectFraction: 0.5,
+            refreshDelay: 800 // ms; a burst of accept/reject toggles re-stages once
+        };
+        this.artifactMaskCache = new Map();
+        this.artifactRefreshTimer = null;
+        this.focusedChannel = null;
+        // Reading view: shown channels and their order (null = recording order), sensitivity and page length
+        this.viewer = {
+            channels: null,
+            order: null, // picker order of every channel, shown or not
+            gain: 7, // µV/mm
+            gainOptions: [1, 2, 3, 5, 7, 10, 15, 20, 30, 50, 70, 100],
+            pageLength: 30, // seconds
+            pageOptions: [10, 15, 30],
+            laneHeight: 38, // px, roughly 10 mm on a 96 dpi screen
+            laneMillimetres: 10,
+            maxPointsPerTrace: 2000,
+            pageKey: null
+        };
+        // Montages re-derive every displayed and analysed trace from the recorded channels
+        this.montages = {
+            referential: { name: 'Referential (as recorded)', type: 'referential' },
+            average: { name: 'Common average', type: 'average' },
+            'linked-mastoid': { name: 'Linked mastoids', type: 'linked-mastoid' },
+            'double-banana': {
+                name: 'Bipolar longitudinal (double banana)',
+                type: 'bipolar',
+                derivations: [
+                    'Fp1-F7', 'F7-T3', 'T3-T5', 'T5-O1',
+                    'Fp2-F8', 'F8-T4', 'T4-T6', 'T6-O2',
+                    'Fp1-F3', 'F3-C3', 'C3-P3', 'P3-O1',
+                    'Fp2-F4', 'F4-C4', 'C4-P4', 'P4-O2',
+                    'Fz-Cz', 'Cz-Pz'
+                ]
+            },
+            transverse: {
+                name: 'Bipolar transverse',
+                type: 'bipolar',
+                derivations: [
+                    'F7-Fp1', 'Fp1-Fp2', 'Fp2-F8',
+                    'F7-F3', 'F3-Fz', 'Fz-F4', 'F4-F8',
+                    'T3-C3', 'C3-Cz', 'Cz-C4', 'C4-T4',
+                    'T5-P3', 'P3-Pz', 'Pz-P4', 'P4-T6',
+                    'O1-O2'
+                ]
+            }
+        };
+        this.montagePresetKey = 'eegMontagePresets';
+        this.loadMontagePresets();
+        this.activeMontage = 'referential';
+        
+        // Imported nights persist in IndexedDB: raw signals, derived results and the library entry
+        // (summary plus user state) live in separate stores so the library list stays cheap to load
+        this.storage = {
+            name: 'eeg-sleep-monitor',
+            version: 1,
+            lastRecordingKey: 'eegLastRecording',
+            saveDelay: 2000
+        };
+        this.dbPromise = null;
+        this.saveTimer = null;
+        this.libraryEntries = [];
+        
+        // Multi-night trends across the library
+        // minSpread keeps a very regular baseline from flagging trivial changes
+        this.trendMetrics = {
+            totalSleepTime: { label: 'Total sleep', unit: 'h', digits: 1, minSpread: 0.25 },
+            sleepEfficiency: { label: 'Efficiency', unit: '%', digits: 0, minSpread: 2 },
+            n3Percent: { label: 'N3', unit: '% TST', digits: 0, minSpread: 2 },
+            remPercent: { label: 'REM', unit: '% TST', digits: 0, minSpread: 2 },
+            spindleDensity: { label: 'Spindles', unit: '/min N2', digits: 2, minSpread: 0.1 },
+            score: { label: 'Sleep score', unit: '', digits: 0, minSpread: 3 },
+            onsetTime: { label: 'Sleep onset', unit: '', digits: 0, minSpread: 0.25 }
+        };
+        this.trendSettings = {
+            rollup: 'night', // 'night' | 'week' | 'month'
+            range: 'all', // 'all', a number of days, or 'custom' with from/to as yyyy-mm-dd
+            from: null,
+            to: null,
+            baselineNights: 14, // flags compare each night with up to this many nights before it
+            minBaselineNights: 5,
+            deviationZ: 2.5 // robust z-score (median/MAD) that counts as a strong deviation
+        };
+        this.topoMeasure = 'alpha';
+        this.topoKey = null;
+        // Sleep score: component weights (points out of 100) and the ranges each is scored against
+        this.sleepScoring = {
+            weights: {
+                efficiency: 25,
+                continuity: 20,
+                deepSleep: 15,
+                remSleep: 15,
+                arousals: 15,
+                cycles: 10
+            },
+            ranges: {
+                efficiency: [70, 90], // % of time in bed
+                waso: [20, 90], // minutes
+                awakeningIndex: [2, 10], // per hour of sleep
+                deepSleep: [0, 15, 25, 40], // % of sleep: rising, full, full, falling
+                remSleep: [0, 20, 25, 40],
+                arousalIndex: [10, 30], // per hour of sleep
+                cycleCV: [0.1, 0.5],
+                cycleLength: 90 // minutes
+            }
+        };
+        this.sleepScoreWeightKey = 'eegSleepScoreWeights';
+        this.loadSleepScoreWeights();
+        this.remDetection = {
+            mergeGap: 15 * 60, // REM epochs closer than this belong to one episode
+            eyeMovement: { band: [0.5, 5], threshold: 4, minAmplitude: 20, maxRiseTime: 0.5, refractory: 0.3 }
+        };
+        this.eventTypes = {
+            'spindle': { label: 'Sleep spindle', description: 'Sleep spindles are brief bursts of oscillatory brain activity visible on EEG, typically 11-16 Hz and lasting 0.5-2 seconds.' },
+            'k-complex': { label: 'K-complex', description: 'A well-delineated negative sharp wave immediately followed by a positive component, standing out from the background EEG.' },
+            'slow-oscillation': { label: 'Slow oscillation', description: 'Large cortical up/down state alternation below 1.25 Hz that dominates deep NREM sleep.' },
+            'arousal': { label: 'Arousal', description: 'Abrupt shift to alpha, theta or faster activity lasting at least 3 seconds after stable sleep.' },
+            'annotation': { label: 'Annotation', description: 'Annotation imported with the recording.' },
+            'artifact': { label: 'Artifact', description: 'Segment a scorer marked as contaminated; it is excluded from analysis like a rejected artifact.' },
+            'note': { label: 'Note', description: 'Free-text note added by a scorer.' }
+        };
+        // Types a scorer can draw on the EEG plot
+        this.manualEventTypes = ['arousal', 'artifact', 'spindle', 'note'];
+        // Scoring hotkeys; the epoch under the playhead gets the stage and the playhead moves on
+        this.stageHotkeys = { w: 'W', 1: 'N1', 2: 'N2', 3: 'N3', r: 'REM' };
+        this.scoringAutoAdvance = true;
+        
+        // Closed-loop auditory stimulation, simulated on replayed recordings through the playback loop
+        this.stimulation = {
+            enabled: false,
+            channel: null, // defaults to the central staging channel
+            band: [0.5, 2], // slow-oscillation band tracked by the causal filter, Hz
+            targetPhase: 0, // degrees; 0 is the up-state peak, ±180 the down-state trough
+            minAmplitude: 30, // µV envelope of the filtered slow oscillation
+            stages: ['N2', 'N3'],
+            refractory: 2.5, // seconds between clicks
+            blockOn: 6, // alternating stimulation and sham windows, seconds
+            blockOff: 6,
+            arousalPause: 10, // seconds without clicks after an arousal ends
+            warmup: 5, // seconds of signal that settle the filter after a seek
+            audio: true,
+            volume: 0.3,
+            clickDuration: 0.05,
+            maxAudioSpeed: 2 // faster replays mark stimuli without playing them
+        };
+        this.stimulationPhases = [
+            { value: 0, label: 'Up-state peak (0°)' },
+            { value: -45, label: 'Rising, before peak (−45°)' },
+            { value: -90, label: 'Rising zero crossing (−90°)' },
+            { value: 90, label: 'Falling zero crossing (90°)' },
+            { value: 180, label: 'Down-state trough (180°)' }
+        ];
+        this.stimulationTracker = null;
+        this.audioContext = null;
+        this.pinkNoiseBuffer = null;
+        
+        // Live acquisition over WebSocket; the ring buffer bounds memory on long sessions
+        this.liveConfig = {
+            url: 'ws://localhost:8765',
+            bufferSeconds: 600,
+            reconnectDelays: [1, 2, 5, 10, 30], // seconds
+            maxGap: 60, // longer outages restart the buffer instead of padding it
+            redrawInterval: 100 // ms
+        };
+        this.live = null;
+        this.editHistory = { undo: [], redo: [], limit: 200 };
+        
+        // Which two hypnograms the agreement report compares
+        this.scoringComparison = {
+            reference: 'manual',
+            candidate: 'auto',
+            hotspotMinEpochs: 2, // shorter runs of disagreement are not worth a reviewer's time
+            hotspotGap: 1 // a single agreeing epoch does not split a hotspot
+        };
+        this.annotationDraft = null;
         
         // EEG Configuration
         this.samplingRate = 200;
         this.channels = ['Fp1', 'Fp2', 'F3', 'F4', 'F7', 'F8', 'T3', 'T4', 'C3', 'C4', 'P3', 'P4', 'O1', 'O2'];
+        // Synthetic nights: a scenario drives the hypnogram, stage rhythms, events and artifacts
+        this.simulation = {
+            scenario: 'cycle',
+            samplingRate: 100,
+            rateOptions: [100, 128, 200, 256],
+            channelSet: 'full',
+            channels: null, // an explicit list overrides channelSet
+            seed: null // null = a new night every time
+        };
+        this.simulationChannelSets = {
+            full: { label: '10-20 + EOG + EMG', channels: [...this.channels, 'EOG-L', 'EOG-R', 'EMG'] },
+            eeg: { label: '10-20 EEG only', channels: [...this.channels] },
+            psg: { label: 'Minimal PSG (C3, C4, O1, O2, EOG, EMG)', channels: ['C3', 'C4', 'O1', 'O2', 'EOG-L', 'EOG-R', 'EMG'] }
+        };
+        this.simulationScenarios = {
+            cycle: { label: 'Single sleep cycle (1.5 h)', duration: 5400, latency: 6, n3Minutes: 25, remMinutes: 12, awakeningsPerHour: 1, arousalsPerHour: 8, artifactsPerHour: 4 },
+            night: { label: 'Healthy night (8 h)', duration: 28800, latency: 15, n3Minutes: 35, remMinutes: 10, awakeningsPerHour: 1, arousalsPerHour: 8, artifactsPerHour: 3 },
+            fragmented: { label: 'Fragmented night (8 h)', duration: 28800, latency: 35, n3Minutes: 15, remMinutes: 8, awakeningsPerHour: 5, arousalsPerHour: 25, artifactsPerHour: 6 }
+        };
+        // Rhythm and chin EMG amplitudes in µV RMS; event rates per minute of the stage
+        this.simulationStageProfiles = {
+            W: { rhythms: { delta: 6, theta: 5, alpha: 6, beta: 7 }, emg: 18, events: { 'alpha-burst': 5, blink: 12 } },
+            N1: { rhythms: { delta: 12, theta: 14, alpha: 4, beta: 4 }, emg: 10, events: { 'alpha-burst': 0.5, 'slow-eye-movement': 3 } },
+            N2: { rhythms: { delta: 22, theta: 10, alpha: 3, beta: 3 }, emg: 6, events: { spindle: 5, 'k-complex': 1.5, 'slow-oscillation': 1 } },
+            N3: { rhythms: { delta: 40, theta: 10, alpha: 2, beta: 2 }, emg: 5, events: { spindle: 2, 'slow-oscillation': 30 } },
+            REM: { rhythms: { delta: 10, theta: 14, alpha: 4, beta: 5 }, emg: 1.5, events: { 'eye-movement': 10 } }
+        };
+        // Background rhythms as narrowband noise, Hz, with where on the scalp each is strongest
+        this.simulationRhythms = {
+            delta: { frequency: 1.5, bandwidth: 2.5, focus: 'frontal' },
+            theta: { frequency: 6, bandwidth: 2.5, focus: 'central' },
+            alpha: { frequency: 10, bandwidth: 1.5, focus: 'occipital' },
+            beta: { frequency: 20, bandwidth: 10, focus: 'uniform' }
+        };
+        // Printable report layouts; a clinic imports its own as JSON on top of the standard one
+        this.reportTemplates = {
+            standard: {
+                name: 'Standard sleep study report',
+                title: 'Polysomnography Report',
+                clinic: { name: 'Sleep Laboratory', address: '', phone: '', email: '', logo: null },
+                pageSize: 'A4',
+                accentColor: '#553C9A',
+                // Section ids per printed page, in order
+                pages: [['patient', 'architecture', 'stagePie'], ['hypnogram', 'events', 'rem'], ['spectral', 'notes']],
+                footer: 'Automatic staging and event detection. Results must be reviewed by a qualified clinician.'
+            },
+            brief: {
+                name: 'One-page summary',
+                title: 'Sleep Study Summary',
+                clinic: { name: 'Sleep Laboratory', address: '', phone: '', email: '', logo: null },
+                pageSize: 'A4',
+                accentColor: '#553C9A',
+                pages: [['patient', 'architecture', 'hypnogram', 'notes']],
+                footer: 'Automatic staging and event detection. Results must be reviewed by a qualified clinician.'
+            }
+        };
+        this.reportSettings = { template: 'standard' };
+        this.reportPageSizes = { A4: [210, 297], Letter: [216, 279] }; // mm
+        this.reportTemplateKey = 'eegReportTemplates';
+        this.loadReportTemplates();
+        // Azimuthal projection of the 10-20 positions; the Fpz–T3–Oz circle has radius 1, nose up
+        this.electrodePositions = {
+            'Fp1': [-0.31, 0.95], 'Fp2': [0.31, 0.95], 'Fpz': [0, 1],
+            'F7': [-0.81, 0.59], 'F3': [-0.4, 0.5], 'Fz': [0, 0.5], 'F4': [0.4, 0.5], 'F8': [0.81, 0.59],
+            'T3': [-1, 0], 'C3': [-0.5, 0], 'Cz': [0, 0], 'C4': [0.5, 0], 'T4': [1, 0],
+            'T5': [-0.81, -0.59], 'P3': [-0.4, -0.5], 'Pz': [0, -0.5], 'P4': [0.4, -0.5], 'T6': [0.81, -0.59],
+            'O1': [-0.31, -0.95], 'Oz': [0, -1], 'O2': [0.31, -0.95]
+        };
+        // Channel label prefix to region; midline and odd/even numbering give the hemisphere
+        this.brainRegions = {
+            frontal: { label: 'Frontal', prefixes: ['Fp', 'F'] },
+            temporal: { label: 'Temporal', prefixes: ['T'] },
+            parietal: { label: 'Parietal', prefixes: ['C', 'P'] },
+            occipital: { label: 'Occipital', prefixes: ['O'] }
+        };
+        // Upper RMS bound (µV, 0.5-30 Hz) for each activity level
+        this.activityLevels = [[10, 'Very Low'], [20, 'Low'], [40, 'Moderate'], [80, 'High'], [Infinity, 'Very High']];
         this.frequencyBands = {
             delta: [0.5, 4],
             theta: [4, 8],
@@ -25,29 +317,39 @@ class AdvancedEEGSleepMonitor {
         
         // Sleep stages configuration
         this.sleepStages = {
-            'N1': { name: 'NREM Stage 1', color: '#E6F3FF', icon: 'fas fa-eye-slash' },
-            'N2': { name: 'NREM Stage 2', color: '#D4DDFF', icon: 'fas fa-moon' },
-            'N3': { name: 'NREM Stage 3', color: '#C2E0FF', icon: 'fas fa-bed' },
-            'REM': { name: 'REM Sleep', color: '#FFE6F0', icon: 'fas fa-cloud' }
+            'W': { name: 'Wake', color: '#FFF8DC', icon: 'fas fa-sun', description: 'Awake, alpha rhythm and eye blinks' },
+            'N1': { name: 'NREM Stage 1', color: '#E6F3FF', icon: 'fas fa-eye-slash', description: 'Light sleep, transition from wakefulness' },
+            'N2': { name: 'NREM Stage 2', color: '#D4DDFF', icon: 'fas fa-moon', description: 'True sleep, sleep spindles and K-complexes' },
+            'N3': { name: 'NREM Stage 3', color: '#C2E0FF', icon: 'fas fa-bed', description: 'Deep sleep, slow wave sleep (SWS)' },
+            'REM': { name: 'REM Sleep', color: '#FFE6F0', icon: 'fas fa-cloud', description: 'Dreaming phase, rapid eye movement' }
         };
         
         // Initialize immediately
-        this.init();
+        this.init().catch(error => {
+            console.error('Error initializing:', error);
+            this.showTooltip(`Could not start the monitor: ${error.message}`, 'error');
+        });
     }
 
-    init() {
+    async init() {
         console.log('Initializing EEG Sleep Monitor...');
         
         // Skip user setup for now and go straight to the app
         this.initializeDirectly();
         
         this.setupEventListeners();
-        this.generateSimulatedData();
+        this.renderSimulationOptions();
+        await this.generateSimulatedData();
         this.initializePlots();
+
         this.updateUI();
-        this.startRealTimeUpdates();
+        this.renderStimulationControls();
+        this.renderReportControls();
         
         this.isInitialized = true;
+        this.runSleepStaging();
+        this.renderLibrary();
+        this.restoreLastSession();
         console.log('EEG Sleep Monitor initialized successfully');
     }
 
@@ -104,6 +406,182 @@ class AdvancedEEGSleepMonitor {
         this.setupButton('play-pause-btn', () => this.togglePlayback());
         this.setupButton('load-real-data-btn', () => this.loadRealEEGData());
         this.setupButton('detect-events-btn', () => this.detectSleepEvents());
+        this.setupButton('open-file-btn', () => document.getElementById('recording-file-input')?.click());
+        this.setupButton('simulate-btn', () => this.generateSimulatedData({
+            scenario: document.getElementById('sim-scenario')?.value || this.simulation.scenario,
+            samplingRate: Number(document.getElementById('sim-rate')?.value) || this.simulation.samplingRate,
+            channelSet: document.getElementById('sim-channels')?.value || this.simulation.channelSet
+        }).catch(error => {
+            console.error('Error simulating night:', error);
+            this.showTooltip(`Could not simulate the night: ${error.message}`, 'error');
+        }));
+        this.setupButton('live-btn', () => {
+            if (this.live) this.stopLiveAcquisition();
+            else this.startLiveAcquisition(document.getElementById('live-url')?.value.trim() || this.liveConfig.url);
+        });
+        this.setupFileImport();
+        
+        document.getElementById('annotation-editor-save')?.addEventListener('click', () => this.saveAnnotationEditor());
+        document.getElementById('annotation-editor-cancel')?.addEventListener('click', () => this.closeAnnotationEditor());
+        document.getElementById('undo-btn')?.addEventListener('click', () => this.undoEdit());
+        ['reference', 'candidate'].forEach(role => {
+            document.getElementById(`compare-${role}`)?.addEventListener('change', (e) => this.setComparisonScoring(role, e.target.value));
+        });
+        document.getElementById('scoring-import-btn')?.addEventListener('click', () => document.getElementById('scoring-file-input')?.click());
+        document.getElementById('scoring-file-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && this.data) this.importScoringFile(file);
+            e.target.value = '';
+        });
+        document.getElementById('redo-btn')?.addEventListener('click', () => this.redoEdit());
+        
+        document.getElementById('stim-enabled')?.addEventListener('change', (e) => this.setStimulationEnabled(e.target.checked));
+        document.getElementById('stim-channel')?.addEventListener('change', (e) => this.setStimulationSetting('channel', e.target.value));
+        document.getElementById('stim-target')?.addEventListener('change', (e) => this.setStimulationSetting('targetPhase', Number(e.target.value)));
+        document.getElementById('stim-audio')?.addEventListener('change', (e) => this.setStimulationSetting('audio', e.target.checked));
+        document.getElementById('stim-volume')?.addEventListener('input', (e) => this.setStimulationSetting('volume', Number(e.target.value)));
+        document.getElementById('stim-clear-btn')?.addEventListener('click', () => this.clearStimulation());
+        
+        document.getElementById('report-template')?.addEventListener('change', (e) => {
+            this.reportSettings.template = e.target.value;
+        });
+        document.getElementById('report-template-import-btn')?.addEventListener('click', () => document.getElementById('report-template-input')?.click());
+        document.getElementById('report-template-input')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importReportTemplate(file);
+            e.target.value = '';
+        });
+        document.getElementById('report-template-download-btn')?.addEventListener('click', () => this.downloadReportTemplate());
+        document.getElementById('report-reviewer')?.addEventListener('input', (e) => this.setReportNote('reviewer', e.target.value));
+        document.getElementById('report-notes')?.addEventListener('input', (e) => this.setReportNote('text', e.target.value));
+        document.getElementById('report-print-btn')?.addEventListener('click', () => this.openClinicalReport());
+        document.getElementById('report-download-btn')?.addEventListener('click', () => this.downloadClinicalReport());
+        
+        document.getElementById('trend-range')?.addEventListener('change', (e) => this.setTrendSetting('range', e.target.value));
+        document.getElementById('trend-from')?.addEventListener('change', (e) => this.setTrendSetting('from', e.target.value || null));
+        document.getElementById('trend-to')?.addEventListener('change', (e) => this.setTrendSetting('to', e.target.value || null));
+        document.getElementById('trend-rollup')?.addEventListener('change', (e) => this.setTrendSetting('rollup', e.target.value));
+        
+        const playbackSpeed = document.getElementById('playback-speed');
+        if (playbackSpeed) {
+            this.setPlaybackSpeed(playbackSpeed.value);
+            playbackSpeed.addEventListener('change', (e) => this.setPlaybackSpeed(e.target.value));
+        }
+        
+        document.getElementById('epoch-prev-btn')?.addEventListener('click', () => this.stepEpoch(-1));
+        document.getElementById('epoch-next-btn')?.addEventListener('click', () => this.stepEpoch(1));
+        
+        const viewerGain = document.getElementById('viewer-gain');
+        if (viewerGain) {
+            viewerGain.innerHTML = this.viewer.gainOptions
+                .map(gain => `<option value="${gain}"${gain === this.viewer.gain ? ' selected' : ''}>${gain} µV/mm</option>`)
+                .join('');
+            viewerGain.addEventListener('change', (e) => this.setViewerGain(Number(e.target.value)));
+        }
+        
+        const viewerPage = document.getElementById('viewer-page-length');
+        if (viewerPage) {
+            viewerPage.innerHTML = this.viewer.pageOptions
+                .map(length => `<option value="${length}"${length === this.viewer.pageLength ? ' selected' : ''}>${length} s</option>`)
+                .join('');
+            viewerPage.addEventListener('change', (e) => this.setViewerPageLength(Number(e.target.value)));
+        }
+        
+        document.getElementById('viewer-prev-btn')?.addEventListener('click', () => this.stepPage(-1));
+        document.getElementById('viewer-next-btn')?.addEventListener('click', () => this.stepPage(1));
+        
+        const channelToggle = document.getElementById('viewer-channels-btn');
+        const channelPanel = document.getElementById('viewer-channel-list');
+        if (channelToggle && channelPanel) {
+            channelToggle.addEventListener('click', () => {
+                channelPanel.classList.toggle('open');
+                this.renderViewerChannelPicker();
+            });
+        }
+        
+        // Paging, scoring and undo from the keyboard unless a form field has focus
+        document.addEventListener('keydown', (e) => {
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target?.tagName) || this.currentTab !== 'home' || !this.data || this.live) return;
+            
+            const key = e.key.toLowerCase();
+            if ((e.ctrlKey || e.metaKey) && (key === 'y' || (key === 'z' && e.shiftKey))) {
+                e.preventDefault();
+                this.redoEdit();
+            } else if ((e.ctrlKey || e.metaKey) && key === 'z') {
+                e.preventDefault();
+                this.undoEdit();
+            } else if (e.ctrlKey || e.metaKey || e.altKey) {
+                return;
+            } else if (this.stageHotkeys[key]) {
+                e.preventDefault();
+                this.scoreCurrentEpoch(this.stageHotkeys[key]);
+            } else if (e.key === 'Backspace') {
+                e.preventDefault();
+                this.scoreCurrentEpoch(null);
+            } else if (e.key === 'PageDown' || (e.key === 'ArrowRight' && e.shiftKey)) {
+                e.preventDefault();
+                this.stepPage(1);
+            } else if (e.key === 'PageUp' || (e.key === 'ArrowLeft' && e.shiftKey)) {
+                e.preventDefault();
+                this.stepPage(-1);
+            } else if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+                // Arrows step one scoring epoch, so multi-epoch pages can still be scored epoch by epoch
+                e.preventDefault();
+                this.stepEpoch(e.key === 'ArrowRight' ? 1 : -1);
+            }
+        });
+        
+        const montageSelect = document.getElementById('montage-select');
+        if (montageSelect) {
+            this.renderMontageOptions();
+            montageSelect.addEventListener('change', (e) => this.setMontage(e.target.value));
+        }
+        
+        const montageApply = document.getElementById('montage-apply-btn');
+        const montageCustom = document.getElementById('montage-custom');
+        if (montageApply && montageCustom) {
+            montageApply.addEventListener('click', () => this.applyCustomMontage(montageCustom.value));
+        }
+        
+        const montageSave = document.getElementById('montage-save-btn');
+        const montagePresetName = document.getElementById('montage-preset-name');
+        if (montageSave && montagePresetName) {
+            montageSave.addEventListener('click', () => {
+                this.saveMontagePreset(montagePresetName.value);
+                montagePresetName.value = '';
+            });
+        }
+        
+        const topoMeasure = document.getElementById('topo-measure');
+        if (topoMeasure) {
+            topoMeasure.addEventListener('change', (e) => {
+                this.topoMeasure = e.target.value;
+                this.updateTopoMap(true);
+            });
+        }
+        
+        const notchSelect = document.getElementById('notch-select');
+        if (notchSelect) {
+            notchSelect.addEventListener('change', (e) => {
+                const value = e.target.value;
+                if (this.preprocessing) {
+                    const notch = this.artifactDetection.notch;
+                    e.target.value = notch === null ? 'off' : String(notch);
+                    this.showTooltip('Change the notch filter once the recording has finished filtering', 'warning');
+                    return;
+                }
+                this.artifactDetection.notch = value === 'auto' ? 'auto' : value === 'off' ? null : Number(value);
+                this.reprocessRecording();
+            });
+        }
+        
+        const spectralChannel = document.getElementById('spectral-channel');
+        if (spectralChannel) {
+            spectralChannel.addEventListener('change', (e) => {
+                this.spectralChannel = e.target.value;
+                this.initSpectralPanel();
+            });
+        }
 
         // Timeline controls
         const timelineSlider = document.getElementById('timeline-slider');
@@ -145,285 +623,1136 @@ class AdvancedEEGSleepMonitor {
         }
     }
 
-    generateSimulatedData() {
+    async generateSimulatedData(options = {}) {
+        if (this.isSimulating) {
+            this.showTooltip('A night is already being simulated', 'warning');
+            return;
+        }
         console.log('Generating simulated EEG data...');
         
-        const duration = 3600; // 1 hour of data
-        const samples = duration * 10; // 10 Hz for demo
+        const previous = this.data;
+        this.isSimulating = true;
+        let recording;
+        try {
+            recording = await this.generateSyntheticNight(options);
+        } finally {
+            this.isSimulating = false;
+            if (!this.isImporting) this.setImportProgress(null);
+        }
+        // A file opened while the night was being synthesized takes precedence
+        if (this.data !== previous) return;
+        
+        // The generator's hypnogram is the reference the automatic staging is scored against
+        this.scoringComparison.reference = 'truth';
+        this.scoringComparison.candidate = 'auto';
+        await this.setRecording(recording);
+        
+        console.log('Simulated data generated:', this.data.time.length, 'samples');
+    }
+
+    // Swap a recording into this.data and reset the playhead and timeline
+    async setRecording(recording) {
+        if (this.live) this.stopLiveAcquisition(false);
+        // Flush pending edits to the night being replaced
+        if (this.saveTimer) this.saveSession();
+        clearTimeout(this.artifactRefreshTimer);
+        this.artifactRefreshTimer = null;
         
         this.data = {
-            time: [],
-            channels: {},
-            sleepStages: []
+            time: recording.time,
+            channels: recording.channels,
+            channelNames: recording.channelNames || Object.keys(recording.channels),
+            samplingRate: recording.samplingRate,
+            startTime: recording.startTime || null,
+            // Dates the night in the library when the recording has no start time; kept across saves
+            importedAt: recording.importedAt || new Date().toISOString(),
+            channelTypes: recording.channelTypes || {},
+            source: recording.source || { type: 'unknown', name: 'Recording' },
+            patient: recording.patient || null,
+            // Events from older sessions or other importers may arrive without an id
+            events: (recording.events || []).map(event => (event.id ? event : { ...event, id: this.createEventId(event.source || 'event') })),
+            artifacts: { segments: [], badChannels: {}, lineFrequency: null },
+            // Scorer overrides by epoch index; they outlive re-runs of automatic staging
+            manualStages: recording.manualStages || {},
+            // Imported hypnograms by id: { id, name, stages: [stage|null per epoch] }
+            scorings: recording.scorings || {},
+            sleepStages: [],
+            stimulation: { stimuli: [], blocked: {} },
+            // Simulated nights only: { hypnogram, events, artifacts } as injected by the generator
+            groundTruth: recording.groundTruth || null,
+            // Printed on the clinical report
+            reportNotes: recording.reportNotes || { reviewer: '', text: '' },
+            // Library id; simulated data is never stored
+            id: recording.id || null,
+            persisted: Boolean(recording.id)
         };
-
-        // Generate time array
-        for (let i = 0; i < samples; i++) {
-            this.data.time.push(i / 10);
-        }
-
-        // Generate EEG data for each channel
-        this.channels.forEach(channel => {
-            this.data.channels[channel] = this.generateChannelData(samples, channel);
-        });
-
-        this.maxTime = samples - 1;
+        this.editHistory.undo = [];
+        this.editHistory.redo = [];
+        
+        this.samplingRate = recording.samplingRate;
+        this.importAnnotatedScoring();
+        this.filterCache.clear();
+        this.spectralCache.clear();
+        this.spectralChannel = null;
+        this.focusedChannel = null;
+        this.topoKey = null;
+        this.stimulationTracker = null;
+        this.viewer.pageKey = null;
+        this.currentTimeIndex = 0;
+        this.maxTime = Math.max(0, this.data.time.length - 1);
+        const timeIndex = Math.min(recording.timeIndex || 0, this.maxTime);
         
         // Update timeline slider
         const timelineSlider = document.getElementById('timeline-slider');
         if (timelineSlider) {
             timelineSlider.max = this.maxTime;
-            timelineSlider.value = 0;
+            timelineSlider.value = timeIndex;
         }
         
-        console.log('Simulated data generated:', this.data.time.length, 'samples');
-    }
-
-    generateChannelData(samples, channel) {
-        const data = new Array(samples);
+        if (!(await this.preprocessRecording())) return;
+        this.applyArtifactOverrides(recording.artifactOverrides);
+        // Spectra stored with the night are still valid for its saved montage, notch and overrides
+        Object.entries(recording.spectra || {}).forEach(([channel, spectra]) => {
+            if (this.data.channels[channel]) this.spectralCache.set(channel, Promise.resolve(spectra));
+        });
         
-        for (let i = 0; i < samples; i++) {
-            const t = i / 10; // 10 Hz sampling
-            let signal = 0;
-            
-            // Generate realistic EEG-like signal
-            signal += Math.sin(2 * Math.PI * 10 * t) * 20; // Alpha waves
-            signal += Math.sin(2 * Math.PI * 20 * t) * 15; // Beta waves
-            signal += Math.sin(2 * Math.PI * 5 * t) * 25; // Theta waves
-            signal += Math.sin(2 * Math.PI * 1 * t) * 30; // Delta waves
-            
-            // Add noise
-            signal += (Math.random() - 0.5) * 10;
-            
-            data[i] = signal;
+        this.updateTimePosition(timeIndex);
+        
+        if (this.isInitialized) {
+            this.updateEventViews();
+            this.renderArtifactPanel();
+            this.renderViewerChannelPicker();
+            this.renderStimulationControls();
+            this.renderReportControls();
+            this.initSpectralPanel();
+            this.updateTopoMap();
+            this.runSleepStaging();
+        }
+        
+        if (!this.data.id && this.data.source.type !== 'simulated') {
+            this.data.id = `rec-${Date.now().toString(36)}`;
+            this.storeRecording();
+        } else if (this.data.id) {
+            this.rememberLastRecording(this.data.id);
+            this.renderLibrary();
         }
         
-        return data;
+        console.log(`Recording set: ${this.data.source.name}, ${this.data.channelNames.length} channels, ${this.data.time.length} samples @ ${this.samplingRate} Hz`);
     }
 
-    initializePlots() {
-        console.log('Initializing Plotly plots...');
-        
-        // Wait for Plotly to be available
-        if (typeof Plotly === 'undefined') {
-            console.warn('Plotly not loaded yet, retrying...');
-            setTimeout(() => this.initializePlots(), 1000);
-            return;
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                
+                const request = indexedDB.open(this.storage.name, this.storage.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    ['signals', 'results', 'library'].forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
-        
+        return this.dbPromise;
+    }
+
+    // Runs `work` against the named stores in one transaction and resolves with its requests' results
+    // once the transaction commits, so quota errors reject here instead of being lost on a request
+    async runTransaction(storeNames, mode, work) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const requests = work(...storeNames.map(name => transaction.objectStore(name)));
+            transaction.oncomplete = () => resolve(Array.isArray(requests) ? requests.map(request => request.result) : requests?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+        });
+    }
+
+    isQuotaError(error) {
+        return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+    }
+
+    handleStorageError(error, action) {
+        console.error(`Storage error while trying to ${action}:`, error);
+        if (this.isQuotaError(error)) {
+            this.showTooltip(`Browser storage is full, could not ${action}. Delete old recordings in the Library to free space.`, 'error');
+        } else {
+            this.showTooltip(`Could not ${action}: ${error.message}`, 'error');
+        }
+    }
+
+    rememberLastRecording(id) {
         try {
-            this.initMainEEGPlot();
-            this.initMiniEEGPlot();
-            this.initSleepCycleChart();
-            this.initREMTimelinePlot();
-            console.log('Plots initialized successfully');
+            if (id) localStorage.setItem(this.storage.lastRecordingKey, id);
+            else localStorage.removeItem(this.storage.lastRecordingKey);
         } catch (error) {
-            console.error('Error initializing plots:', error);
+            console.error('Error remembering last recording:', error);
         }
     }
 
-    initMainEEGPlot() {
-        const layout = {
-            title: {
-                text: 'Real-time EEG Analysis',
-                font: { size: 16, color: '#553C9A' }
-            },
-            xaxis: {
-                title: 'Time (seconds)',
-                showgrid: true,
-                gridcolor: 'rgba(0,0,0,0.1)'
-            },
-            yaxis: {
-                title: 'Amplitude (μV)',
-                showgrid: true,
-                gridcolor: 'rgba(0,0,0,0.1)'
-            },
-            plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
-            paper_bgcolor: 'transparent',
-            margin: { l: 50, r: 20, t: 50, b: 50 },
-            showlegend: true
-        };
-
-        const config = {
-            displayModeBar: true,
-            displaylogo: false,
-            responsive: true
+    // Signals are written once at import; everything else goes through saveSession
+    async storeRecording() {
+        const data = this.data;
+        const signals = {
+            id: data.id,
+            time: data.time,
+            channels: data.rawChannels,
+            channelNames: data.sourceNames,
+            channelTypes: data.sourceTypes,
+            samplingRate: data.samplingRate,
+            startTime: data.startTime,
+            source: data.source,
+            patient: data.patient
         };
-
-        // Create plot with initial empty data
-        Plotly.newPlot('eeg-plot', [], layout, config);
         
-        // Add some initial data
-        this.updateMainEEGPlot();
+        try {
+            await this.runTransaction(['signals', 'library'], 'readwrite', (signalStore, library) => {
+                signalStore.put(signals);
+                library.put(this.buildLibraryEntry(data));
+            });
+            if (this.data !== data) return;
+            
+            data.persisted = true;
+            this.rememberLastRecording(data.id);
+            console.log(`Stored recording ${data.source.name} as ${data.id}`);
+            this.renderLibrary();
+            this.scheduleSessionSave();
+        } catch (error) {
+            this.handleStorageError(error, `save ${data.source.name} to the library`);
+        }
     }
 
-    initMiniEEGPlot() {
-        const layout = {
-            showlegend: false,
-            margin: { l: 0, r: 0, t: 0, b: 0 },
-            xaxis: { visible: false },
-            yaxis: { visible: false },
-            plot_bgcolor: 'transparent',
-            paper_bgcolor: 'transparent'
+    // Summary for the library list plus the user's state for reopening the night
+    buildLibraryEntry(data) {
+        const duration = data.time.length ? data.time[data.time.length - 1] - data.time[0] + 1 / data.samplingRate : 0;
+        return {
+            id: data.id,
+            name: data.source.name,
+            sourceType: data.source.type,
+            startTime: data.startTime,
+            importedAt: data.importedAt,
+            savedAt: new Date().toISOString(),
+            duration,
+            channelCount: data.sourceNames.length,
+            samplingRate: data.samplingRate,
+            score: data.sleepScore?.score ?? null,
+            rating: data.sleepScore?.rating ?? null,
+            metrics: data.sleepMetrics || null,
+            hypnogram: data.sleepStages.map(epoch => epoch.stage),
+            events: data.events,
+            manualStages: data.manualStages,
+            scorings: data.scorings,
+            artifactOverrides: this.getArtifactOverrides(data),
+            reportNotes: data.reportNotes,
+            settings: {
+                band: this.activeBand,
+                montage: this.activeMontage,
+                notch: this.artifactDetection.notch,
+                timeIndex: this.currentTimeIndex
+            }
         };
+    }
 
-        const config = {
-            displayModeBar: false,
-            responsive: true
-        };
+    // Debounced so playhead moves and bursts of edits cost one write
+    scheduleSessionSave() {
+        if (!this.data?.persisted) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveSession(), this.storage.saveDelay);
+    }
 
-        Plotly.newPlot('mini-eeg-plot', [], layout, config);
-        this.updateMiniEEGPlot();
+    async saveSession() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        
+        const data = this.data;
+        if (!data?.persisted) return;
+        
+        // Snapshot before awaiting: a flush on recording switch must not pick up the next night's state
+        const entry = this.buildLibraryEntry(data);
+        const stages = data.sleepStages.map(({ features, ...epoch }) => epoch);
+        const pending = [...this.spectralCache];
+        
+        try {
+            const spectra = {};
+            for (const [channel, promise] of pending) {
+                const result = await promise;
+                if (result) spectra[channel] = result;
+            }
+            
+            const stored = await this.runTransaction(['signals', 'results', 'library'], 'readwrite', (signalStore, results, library) => {
+                // A delete that landed while the spectra were collected wins over this save
+                const request = signalStore.getKey(entry.id);
+                request.onsuccess = () => {
+                    if (request.result === undefined) return;
+                    results.put({ id: entry.id, spectra, stages });
+                    library.put(entry);
+                };
+                return request;
+            });
+            if (stored === undefined) {
+                console.log(`Skipped saving ${entry.id}: deleted from the library`);
+                return;
+            }
+            console.log(`Saved session ${entry.id}`);
+            if (this.currentTab === 'library') this.renderLibrary();
+        } catch (error) {
+            this.handleStorageError(error, 'save this session');
+        }
     }
 
-    initSleepCycleChart() {
-        const data = [{
-            values: [5, 45, 25, 25],
-            labels: ['N1', 'N2', 'N3', 'REM'],
-            type: 'pie',
-            hole: 0.6,
-            marker: {
-                colors: ['#E6F3FF', '#D4DDFF', '#C2E0FF', '#FFE6F0']
-            },
-            textinfo: 'label+percent',
-            hovertemplate: '%{label}: %{value}%<extra></extra>'
-        }];
+    async openStoredRecording(id) {
+        try {
+            const [signals, entry, results] = await this.runTransaction(['signals', 'library', 'results'], 'readonly',
+                (signalStore, library, resultStore) => [signalStore.get(id), library.get(id), resultStore.get(id)]);
+            if (!signals || !entry) throw new Error('the recording is no longer in the library');
+            
+            if (this.isPlaying) this.togglePlayback();
+            // The outgoing night is saved under its own montage and notch, so flush it before they change
+            if (this.saveTimer) await this.saveSession();
+            
+            // Preprocessing settings must be in place before the signals are set so stored spectra stay valid
+            const { settings } = entry;
+            if (this.montages[settings.montage] || this.montagePresets[settings.montage]) this.activeMontage = settings.montage;
+            this.renderMontageOptions();
+            this.artifactDetection.notch = settings.notch;
+            const notchSelect = document.getElementById('notch-select');
+            if (notchSelect) notchSelect.value = settings.notch === null ? 'off' : String(settings.notch);
+            
+            await this.setRecording({
+                ...signals,
+                events: entry.events,
+                manualStages: entry.manualStages,
+                scorings: entry.scorings,
+                artifactOverrides: entry.artifactOverrides,
+                reportNotes: entry.reportNotes,
+                // Entries saved before importedAt existed only have their last save time
+                importedAt: entry.importedAt || entry.savedAt,
+                spectra: results?.spectra,
+                timeIndex: settings.timeIndex
+            });
+            if (settings.band && settings.band !== this.activeBand) this.setActiveBand(settings.band);
+            
+            console.log(`Opened stored recording ${entry.name}`);
+            return true;
+        } catch (error) {
+            this.handleStorageError(error, 'open the recording');
+            return false;
+        }
+    }
 
-        const layout = {
-            showlegend: false,
-            margin: { l: 0, r: 0, t: 0, b: 0 },
-            plot_bgcolor: 'transparent',
-            paper_bgcolor: 'transparent'
-        };
+    async restoreLastSession() {
+        let id = null;
+        try {
+            id = localStorage.getItem(this.storage.lastRecordingKey);
+        } catch (error) {
+            console.error('Error reading last recording:', error);
+        }
+        if (!id) return;
+        
+        if (await this.openStoredRecording(id)) {
+            this.showTooltip(`Restored ${this.data.source.name}`, 'info');
+        } else {
+            this.rememberLastRecording(null);
+        }
+    }
 
-        const config = {
-            displayModeBar: false,
-            responsive: true
-        };
+    async deleteStoredRecording(id) {
+        try {
+            await this.runTransaction(['signals', 'results', 'library'], 'readwrite', (...stores) => {
+                stores.forEach(store => store.delete(id));
+            });
+        } catch (error) {
+            this.handleStorageError(error, 'delete the recording');
+            return;
+        }
+        
+        // The open night stays on screen but is no longer saved
+        if (this.data?.id === id) {
+            clearTimeout(this.saveTimer);
+            this.data.id = null;
+            this.data.persisted = false;
+        }
+        try {
+            if (localStorage.getItem(this.storage.lastRecordingKey) === id) this.rememberLastRecording(null);
+        } catch (error) {
+            console.error('Error clearing last recording:', error);
+        }
+        
+        console.log(`Deleted stored recording ${id}`);
+        this.showTooltip('Recording deleted from the library', 'success');
+        this.renderLibrary();
+    }
 
-        Plotly.newPlot('sleep-cycle-chart', data, layout, config);
+    async getLibraryEntries() {
+        const entries = await this.runTransaction(['library'], 'readonly', (library) => library.getAll());
+        const date = (entry) => this.getEntryDate(entry).getTime() || 0;
+        return entries.sort((a, b) => date(b) - date(a));
     }
 
-    initREMTimelinePlot() {
-        // Generate REM timeline data
-        const remData = [{
-            x: [1, 3, 5, 7],
-            y: [0.5, 0.5, 0.5, 0.5],
-            type: 'scatter',
-            mode: 'markers',
-            marker: {
-                color: '#FFB6C1',
-                size: 15,
-                symbol: 'square'
-            },
-            name: 'REM Episodes'
-        }];
+    async renderLibrary() {
+        const list = document.getElementById('library-list');
+        if (!list) return;
+        
+        let entries;
+        try {
+            entries = await this.getLibraryEntries();
+        } catch (error) {
+            console.error('Error reading the library:', error);
+            list.innerHTML = '';
+            const empty = document.createElement('div');
+            empty.className = 'annotation-empty';
+            empty.textContent = `The library is unavailable: ${error.message}`;
+            list.appendChild(empty);
+            return;
+        }
+        
+        this.libraryEntries = entries;
+        // Trends share the entries but must not keep the list from drawing
+        try {
+            this.renderTrends();
+        } catch (error) {
+            console.error('Error rendering trends:', error);
+        }
+        
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            list.innerHTML = '<div class="annotation-empty">Recordings you open are kept here</div>';
+        }
+        
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = `library-item${entry.id === this.data?.id ? ' current' : ''}`;
+            item.innerHTML = `
+                <div class="library-info">
+                    <span class="library-name"></span>
+                    <span class="library-detail"></span>
+                </div>
+                <span class="library-score"></span>
+                <button class="control-btn" data-action="open"><i class="fas fa-folder-open"></i> Open</button>
+                <button class="control-btn" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+            `;
+            const date = this.getEntryDate(entry);
+            item.querySelector('.library-name').textContent = entry.name;
+            item.querySelector('.library-detail').textContent = [
+                date.toLocaleString(),
+                this.formatDuration(entry.duration),
+                `${entry.channelCount} channels @ ${entry.samplingRate} Hz`
+            ].join(' · ');
+            item.querySelector('.library-score').textContent = entry.score === null ? '--' : `${entry.score} · ${entry.rating}`;
+            
+            item.querySelector('[data-action="open"]').addEventListener('click', async () => {
+                if (await this.openStoredRecording(entry.id)) this.switchTab('home');
+            });
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (window.confirm(`Delete ${entry.name} and its annotations from this browser?`)) {
+                    this.deleteStoredRecording(entry.id);
+                }
+            });
+            list.appendChild(item);
+        });
+        
+        const usage = document.getElementById('library-usage');
+        if (usage && navigator.storage?.estimate) {
+            try {
+                const { usage: used, quota } = await navigator.storage.estimate();
+                usage.textContent = `${(used / 1048576).toFixed(1)} MB of ${(quota / 1048576).toFixed(0)} MB used`;
+            } catch (error) {
+                console.error('Error estimating storage:', error);
+            }
+        }
+    }
+
+    getEntryDate(entry) {
+        return new Date(entry.startTime || entry.importedAt || entry.savedAt);
+    }
+
+    // The night a recording belongs to: anything before noon counts towards the previous evening
+    getNightDate(entry) {
+        return startOfDay(subHours(this.getEntryDate(entry), 12));
+    }
+
+    getNightMetrics(entry) {
+        const metrics = entry.metrics;
+        if (!metrics) return null;
+        
+        const n2Minutes = metrics.stageDurations.N2 / 60;
+        const spindles = (entry.events || []).filter(event => event.type === 'spindle').length;
+        let onsetTime = null;
+        if (entry.startTime && metrics.sleepOnsetLatency !== null) {
+            const onset = addSeconds(new Date(entry.startTime), metrics.sleepOnsetLatency);
+            // Hours after midnight of the night's evening, so 23:30 is 23.5 and 00:30 is 24.5
+            onsetTime = differenceInMinutes(onset, this.getNightDate(entry)) / 60;
+        }
+        
+        return {
+            totalSleepTime: metrics.totalSleepTime / 3600,
+            sleepEfficiency: metrics.sleepEfficiency,
+            n3Percent: metrics.stagePercent.N3,
+            remPercent: metrics.stagePercent.REM,
+            spindleDensity: n2Minutes > 0 ? spindles / n2Minutes : null,
+            score: entry.score,
+            onsetTime
+        };
+    }
 
+    // Nights oldest first, each flagged against the median and MAD of the nights before it
+    buildNightSeries(entries) {
+        const { baselineNights, minBaselineNights, deviationZ } = this.trendSettings;
+        const nights = entries
+            .map(entry => ({ id: entry.id, name: entry.name, date: this.getNightDate(entry), values: this.getNightMetrics(entry) }))
+            .filter(night => night.values)
+            .sort((a, b) => a.date - b.date);
+        
+        const median = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = sorted.length >> 1;
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        
+        nights.forEach((night, index) => {
+            const previous = nights.slice(Math.max(0, index - baselineNights), index);
+            night.flags = [];
+            
+            Object.keys(this.trendMetrics).forEach(metric => {
+                const value = night.values[metric];
+                const history = previous.map(item => item.values[metric]).filter(Number.isFinite);
+                if (!Number.isFinite(value) || history.length < minBaselineNights) return;
+                
+                const baseline = median(history);
+                const spread = Math.max(1.4826 * median(history.map(item => Math.abs(item - baseline))), this.trendMetrics[metric].minSpread);
+                
+                const z = (value - baseline) / spread;
+                if (Math.abs(z) >= deviationZ) night.flags.push({ metric, value, baseline, z });
+            });
+        });
+        
+        return nights;
+    }
+
+    getTrendInterval() {
+        const { range, from, to } = this.trendSettings;
+        if (range === 'custom') {
+            const start = from ? startOfDay(parseISO(from)) : new Date(0);
+            const end = to ? endOfDay(parseISO(to)) : endOfDay(new Date());
+            // A "from" after "to" is taken as the same range picked backwards
+            return start <= end ? { start, end } : { start: startOfDay(end), end: endOfDay(start) };
+        }
+        if (range === 'all') return null;
+        return { start: startOfDay(subDays(new Date(), Number(range))), end: endOfDay(new Date()) };
+    }
+
+    // Mean of each metric per ISO week or calendar month
+    rollupNights(nights, rollup) {
+        const periodStart = rollup === 'month' ? (date) => startOfMonth(date) : (date) => startOfWeek(date, { weekStartsOn: 1 });
+        const groups = new Map();
+        nights.forEach(night => {
+            const key = periodStart(night.date).getTime();
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(night);
+        });
+        
+        return [...groups.entries()].map(([key, group]) => {
+            const values = {};
+            Object.keys(this.trendMetrics).forEach(metric => {
+                const present = group.map(night => night.values[metric]).filter(Number.isFinite);
+                values[metric] = present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+            });
+            return { start: new Date(key), nights: group.length, values };
+        });
+    }
+
+    formatTrendValue(metric, value) {
+        if (!Number.isFinite(value)) return '--';
+        if (metric === 'onsetTime') {
+            const minutes = Math.round(value * 60);
+            return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+        }
+        const { unit, digits } = this.trendMetrics[metric];
+        return `${value.toFixed(digits)}${unit ? ` ${unit}` : ''}`;
+    }
+
+    setTrendSetting(key, value) {
+        this.trendSettings[key] = value;
+        const custom = this.trendSettings.range === 'custom';
+        ['trend-from', 'trend-to'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.disabled = !custom;
+        });
+        this.renderTrends();
+    }
+
+    renderTrends() {
+        const status = document.getElementById('trend-status');
+        const entries = this.libraryEntries || [];
+        const allNights = this.buildNightSeries(entries);
+        const interval = this.getTrendInterval();
+        const nights = interval ? allNights.filter(night => isWithinInterval(night.date, interval)) : allNights;
+        
+        if (status) {
+            status.textContent = nights.length
+                ? `${nights.length} nights, ${format(nights[0].date, 'd MMM yyyy')} – ${format(nights[nights.length - 1].date, 'd MMM yyyy')}`
+                : 'No staged nights in this range';
+        }
+        
+        this.updateTrendsPlot(nights);
+        this.renderTrendFlags(nights);
+        this.renderTrendRollups(nights);
+    }
+
+    updateTrendsPlot(nights) {
+        if (typeof Plotly === 'undefined' || !document.getElementById('trends-plot')) return;
+        
+        const metrics = Object.keys(this.trendMetrics);
+        const rows = metrics.length;
+        const gap = 0.02;
+        const height = (1 - gap * (rows - 1)) / rows;
+        const rollups = this.trendSettings.rollup === 'night' ? null : this.rollupNights(nights, this.trendSettings.rollup);
+        const traces = [];
         const layout = {
-            title: 'REM Episodes',
+            height: rows * 110 + 60,
             showlegend: false,
-            margin: { l: 20, r: 20, t: 30, b: 20 },
-            xaxis: {
-                title: 'Time (hours)',
-                showgrid: false,
-                range: [0, 8]
-            },
-            yaxis: {
-                showgrid: false,
-                range: [0, 1],
-                tickvals: [],
-                ticktext: []
-            },
+            margin: { l: 110, r: 20, t: 10, b: 40 },
+            xaxis: { type: 'date', anchor: `y${rows}` },
             plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
             paper_bgcolor: 'transparent'
         };
+        
+        metrics.forEach((metric, index) => {
+            const axis = index === 0 ? 'y' : `y${index + 1}`;
+            const info = this.trendMetrics[metric];
+            const top = 1 - index * (height + gap);
+            layout[`yaxis${index === 0 ? '' : index + 1}`] = {
+                domain: [top - height, top],
+                title: { text: info.label, font: { size: 11 } },
+                automargin: true,
+                ...(metric === 'onsetTime' ? this.getClockAxis(nights.map(night => night.values.onsetTime)) : {})
+            };
+            
+            const points = nights.filter(night => Number.isFinite(night.values[metric]));
+            const flagged = (night) => night.flags.some(flag => flag.metric === metric);
+            traces.push({
+                x: points.map(night => night.date),
+                y: points.map(night => night.values[metric]),
+                yaxis: axis,
+                type: 'scatter',
+                mode: rollups ? 'markers' : 'lines+markers',
+                line: { color: '#6366f1', width: 1 },
+                marker: {
+                    size: points.map(night => (flagged(night) ? 9 : 5)),
+                    color: points.map(night => (flagged(night) ? '#EF4444' : rollups ? 'rgba(99, 102, 241, 0.4)' : '#6366f1'))
+                },
+                customdata: points.map(night => [night.id, format(night.date, 'EEE d MMM yyyy'), this.formatTrendValue(metric, night.values[metric])]),
+                hovertemplate: `%{customdata[1]} · ${info.label} %{customdata[2]}<extra></extra>`
+            });
+            
+            if (rollups) {
+                const periods = rollups.filter(period => Number.isFinite(period.values[metric]));
+                traces.push({
+                    x: periods.map(period => period.start),
+                    y: periods.map(period => period.values[metric]),
+                    yaxis: axis,
+                    type: 'scatter',
+                    mode: 'lines+markers',
+                    line: { color: '#10B981', width: 2, shape: 'hv' },
+                    marker: { size: 6, color: '#10B981' },
+                    customdata: periods.map(period => [format(period.start, this.trendSettings.rollup === 'month' ? 'MMMM yyyy' : "'Week of' d MMM"), period.nights, this.formatTrendValue(metric, period.values[metric])]),
+                    hovertemplate: `%{customdata[0]} · mean %{customdata[2]} over %{customdata[1]} nights<extra></extra>`
+                });
+            }
+        });
+        
+        try {
+            Plotly.react('trends-plot', traces, layout, { displayModeBar: false, responsive: true });
+        } catch (error) {
+            console.error('Error updating trends plot:', error);
+        }
+    }
 
-        const config = {
-            displayModeBar: false,
-            responsive: true
-        };
-
-        Plotly.newPlot('rem-timeline-plot', remData, layout, config);
+    // Whole-hour ticks labelled as clock times for the onset row
+    getClockAxis(values) {
+        const present = values.filter(Number.isFinite);
+        if (present.length === 0) return {};
+        
+        const ticks = [];
+        for (let hour = Math.floor(Math.min(...present)); hour <= Math.ceil(Math.max(...present)); hour++) ticks.push(hour);
+        return { tickvals: ticks, ticktext: ticks.map(hour => this.formatTrendValue('onsetTime', hour)) };
     }
 
-    setActiveBand(band) {
-        console.log(`Setting active band to: ${band}`);
+    renderTrendFlags(nights) {
+        const list = document.getElementById('trend-flags');
+        if (!list) return;
         
-        // Update button states
-        document.querySelectorAll('.band-toggle').forEach(btn => {
-            btn.classList.remove('active');
+        list.innerHTML = '';
+        const flagged = nights.filter(night => night.flags.length).reverse();
+        if (flagged.length === 0) {
+            list.innerHTML = '<div class="annotation-empty">No night deviates strongly from its baseline</div>';
+            return;
+        }
+        
+        flagged.forEach(night => {
+            const item = document.createElement('div');
+            item.className = 'trend-flag';
+            item.innerHTML = '<span class="annotation-time"></span><span class="trend-flag-detail"></span>';
+            item.querySelector('.annotation-time').textContent = format(night.date, 'EEE d MMM yyyy');
+            item.querySelector('.trend-flag-detail').textContent = night.flags
+                .map(flag => `${this.trendMetrics[flag.metric].label} ${this.formatTrendValue(flag.metric, flag.value)} (baseline ${this.formatTrendValue(flag.metric, flag.baseline)})`)
+                .join(' · ');
+            item.title = `Open ${night.name}`;
+            item.addEventListener('click', async () => {
+                if (await this.openStoredRecording(night.id)) this.switchTab('home');
+            });
+            list.appendChild(item);
         });
+    }
+
+    renderTrendRollups(nights) {
+        const container = document.getElementById('trend-rollups');
+        if (!container) return;
         
-        const activeButton = document.querySelector(`[data-band="${band}"]`);
-        if (activeButton) {
-            activeButton.classList.add('active');
+        const rollup = this.trendSettings.rollup;
+        if (rollup === 'night' || nights.length === 0) {
+            container.innerHTML = '';
+            return;
         }
         
-        this.activeBand = band;
-        this.updateMainEEGPlot();
+        const metrics = Object.keys(this.trendMetrics);
+        const header = metrics.map(metric => `<th>${this.trendMetrics[metric].label}</th>`).join('');
+        const rows = this.rollupNights(nights, rollup).reverse().map(period => `
+            <tr>
+                <th>${format(period.start, rollup === 'month' ? 'MMM yyyy' : "'Wk of' d MMM")}</th>
+                <td>${period.nights}</td>
+                ${metrics.map(metric => `<td>${this.formatTrendValue(metric, period.values[metric])}</td>`).join('')}
+            </tr>
+        `).join('');
+        container.innerHTML = `
+            <table class="trend-table">
+                <thead><tr><th>${rollup === 'month' ? 'Month' : 'Week'}</th><th>Nights</th>${header}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
     }
 
-    updateMainEEGPlot() {
-        if (!this.data || !this.isInitialized) return;
+    renderSimulationOptions() {
+        const scenarioSelect = document.getElementById('sim-scenario');
+        if (scenarioSelect) {
+            scenarioSelect.innerHTML = Object.entries(this.simulationScenarios)
+                .map(([id, scenario]) => `<option value="${id}">${scenario.label}</option>`).join('');
+            scenarioSelect.value = this.simulation.scenario;
+        }
         
-        console.log('Updating main EEG plot for band:', this.activeBand);
+        const rateSelect = document.getElementById('sim-rate');
+        if (rateSelect) {
+            rateSelect.innerHTML = this.simulation.rateOptions.map(rate => `<option value="${rate}">${rate} Hz</option>`).join('');
+            rateSelect.value = this.simulation.samplingRate;
+        }
         
-        const windowSize = Math.min(300, this.data.time.length); // 30 second window
-        const startIndex = Math.max(0, this.currentTimeIndex - windowSize / 2);
-        const endIndex = Math.min(this.data.time.length, startIndex + windowSize);
+        const channelSelect = document.getElementById('sim-channels');
+        if (channelSelect) {
+            channelSelect.innerHTML = Object.entries(this.simulationChannelSets)
+                .map(([id, set]) => `<option value="${id}">${set.label}</option>`).join('');
+            channelSelect.value = this.simulation.channelSet;
+        }
+    }
+
+    // A scenario-driven night plus its ground truth: the hypnogram and every injected event and artifact
+    async generateSyntheticNight(options = {}) {
+        const settings = { ...this.simulation, ...options };
+        const scenario = this.simulationScenarios[settings.scenario];
+        if (!scenario) throw new Error(`Unknown simulation scenario "${settings.scenario}"`);
         
-        const timeWindow = this.data.time.slice(startIndex, endIndex);
-        const traces = [];
+        const started = performance.now();
+        const seed = settings.seed ?? Math.floor(Math.random() * 2 ** 32);
+        const random = this.createSeededRandom(seed);
+        const samplingRate = settings.samplingRate;
+        const duration = settings.duration || scenario.duration;
+        const length = Math.round(duration * samplingRate);
+        const channelSet = this.simulationChannelSets[settings.channelSet];
+        if (!settings.channels && !channelSet) throw new Error(`Unknown simulation channel set "${settings.channelSet}"`);
+        const channelNames = settings.channels || channelSet.channels;
+        const channelTypes = Object.fromEntries(channelNames.map(name => [name, this.getSimulatedChannelType(name)]));
+        
+        const hypnogram = this.generateHypnogram(scenario, Math.ceil(length / Math.round(this.epochLength * samplingRate)), random);
+        const events = this.planSimulatedEvents(hypnogram, scenario, duration, random);
+        const artifacts = this.planSimulatedArtifacts(hypnogram, scenario, channelNames, duration, random);
+        
+        const time = new Float64Array(length);
+        for (let i = 0; i < length; i++) time[i] = i / samplingRate;
+        
+        const channels = await this.synthesizeBackground(hypnogram, channelNames, channelTypes, length, samplingRate, random);
+        // Artifacts go last so a flat channel stays flat
+        [...events, ...artifacts].forEach(event => this.addSimulatedWaveform(channels, channelTypes, event, samplingRate, random));
         
-        if (this.activeBand === 'all') {
-            // Show multiple channels
-            const channelsToShow = ['Fp1', 'C3', 'P3', 'O1'];
-            channelsToShow.forEach((channel, index) => {
-                if (this.data.channels[channel]) {
-                    const channelData = this.data.channels[channel].slice(startIndex, endIndex);
+        console.log(`Synthesized ${scenario.label}: ${channelNames.length} channels @ ${samplingRate} Hz, ${events.length} events, ${artifacts.length} artifacts in ${Math.round(performance.now() - started)} ms (seed ${seed})`);
+        
+        return {
+            time,
+            channels,
+            channelNames,
+            channelTypes,
+            samplingRate,
+            startTime: null,
+            source: { type: 'simulated', name: `Simulated: ${scenario.label}` },
+            scorings: { truth: { id: 'truth', name: 'Ground truth', stages: hypnogram } },
+            groundTruth: { scenario: settings.scenario, seed, hypnogram, events, artifacts }
+        };
+    }
+
+    // mulberry32: fast, and the same seed always gives the same night
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+        const next = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        
+        return {
+            next,
+            range: (low, high) => low + (high - low) * next(),
+            // Waiting time to the next arrival of a Poisson process
+            interval: (rate) => -Math.log(1 - next()) / rate,
+            pick: (weights) => {
+                const entries = Object.entries(weights);
+                let remaining = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+                return (entries.find(([, weight]) => (remaining -= weight) < 0) || entries[entries.length - 1])[0];
+            }
+        };
+    }
+
+    getSimulatedChannelType(name) {
+        if (/EOG|^LOC|^ROC/i.test(name)) return 'EOG';
+        if (/EMG|chin/i.test(name)) return 'EMG';
+        return 'EEG';
+    }
+
+    // Cycles of N1, N2, N3, N2 and REM with deep sleep shrinking and REM growing towards morning
+    generateHypnogram(scenario, epochCount, random) {
+        const stages = [];
+        const push = (stage, minutes) => {
+            const count = Math.max(1, Math.round(minutes * 60 / this.epochLength));
+            for (let i = 0; i < count; i++) stages.push(stage);
+        };
+        const finalWake = Math.round(random.range(3, 10) * 60 / this.epochLength);
+        
+        push('W', scenario.latency * random.range(0.7, 1.3));
+        for (let cycle = 0; stages.length < epochCount - finalWake; cycle++) {
+            // Roughly 90 minute cycles; N2 takes whatever N1, N3 and REM leave
+            const length = random.range(80, 105);
+            const n1 = cycle === 0 ? random.range(2, 6) : random.range(0.5, 2);
+            const n3 = scenario.n3Minutes * Math.max(0, 1 - 0.35 * cycle) * random.range(0.7, 1.3);
+            const rem = Math.min(35, scenario.remMinutes + 8 * cycle) * random.range(0.7, 1.3);
+            const n2 = Math.max(10, length - n1 - (n3 >= 2 ? n3 : 0) - rem);
+            
+            push('N1', n1);
+            if (n3 >= 2) {
+                push('N2', n2 * 0.6);
+                push('N3', n3);
+                push('N2', n2 * 0.4);
+            } else {
+                push('N2', n2);
+            }
+            push('REM', rem);
+        }
+        stages.length = Math.max(0, epochCount - finalWake);
+        while (stages.length < epochCount) stages.push('W');
+        
+        // Deep sleep dips into N2 now and then; awakenings return to sleep through N1
+        const awakening = scenario.awakeningsPerHour * this.epochLength / 3600;
+        for (let i = 1; i < epochCount - finalWake; i++) {
+            if (stages[i] === 'N3' && random.next() < 0.06) stages[i] = 'N2';
+            if (stages[i] === 'W' || random.next() >= awakening) continue;
+            
+            const wake = Math.round(random.range(1, 5));
+            for (let j = i; j < Math.min(i + wake, epochCount - finalWake); j++) stages[j] = 'W';
+            for (let j = i + wake; j < Math.min(i + wake + 2, epochCount - finalWake); j++) stages[j] = 'N1';
+            i += wake + 1;
+        }
+        
+        return stages;
+    }
+
+    // Poisson arrivals at each stage's rates; an event never overlaps one of its own type
+    planSimulatedEvents(hypnogram, scenario, duration, random) {
+        const events = [];
+        const lastEnd = {};
+        
+        hypnogram.forEach((stage, epoch) => {
+            const rates = { ...this.simulationStageProfiles[stage].events };
+            if (stage !== 'W') rates.arousal = scenario.arousalsPerHour / 60;
+            const epochStart = epoch * this.epochLength;
+            
+            Object.entries(rates).forEach(([type, perMinute]) => {
+                for (let onset = epochStart + random.interval(perMinute / 60); onset < epochStart + this.epochLength; onset += random.interval(perMinute / 60)) {
+                    const event = { type, onset, ...this.describeSimulatedEvent(type, random), channel: null, stage, source: 'truth' };
+                    if (onset < (lastEnd[type] ?? -Infinity) || onset + event.duration > duration) continue;
                     
-                    traces.push({
-                        x: timeWindow,
-                        y: channelData.map(val => val + index * 80), // Offset channels
-                        type: 'scatter',
-                        mode: 'lines',
-                        name: channel,
-                        line: { color: this.getChannelColor(channel), width: 1.5 }
-                    });
+                    lastEnd[type] = onset + event.duration;
+                    events.push(event);
                 }
             });
-        } else {
-            // Show single channel for specific band
-            const channel = 'C3';
-            if (this.data.channels[channel]) {
-                const channelData = this.data.channels[channel].slice(startIndex, endIndex);
-                
-                traces.push({
-                    x: timeWindow,
-                    y: channelData,
-                    type: 'scatter',
-                    mode: 'lines',
-                    name: `${this.activeBand.toUpperCase()} Band`,
-                    line: { color: this.getBandColor(this.activeBand), width: 2 }
-                });
+        });
+        
+        return events.sort((a, b) => a.onset - b.onset);
+    }
+
+    // Durations in seconds; amplitudes are peak µV, peak-to-peak for slow waves
+    describeSimulatedEvent(type, random) {
+        const shapes = {
+            spindle: () => ({ duration: random.range(0.6, 1.8), amplitude: random.range(20, 40), frequency: random.range(11.5, 15) }),
+            'k-complex': () => ({ duration: random.range(0.8, 1.2), amplitude: random.range(90, 150) }),
+            'slow-oscillation': () => ({ duration: random.range(0.9, 1.6), amplitude: random.range(100, 220) }),
+            'alpha-burst': () => ({ duration: random.range(2, 10), amplitude: random.range(20, 40), frequency: random.range(8.5, 11.5) }),
+            arousal: () => ({ duration: random.range(3, 15), amplitude: random.range(20, 35) }),
+            blink: () => ({ duration: random.range(0.25, 0.4), amplitude: random.range(80, 150) }),
+            'slow-eye-movement': () => ({ duration: random.range(2, 5), amplitude: random.range(40, 80), direction: random.next() < 0.5 ? -1 : 1 }),
+            'eye-movement': () => ({ duration: 1, amplitude: random.range(50, 150), direction: random.next() < 0.5 ? -1 : 1 })
+        };
+        return shapes[type]();
+    }
+
+    planSimulatedArtifacts(hypnogram, scenario, channelNames, duration, random) {
+        const eeg = channelNames.filter(name => this.getSimulatedChannelType(name) === 'EEG');
+        const lateral = eeg.filter(name => /^(T\d|F7|F8)/.test(name));
+        const one = () => [eeg[Math.floor(random.next() * eeg.length)]];
+        const kinds = {
+            movement: { weight: 0.35, make: () => ({ duration: random.range(2, 8), amplitude: random.range(300, 800), channels: null }) },
+            muscle: { weight: 0.3, make: () => ({ duration: random.range(3, 15), amplitude: random.range(15, 40), channels: lateral.length ? lateral : one() }) },
+            'electrode-pop': { weight: 0.25, make: () => ({ duration: random.range(0.5, 2), amplitude: random.range(150, 400), channels: one() }) },
+            flatline: { weight: 0.1, make: () => ({ duration: random.range(30, 120), amplitude: 0, channels: one() }) }
+        };
+        const weights = Object.fromEntries(Object.entries(kinds).map(([type, kind]) => [type, kind.weight]));
+        const rate = scenario.artifactsPerHour / 3600;
+        const artifacts = [];
+        if (eeg.length === 0 || rate <= 0) return artifacts;
+        
+        for (let onset = random.interval(rate); onset < duration; onset += random.interval(rate)) {
+            const type = random.pick(weights);
+            const artifact = { type, onset, ...kinds[type].make(), stage: hypnogram[Math.floor(onset / this.epochLength)], artifact: true, source: 'truth' };
+            if (onset + artifact.duration > duration) break;
+            
+            artifacts.push(artifact);
+            onset += artifact.duration;
+        }
+        return artifacts;
+    }
+
+    // Relative strength of a generator at an electrode; channels off the 10-20 map get 1
+    getSimulatedTopography(channel, focus) {
+        const position = this.electrodePositions[channel];
+        if (!position || focus === 'uniform') return 1;
+        
+        const [x, y] = position;
+        const weights = {
+            frontal: 0.75 + 0.3 * y,
+            central: 1 - 0.5 * Math.abs(y),
+            occipital: 0.55 - 0.45 * y,
+            temporal: 0.3 + 0.7 * Math.abs(x)
+        };
+        return Math.max(0.15, weights[focus]);
+    }
+
+    // How much of the eyes' dipole a channel picks up: left and right EOG swing apart for horizontal movements
+    getSimulatedEyeCoupling(channel, type, vertical) {
+        const left = /-L$|^LOC|E1/i.test(channel) || channel === 'Fp1';
+        if (type === 'EOG') return vertical ? 0.5 : left ? 1 : -1;
+        if (/^Fp/.test(channel)) return vertical ? 1 : left ? 0.35 : -0.35;
+        if (/^F[378]$|^F4$/.test(channel)) return vertical ? 0.3 : 0;
+        return 0;
+    }
+
+    // Unit-variance narrowband noise: white noise through a two-pole resonator
+    createResonator(frequency, bandwidth, samplingRate, random) {
+        const r = Math.exp(-Math.PI * bandwidth / samplingRate);
+        const a1 = 2 * r * Math.cos(2 * Math.PI * frequency / samplingRate);
+        const a2 = -r * r;
+        // Stationary variance of the AR(2) process, scaled for uniform input of variance 1/12
+        const variance = (1 + r * r) / ((1 - r * r) * ((1 + r * r) ** 2 - a1 * a1));
+        const gain = Math.sqrt(12 / variance);
+        let y1 = 0;
+        let y2 = 0;
+        
+        return () => {
+            const y = a1 * y1 + a2 * y2 + gain * (random.next() - 0.5);
+            y2 = y1;
+            y1 = y;
+            return y;
+        };
+    }
+
+    // Each rhythm is partly shared across the scalp and partly local, scaled by stage and topography.
+    // Yields between channels so an 8 h night at a high rate does not freeze the tab.
+    async synthesizeBackground(hypnogram, channelNames, channelTypes, length, samplingRate, random) {
+        const pause = async (fraction, label) => {
+            this.setImportProgress(fraction, `Simulating · ${label}`);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        };
+        const epochSamples = Math.round(this.epochLength * samplingRate);
+        const profiles = this.simulationStageProfiles;
+        const rhythms = Object.keys(this.simulationRhythms).filter(rhythm => this.simulationRhythms[rhythm].frequency < samplingRate * 0.45);
+        const white = () => (random.next() - 0.5) * 3.4641;
+        
+        // Stage amplitudes glide over a few seconds instead of jumping at epoch borders
+        const smoothing = 1 - Math.exp(-1 / (3 * samplingRate));
+        const envelopes = {};
+        [...rhythms, 'emg'].forEach(key => {
+            const target = (stage) => (key === 'emg' ? profiles[stage].emg : profiles[stage].rhythms[key]);
+            const envelope = new Float32Array(length);
+            let value = target(hypnogram[0]);
+            for (let i = 0; i < length; i++) {
+                value += (target(hypnogram[Math.floor(i / epochSamples)]) - value) * smoothing;
+                envelope[i] = value;
             }
+            envelopes[key] = envelope;
+        });
+        
+        await pause(0, 'stage envelopes');
+        
+        const shared = [];
+        for (const rhythm of rhythms) {
+            const { frequency, bandwidth } = this.simulationRhythms[rhythm];
+            const next = this.createResonator(frequency, bandwidth, samplingRate, random);
+            const samples = new Float32Array(length);
+            for (let i = 0; i < length; i++) samples[i] = next();
+            shared.push(samples);
         }
         
-        // Add current time indicator
-        const currentTime = this.data.time[this.currentTimeIndex] || 0;
-        traces.push({
-            x: [currentTime, currentTime],
-            y: [-200, 400],
-            type: 'scatter',
-            mode: 'lines',
-            name: 'Current Time',
-            line: { color: '#6366f1', width: 2, dash: 'dash' },
-            showlegend: false
+        const channels = {};
+        for (const [index, name] of channelNames.entries()) {
+            await pause(index / channelNames.length, name);
+            const type = channelTypes[name];
+            const samples = new Float32Array(length);
+            const emg = envelopes.emg;
+            channels[name] = samples;
+            
+            if (type === 'EMG') {
+                for (let i = 0; i < length; i++) samples[i] = emg[i] * white();
+                continue;
+            }
+            
+            // EOG picks up frontal EEG; scalp channels pick up a little muscle, most at the temples
+            const muscle = type === 'EOG' ? 0.05 : 0.1 * this.getSimulatedTopography(name, 'temporal');
+            for (let i = 0; i < length; i++) samples[i] = Math.sqrt(0.16 + (muscle * emg[i]) ** 2) * white();
+            
+            rhythms.forEach((rhythm, k) => {
+                const { frequency, bandwidth, focus } = this.simulationRhythms[rhythm];
+                const local = this.createResonator(frequency, bandwidth, samplingRate, random);
+                const envelope = envelopes[rhythm];
+                const common = shared[k];
+                const weight = type === 'EOG' ? 0.5 : this.getSimulatedTopography(name, focus);
+                for (let i = 0; i < length; i++) {
+                    samples[i] += envelope[i] * weight * (0.75 * common[i] + 0.66 * local());
+                }
+            });
+        }
+        
+        return channels;
+    }
+
+    // Adds one ground-truth event or artifact; each shape says which channels see it and how strongly
+    addSimulatedWaveform(channels, channelTypes, event, samplingRate, random) {
+        const start = Math.round(event.onset * samplingRate);
+        const count = Math.round(event.duration * samplingRate);
+        const { amplitude, duration } = event;
+        const phase = random.range(0, 2 * Math.PI);
+        const gaussian = (t, centre, width) => Math.exp(-0.5 * ((t - centre) / width) ** 2);
+        // Half-second raised-cosine ramps at both ends
+        const taper = (t) => Math.sin(Math.PI / 2 * Math.min(1, t / 0.5, (duration - t) / 0.5)) ** 2;
+        const white = () => (random.next() - 0.5) * 3.4641;
+        const scalp = (focus, shape) => (name) => {
+            if (channelTypes[name] !== 'EEG') return null;
+            const weight = this.getSimulatedTopography(name, focus);
+            return (t) => weight * shape(t);
+        };
+        const eyes = (vertical, shape) => (name) => {
+            const weight = this.getSimulatedEyeCoupling(name, channelTypes[name], vertical);
+            return weight ? (t) => weight * shape(t) : null;
+        };
+        
+        const waveforms = {
+            spindle: scalp('central', (t) => amplitude * Math.sin(Math.PI * t / duration) ** 2 * Math.sin(2 * Math.PI * event.frequency * t + phase)),
+            // Sharp negative wave, then a broader positive one
+            'k-complex': scalp('frontal', (t) => amplitude * (0.5 * gaussian(t, 0.7 * duration, 0.15 * duration) - gaussian(t, 0.3 * duration, 0.1 * duration))),
+            // One full cycle, down-state first
+            'slow-oscillation': scalp('frontal', (t) => -amplitude / 2 * Math.sin(2 * Math.PI * t / duration)),
+            'alpha-burst': scalp('occipital', (t) => amplitude * taper(t) * Math.sin(2 * Math.PI * event.frequency * t + phase)),
+            blink: eyes(true, (t) => amplitude * gaussian(t, duration / 2, duration / 5)),
+            'slow-eye-movement': eyes(false, (t) => event.direction * amplitude * (1 - Math.cos(2 * Math.PI * t / duration)) / 2),
+            // Quick saccade, slow drift back
+            'eye-movement': eyes(false, (t) => event.direction * amplitude * (t < 0.08 ? t / 0.08 : Math.exp(-(t - 0.08) / 0.3))),
+            arousal: (name) => {
+                const type = channelTypes[name];
+                if (type === 'EMG') return (t) => taper(t) * 2 * amplitude * white();
+                if (type !== 'EEG') return null;
+                // Alpha with some beta; no broadband noise, which the screening would take for muscle
+                const alpha = this.getSimulatedTopography(name, 'occipital');
+                return (t) => taper(t) * amplitude * (alpha * Math.sin(2 * Math.PI * 10 * t + phase) + 0.3 * Math.sin(2 * Math.PI * 18 * t + 2 * phase));
+            },
+            movement: (name) => {
+                const offset = random.range(0, 2 * Math.PI);
+                const scale = channelTypes[name] === 'EMG' ? 0.1 : random.range(0.5, 1);
+                return (t) => taper(t) * scale * amplitude * (Math.sin(2 * Math.PI * 0.4 * t + offset) + 0.1 * white());
+            },
+            muscle: () => (t) => taper(t) * amplitude * white(),
+            'electrode-pop': () => (t) => amplitude * Math.exp(-t / (duration / 3))
+        };
+        
+        const targets = event.channels || Object.keys(channels);
+        targets.forEach(name => {
+            const samples = channels[name];
+            if (!samples) return;
+            
+            if (event.type === 'flatline') {
+                for (let i = start; i < Math.min(samples.length, start + count); i++) samples[i] = 0.05 * white();
+                return;
+            }
+            
+            const shape = waveforms[event.type](name);
+            if (!shape) return;
+            for (let i = 0; i < count && start + i < samples.length; i++) {
+                samples[start + i] += shape(i / samplingRate);
+            }
         });
+    }
+
+    initializePlots() {
+        console.log('Initializing Plotly plots...');
+        
+        // Wait for Plotly to be available
+        if (typeof Plotly === 'undefined') {
+            console.warn('Plotly not loaded yet, retrying...');
+            setTimeout(() => this.initializePlots(), 1000);
+            return;
+        }
         
+        try {
+            this.initMainEEGPlot();
+            this.initMiniEEGPlot();
+            this.initSleepCycleChart();
+            this.initREMTimelinePlot();
+            this.initSpectralPanel();
+            this.initHypnogramPlot();
+            this.initTopoMap();
+            this.updateEventViews();
+            this.renderArtifactPanel();
+            console.log('Plots initialized successfully');
+        } catch (error) {
+            console.error('Error initializing plots:', error);
+        }
+    }
+
+    initMainEEGPlot() {
         const layout = {
             title: {
-                text: `${this.activeBand === 'all' ? 'Multi-Channel' : this.activeBand.toUpperCase() + ' Band'} EEG`,
+                text: 'Real-time EEG Analysis',
                 font: { size: 16, color: '#553C9A' }
             },
             xaxis: {
@@ -441,193 +1770,6233 @@ class AdvancedEEGSleepMonitor {
             margin: { l: 50, r: 20, t: 50, b: 50 },
             showlegend: true
         };
+
+        const config = {
+            displayModeBar: true,
+            displaylogo: false,
+            responsive: true
+        };
+
+        // Create plot with initial empty data
+        Plotly.newPlot('eeg-plot', [], layout, config);
         
-        try {
-            Plotly.react('eeg-plot', traces, layout);
-        } catch (error) {
-            console.error('Error updating EEG plot:', error);
+        // Add some initial data
+        this.updateMainEEGPlot();
+        
+        const plot = document.getElementById('eeg-plot');
+        if (plot && typeof plot.on === 'function') {
+            plot.on('plotly_selected', (event) => this.handleEEGSelection(event));
         }
     }
 
-    updateMiniEEGPlot() {
-        if (!this.data || !this.isInitialized) return;
+    // A box drawn over one lane annotates that channel; taller boxes annotate all channels
+    handleEEGSelection(event) {
+        const range = event?.range;
+        if (!range?.x || !this.data || this.live) return;
         
-        const windowSize = 50;
-        const startIndex = Math.max(0, this.currentTimeIndex - windowSize / 2);
-        const endIndex = Math.min(this.data.time.length, startIndex + windowSize);
+        const [start, end] = [...range.x].sort((a, b) => a - b);
+        const spacing = this.viewer.gain * this.viewer.laneMillimetres;
+        const channels = this.getDisplayChannels();
+        let channel = null;
+        if (range.y && Math.abs(range.y[1] - range.y[0]) <= spacing * 1.5) {
+            const lane = Math.round(-(range.y[0] + range.y[1]) / 2 / spacing);
+            channel = channels[lane] || null;
+        }
         
-        const timeWindow = this.data.time.slice(startIndex, endIndex);
-        const channelData = this.data.channels['C3']?.slice(startIndex, endIndex) || [];
+        try {
+            Plotly.relayout('eeg-plot', { selections: [] });
+            Plotly.restyle('eeg-plot', { selectedpoints: [null] });
+        } catch (error) {
+            console.error('Error clearing EEG selection:', error);
+        }
         
-        const trace = {
-            x: timeWindow,
-            y: channelData,
+        if (end - start < 1 / this.samplingRate) return;
+        this.openAnnotationEditor({ onset: start, duration: end - start, channel });
+    }
+
+    initMiniEEGPlot() {
+        const layout = {
+            showlegend: false,
+            margin: { l: 0, r: 0, t: 0, b: 0 },
+            xaxis: { visible: false },
+            yaxis: { visible: false },
+            plot_bgcolor: 'transparent',
+            paper_bgcolor: 'transparent'
+        };
+
+        const config = {
+            displayModeBar: false,
+            responsive: true
+        };
+
+        Plotly.newPlot('mini-eeg-plot', [], layout, config);
+        this.updateMiniEEGPlot();
+    }
+
+    initSleepCycleChart() {
+        const layout = {
+            showlegend: false,
+            margin: { l: 0, r: 0, t: 0, b: 0 },
+            plot_bgcolor: 'transparent',
+            paper_bgcolor: 'transparent'
+        };
+
+        const config = {
+            displayModeBar: false,
+            responsive: true
+        };
+
+        Plotly.newPlot('sleep-cycle-chart', [this.getSleepCycleTrace()], layout, config);
+        this.updateStageLegend();
+    }
+
+    updateSleepCycleChart() {
+        if (typeof Plotly === 'undefined' || !document.getElementById('sleep-cycle-chart')) return;
+        
+        try {
+            Plotly.react('sleep-cycle-chart', [this.getSleepCycleTrace()], {
+                showlegend: false,
+                margin: { l: 0, r: 0, t: 0, b: 0 },
+                plot_bgcolor: 'transparent',
+                paper_bgcolor: 'transparent'
+            });
+        } catch (error) {
+            console.error('Error updating sleep cycle chart:', error);
+        }
+        this.updateStageLegend();
+    }
+
+    getSleepCycleTrace() {
+        const distribution = this.getStageDistribution();
+        const stages = Object.keys(this.sleepStages);
+        
+        return {
+            values: stages.map(stage => distribution.percents[stage]),
+            labels: stages,
+            type: 'pie',
+            hole: 0.6,
+            sort: false,
+            marker: {
+                colors: stages.map(stage => this.getStageColor(stage.toLowerCase())),
+                line: { color: '#ffffff', width: 1 }
+            },
+            textinfo: 'label+percent',
+            hovertemplate: '%{label}: %{value:.1f}%<extra></extra>'
+        };
+    }
+
+    // Share of scored epochs per stage, Wake included
+    getStageDistribution() {
+        const counts = {};
+        const percents = {};
+        Object.keys(this.sleepStages).forEach(stage => {
+            counts[stage] = 0;
+        });
+        
+        const epochs = (this.data?.sleepStages || []).filter(epoch => this.isScoredEpoch(epoch));
+        epochs.forEach(epoch => {
+            counts[epoch.stage]++;
+        });
+        
+        Object.keys(counts).forEach(stage => {
+            percents[stage] = epochs.length ? counts[stage] / epochs.length * 100 : 0;
+        });
+        
+        return { counts, percents, total: epochs.length };
+    }
+
+    updateStageLegend() {
+        const distribution = this.getStageDistribution();
+        Object.keys(this.sleepStages).forEach(stage => {
+            const element = document.getElementById(`${stage.toLowerCase()}-percent`);
+            if (element) {
+                element.textContent = distribution.total ? `${Math.round(distribution.percents[stage])}%` : '--';
+            }
+        });
+    }
+
+    // Stage sequence over the night: W at the top down to N3, REM drawn just below Wake
+    initHypnogramPlot() {
+        const plot = document.getElementById('hypnogram-plot');
+        if (!plot) return;
+        
+        this.updateHypnogramPlot();
+        if (typeof plot.on !== 'function') return;
+        
+        plot.on('plotly_click', (event) => {
+            const point = event.points?.[0];
+            if (point) {
+                this.seekToTime(point.x * 3600);
+            }
+        });
+    }
+
+    getHypnogramLevels() {
+        return { W: 4, REM: 3, N1: 2, N2: 1, N3: 0 };
+    }
+
+    updateHypnogramPlot() {
+        if (typeof Plotly === 'undefined' || !document.getElementById('hypnogram-plot') || !this.data) return;
+        
+        const levels = this.getHypnogramLevels();
+        const epochs = this.data.sleepStages;
+        const traces = [];
+        
+        if (epochs.length > 0) {
+            const last = epochs[epochs.length - 1];
+            
+            // Step line through the epoch starts, closed at the end of the last epoch
+            traces.push({
+                x: [...epochs.map(epoch => epoch.start / 3600), last.end / 3600],
+                y: [...epochs.map(epoch => levels[epoch.stage]), levels[last.stage]],
+                type: 'scatter',
+                mode: 'lines',
+                line: { shape: 'hv', color: '#553C9A', width: 2 },
+                hoverinfo: 'skip'
+            });
+            
+            // Coloured REM segments, as on paper hypnograms
+            traces.push({
+                x: epochs.map(epoch => (epoch.start + epoch.end) / 2 / 3600),
+                y: epochs.map(epoch => (epoch.stage === 'REM' ? levels.REM : null)),
+                type: 'scatter',
+                mode: 'markers',
+                marker: { symbol: 'line-ew', size: 6, line: { color: '#FF69B4', width: 4 } },
+                hoverinfo: 'skip'
+            });
+            
+            // Epochs a scorer set by hand
+            traces.push({
+                x: epochs.map(epoch => (epoch.start + epoch.end) / 2 / 3600),
+                y: epochs.map(epoch => (epoch.source === 'manual' ? levels[epoch.stage] : null)),
+                type: 'scatter',
+                mode: 'markers',
+                marker: { symbol: 'diamond', size: 5, color: '#F59E0B' },
+                hoverinfo: 'skip'
+            });
+            
+            // Invisible full-height bars make every epoch clickable for seeking
+            traces.push({
+                x: epochs.map(epoch => (epoch.start + epoch.end) / 2 / 3600),
+                y: epochs.map(() => levels.W + 0.5),
+                base: -0.5,
+                width: epochs.map(epoch => (epoch.end - epoch.start) / 3600),
+                type: 'bar',
+                marker: { color: 'rgba(0, 0, 0, 0)' },
+                customdata: epochs.map(epoch => [
+                    this.sleepStages[epoch.stage].name,
+                    epoch.source === 'manual' ? 'manual' : `${Math.round(epoch.confidence * 100)}%`,
+                    this.formatTime(epoch.start)
+                ]),
+                hovertemplate: '%{customdata[2]} · %{customdata[0]} (%{customdata[1]})<extra></extra>'
+            });
+        }
+        
+        const layout = {
+            showlegend: false,
+            margin: { l: 40, r: 10, t: 5, b: 30 },
+            xaxis: { title: '', ticksuffix: 'h', showgrid: false, range: [0, this.data.time[this.data.time.length - 1] / 3600] },
+            yaxis: {
+                tickvals: Object.values(levels),
+                ticktext: Object.keys(levels),
+                range: [-0.5, levels.W + 0.5],
+                fixedrange: true,
+                showgrid: true,
+                gridcolor: 'rgba(0,0,0,0.05)'
+            },
+            bargap: 0,
+            shapes: [this.getPlayheadShape('#6366f1')],
+            plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
+            paper_bgcolor: 'transparent'
+        };
+        
+        try {
+            Plotly.react('hypnogram-plot', traces, layout, { displayModeBar: false, responsive: true });
+        } catch (error) {
+            console.error('Error updating hypnogram:', error);
+        }
+    }
+
+    updateHypnogramCursor() {
+        const plot = document.getElementById('hypnogram-plot');
+        if (!plot || !plot.layout || typeof Plotly === 'undefined') return;
+        
+        Plotly.relayout(plot, { shapes: [this.getPlayheadShape('#6366f1')] });
+    }
+
+    initREMTimelinePlot() {
+        this.updateREMTimelinePlot();
+    }
+
+    updateREMTimelinePlot() {
+        if (typeof Plotly === 'undefined' || !document.getElementById('rem-timeline-plot') || !this.data) return;
+        
+        const episodes = this.data.remEpisodes || [];
+        const movements = this.data.remEyeMovements || [];
+        const hours = this.data.time[this.data.time.length - 1] / 3600;
+        
+        const remData = [{
+            x: episodes.map(episode => (episode.onset + episode.end) / 2 / 3600),
+            y: episodes.map(() => 0.5),
+            width: episodes.map(episode => Math.max(episode.duration / 3600, hours / 200)),
+            base: 0.25,
+            type: 'bar',
+            marker: { color: '#FFB6C1' },
+            customdata: episodes.map(episode => [
+                episode.index + 1,
+                this.formatTime(episode.onset),
+                this.formatDuration(episode.duration),
+                episode.density === null ? 'n/a' : `${episode.density.toFixed(1)}/min`
+            ]),
+            hovertemplate: 'Episode %{customdata[0]} at %{customdata[1]}<br>%{customdata[2]}, %{customdata[3]} eye movements<extra></extra>',
+            name: 'REM Episodes'
+        }, {
+            x: movements.map(movement => movement.onset / 3600),
+            y: movements.map(() => 0.15),
             type: 'scatter',
-            mode: 'lines',
-            line: { color: '#98FB98', width: 1 },
-            showlegend: false
+            mode: 'markers',
+            marker: { color: '#553C9A', size: 6, symbol: 'line-ns-open' },
+            hoverinfo: 'skip',
+            name: 'Eye movements'
+        }];
+
+        const layout = {
+            title: 'REM Episodes',
+            showlegend: false,
+            margin: { l: 20, r: 20, t: 30, b: 20 },
+            xaxis: {
+                title: 'Time (hours)',
+                showgrid: false,
+                range: [0, Math.max(hours, 0.01)]
+            },
+            yaxis: {
+                showgrid: false,
+                range: [0, 1],
+                tickvals: [],
+                ticktext: []
+            },
+            plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
+            paper_bgcolor: 'transparent'
+        };
+
+        const config = {
+            displayModeBar: false,
+            responsive: true
+        };
+
+        try {
+            Plotly.react('rem-timeline-plot', remData, layout, config);
+        } catch (error) {
+            console.error('Error updating REM timeline:', error);
+        }
+    }
+
+    // REM episodes from the staged epochs, plus rapid eye movements inside them
+    analyzeREMSleep() {
+        if (!this.data) return;
+        
+        const epochs = this.data.sleepStages;
+        const episodes = [];
+        
+        epochs.forEach(epoch => {
+            if (epoch.stage !== 'REM' || !this.isScoredEpoch(epoch)) return;
+            
+            const last = episodes[episodes.length - 1];
+            if (last && epoch.start - last.end <= this.remDetection.mergeGap) {
+                last.end = epoch.end;
+                last.remDuration += epoch.end - epoch.start;
+            } else {
+                episodes.push({ onset: epoch.start, end: epoch.end, remDuration: epoch.end - epoch.start });
+            }
+        });
+        
+        const source = this.getEyeMovementSource();
+        const movements = source ? this.detectEyeMovements(source, episodes) : [];
+        
+        episodes.forEach((episode, index) => {
+            episode.index = index;
+            episode.duration = episode.end - episode.onset;
+            episode.eyeMovements = movements.filter(movement => movement.onset >= episode.onset && movement.onset < episode.end).length;
+            episode.density = source ? episode.eyeMovements / (episode.remDuration / 60) : null;
+        });
+        
+        const sleepOnset = this.getSleepOnsetEpoch();
+        const totalREM = episodes.reduce((sum, episode) => sum + episode.remDuration, 0);
+        const totalSpan = episodes.reduce((sum, episode) => sum + episode.duration, 0);
+        
+        this.data.remEpisodes = episodes;
+        this.data.remEyeMovements = movements;
+        this.data.remSummary = {
+            episodes: episodes.length,
+            totalDuration: totalREM,
+            // REM latency runs from sleep onset to the first REM epoch
+            latency: episodes.length && sleepOnset ? episodes[0].onset - sleepOnset.start : null,
+            // Share of the episodes' span actually staged REM
+            efficiency: totalSpan > 0 ? totalREM / totalSpan : null,
+            eyeMovementSource: source ? source.label : null,
+            density: source && totalREM > 0 ? movements.length / (totalREM / 60) : null
+        };
+        
+        this.updateREMStats();
+        this.updateREMTimelinePlot();
+    }
+
+    // Standard architecture measures from the staged night; durations in seconds
+    computeSleepArchitecture() {
+        if (!this.data) return null;
+        
+        const epochs = this.data.sleepStages;
+        if (epochs.length === 0) {
+            this.data.sleepMetrics = null;
+            return null;
+        }
+        
+        const timeInBed = epochs[epochs.length - 1].end - epochs[0].start;
+        const onset = this.getSleepOnsetEpoch();
+        const lastSleep = [...epochs].reverse().find(epoch => epoch.stage !== 'W' && this.isScoredEpoch(epoch)) || null;
+        
+        // Epochs rejected for artifacts count towards time in bed only
+        const stageDurations = {};
+        Object.keys(this.sleepStages).forEach(stage => {
+            stageDurations[stage] = 0;
+        });
+        let excludedTime = 0;
+        epochs.forEach(epoch => {
+            if (this.isScoredEpoch(epoch)) stageDurations[epoch.stage] += epoch.end - epoch.start;
+            else excludedTime += epoch.end - epoch.start;
+        });
+        
+        const totalSleepTime = timeInBed - stageDurations.W - excludedTime;
+        const stagePercent = {};
+        ['N1', 'N2', 'N3', 'REM'].forEach(stage => {
+            stagePercent[stage] = totalSleepTime > 0 ? stageDurations[stage] / totalSleepTime * 100 : 0;
+        });
+        
+        // Wake between sleep onset and final awakening
+        let waso = 0;
+        let awakenings = 0;
+        if (onset) {
+            const sleepPeriod = epochs.slice(onset.epoch, lastSleep.epoch + 1);
+            sleepPeriod.forEach((epoch, i) => {
+                if (epoch.stage !== 'W' || !this.isScoredEpoch(epoch)) return;
+                waso += epoch.end - epoch.start;
+                if (sleepPeriod[i - 1]?.stage !== 'W') awakenings++;
+            });
+        }
+        
+        let stageShifts = 0;
+        const transitions = {};
+        for (let i = 1; i < epochs.length; i++) {
+            const from = epochs[i - 1].stage;
+            const to = epochs[i].stage;
+            if (from === to) continue;
+            stageShifts++;
+            transitions[`${from}→${to}`] = (transitions[`${from}→${to}`] || 0) + 1;
+        }
+        
+        const cycles = this.segmentSleepCycles(onset, lastSleep);
+        
+        const metrics = {
+            timeInBed,
+            totalSleepTime,
+            sleepPeriodTime: onset ? lastSleep.end - onset.start : 0,
+            sleepOnsetLatency: onset ? onset.start - epochs[0].start : null,
+            remLatency: this.data.remSummary?.latency ?? null,
+            waso,
+            awakenings,
+            // Over the time that could be scored
+            sleepEfficiency: timeInBed - excludedTime > 0 ? totalSleepTime / (timeInBed - excludedTime) * 100 : 0,
+            excludedTime,
+            stageDurations,
+            stagePercent,
+            stageShifts,
+            transitions,
+            cycles,
+            cycleCount: cycles.length
+        };
+        
+        this.data.sleepMetrics = metrics;
+        console.log(`Sleep architecture: TST ${this.formatDuration(totalSleepTime)}, SE ${metrics.sleepEfficiency.toFixed(1)}%, ${cycles.length} cycles, ${stageShifts} stage shifts`);
+        return metrics;
+    }
+
+    // NREM–REM cycles: each runs from the first NREM epoch to the end of the following REM period.
+    // A trailing NREM stretch without REM counts as an incomplete cycle once it reaches 15 minutes.
+    segmentSleepCycles(onset, lastSleep) {
+        if (!onset) return [];
+        
+        const epochs = this.data.sleepStages;
+        const cycles = [];
+        
+        const addCycle = (start, end, rem, complete) => {
+            const span = epochs.slice(start.epoch, end.epoch + 1);
+            const scored = span.filter(epoch => this.isScoredEpoch(epoch));
+            const remDuration = scored.filter(epoch => epoch.stage === 'REM').reduce((sum, epoch) => sum + epoch.end - epoch.start, 0);
+            const nremDuration = scored.filter(epoch => ['N1', 'N2', 'N3'].includes(epoch.stage)).reduce((sum, epoch) => sum + epoch.end - epoch.start, 0);
+            cycles.push({
+                index: cycles.length,
+                start: start.start,
+                end: end.end,
+                duration: end.end - start.start,
+                remOnset: rem ? rem.onset : null,
+                nremDuration,
+                remDuration,
+                complete
+            });
         };
         
-        const layout = {
-            showlegend: false,
-            margin: { l: 0, r: 0, t: 0, b: 0 },
-            xaxis: { visible: false },
-            yaxis: { visible: false },
-            plot_bgcolor: 'transparent',
-            paper_bgcolor: 'transparent'
-        };
+        const isNREM = (epoch) => ['N1', 'N2', 'N3'].includes(epoch.stage);
+        let cursor = onset.epoch;
+        
+        (this.data.remEpisodes || []).forEach(rem => {
+            if (rem.onset < epochs[cursor].start) return;
+            
+            const start = epochs.slice(cursor).find(epoch => epoch.start >= rem.onset || isNREM(epoch));
+            const end = epochs.slice(cursor).find(epoch => epoch.end >= rem.end);
+            addCycle(start, end, rem, true);
+            cursor = Math.min(end.epoch + 1, epochs.length - 1);
+        });
+        
+        const trailing = epochs.slice(cursor, lastSleep.epoch + 1).find(isNREM);
+        if (trailing && cursor <= lastSleep.epoch && lastSleep.end - trailing.start >= 15 * 60) {
+            addCycle(trailing, lastSleep, null, false);
+        }
+        
+        return cycles;
+    }
+
+    getCycleAtTime(seconds) {
+        const cycles = this.data?.sleepMetrics?.cycles || [];
+        return cycles.find(cycle => seconds >= cycle.start && seconds < cycle.end) || null;
+    }
+
+    updateArchitectureViews() {
+        const metrics = this.data?.sleepMetrics;
+        
+        const sessionDuration = document.getElementById('session-duration');
+        if (sessionDuration) {
+            sessionDuration.textContent = metrics ? this.formatDuration(metrics.timeInBed) : '--';
+        }
+        
+        this.renderSleepSummary();
+        this.updateSleepScore();
+    }
+
+    // Weighted score out of 100; components that cannot be measured are left out and the rest rescaled
+    computeSleepScore() {
+        const metrics = this.data?.sleepMetrics;
+        if (!metrics || metrics.totalSleepTime <= 0) return null;
+        
+        const { weights, ranges } = this.sleepScoring;
+        const sleepHours = metrics.totalSleepTime / 3600;
+        
+        // 1 at or below `good`, 0 at or beyond `bad`, linear between (works in either direction)
+        const linear = (value, good, bad) => Math.max(0, Math.min(1, (bad - value) / (bad - good)));
+        const plateau = (value, [zero, low, high, limit]) =>
+            value < low ? linear(value, low, zero) : value > high ? linear(value, high, limit) : 1;
+        
+        const wasoMinutes = metrics.waso / 60;
+        const awakeningIndex = metrics.awakenings / sleepHours;
+        
+        const arousalsScored = this.data.events.some(event => event.type === 'arousal' || event.source === 'auto');
+        const arousalCount = this.data.events.filter(event => event.type === 'arousal').length;
+        const arousalIndex = arousalsScored ? arousalCount / sleepHours : null;
+        
+        const complete = metrics.cycles.filter(cycle => cycle.complete);
+        const expectedCycles = Math.max(1, Math.floor(metrics.totalSleepTime / 60 / ranges.cycleLength));
+        let cycleCV = null;
+        if (complete.length >= 2) {
+            const mean = complete.reduce((sum, cycle) => sum + cycle.duration, 0) / complete.length;
+            const variance = complete.reduce((sum, cycle) => sum + (cycle.duration - mean) ** 2, 0) / complete.length;
+            cycleCV = Math.sqrt(variance) / mean;
+        }
+        
+        const components = [
+            {
+                key: 'efficiency',
+                label: 'Sleep efficiency',
+                value: `${metrics.sleepEfficiency.toFixed(1)}%`,
+                score: linear(metrics.sleepEfficiency, ranges.efficiency[1], ranges.efficiency[0])
+            },
+            {
+                key: 'continuity',
+                label: 'Continuity',
+                value: `WASO ${Math.round(wasoMinutes)} min, ${awakeningIndex.toFixed(1)} awakenings/h`,
+                score: (linear(wasoMinutes, ...ranges.waso) + linear(awakeningIndex, ...ranges.awakeningIndex)) / 2
+            },
+            {
+                key: 'deepSleep',
+                label: 'Deep sleep (N3)',
+                value: `${metrics.stagePercent.N3.toFixed(1)}%`,
+                score: plateau(metrics.stagePercent.N3, ranges.deepSleep)
+            },
+            {
+                key: 'remSleep',
+                label: 'REM sleep',
+                value: `${metrics.stagePercent.REM.toFixed(1)}%`,
+                score: plateau(metrics.stagePercent.REM, ranges.remSleep)
+            },
+            {
+                key: 'arousals',
+                label: 'Arousal index',
+                value: arousalIndex === null ? 'events not detected' : `${arousalIndex.toFixed(1)}/h`,
+                score: arousalIndex === null ? null : linear(arousalIndex, ...ranges.arousalIndex)
+            },
+            {
+                key: 'cycles',
+                label: 'Cycle regularity',
+                value: `${complete.length} of ~${expectedCycles} cycles${cycleCV === null ? '' : `, CV ${cycleCV.toFixed(2)}`}`,
+                // Regularity only means something with two or more complete cycles
+                score: Math.min(1, complete.length / expectedCycles) * (cycleCV === null ? 1 : linear(cycleCV, ...ranges.cycleCV))
+            }
+        ];
+        
+        const measured = components.filter(component => component.score !== null);
+        const totalWeight = measured.reduce((sum, component) => sum + (weights[component.key] || 0), 0);
+        if (totalWeight <= 0) return null;
+        
+        components.forEach(component => {
+            const maximum = component.score === null ? 0 : (weights[component.key] || 0) / totalWeight * 100;
+            component.weight = weights[component.key] || 0;
+            component.maximum = maximum;
+            component.points = component.score === null ? 0 : maximum * component.score;
+            // Points lost against a perfect component score
+            component.lost = maximum - component.points;
+        });
+        
+        const score = Math.round(components.reduce((sum, component) => sum + component.points, 0));
+        return { score, rating: this.getScoreRating(score), components };
+    }
+
+    getScoreRating(score) {
+        if (score >= 85) return 'Excellent';
+        if (score >= 70) return 'Good';
+        if (score >= 55) return 'Fair';
+        return 'Poor';
+    }
+
+    updateSleepScore() {
+        if (!this.data) return;
+        
+        const result = this.computeSleepScore();
+        this.data.sleepScore = result;
+        
+        const sleepScore = document.getElementById('sleep-score');
+        if (sleepScore) sleepScore.textContent = result ? result.score : '--';
+        
+        const quality = document.querySelector('.sleep-quality');
+        if (quality) quality.textContent = result ? result.rating : '--';
+        
+        this.renderSleepScoreBreakdown();
+    }
+
+    renderSleepScoreBreakdown() {
+        const container = document.getElementById('sleep-score-breakdown');
+        const total = document.getElementById('report-sleep-score');
+        if (!container) return;
+        
+        const result = this.data?.sleepScore;
+        if (total) total.textContent = result ? `${result.score} · ${result.rating}` : '--';
+        
+        container.innerHTML = '';
+        if (!result) {
+            container.innerHTML = '<div class="annotation-empty">Sleep staging has not run for this recording</div>';
+            return;
+        }
+        
+        result.components.forEach(component => {
+            const item = document.createElement('div');
+            item.className = `score-component${component.score === null ? ' unmeasured' : ''}`;
+            item.innerHTML = `
+                <div class="score-component-header">
+                    <span class="summary-label"></span>
+                    <span class="summary-value"></span>
+                </div>
+                <div class="score-bar"><div class="score-bar-fill"></div></div>
+                <div class="score-component-detail">
+                    <span class="score-measure"></span>
+                    <label>Weight <input type="number" min="0" max="100" step="1"></label>
+                </div>
+            `;
+            item.querySelector('.summary-label').textContent = component.label;
+            item.querySelector('.summary-value').textContent = component.score === null
+                ? 'not scored'
+                : `+${component.points.toFixed(1)} / ${component.maximum.toFixed(1)} (−${component.lost.toFixed(1)})`;
+            item.querySelector('.score-bar-fill').style.width = `${component.maximum ? component.points / component.maximum * 100 : 0}%`;
+            item.querySelector('.score-measure').textContent = component.value;
+            
+            const input = item.querySelector('input');
+            input.value = component.weight;
+            input.addEventListener('change', () => this.setSleepScoreWeight(component.key, Number(input.value)));
+            container.appendChild(item);
+        });
+    }
+
+    setSleepScoreWeight(key, weight) {
+        if (!(key in this.sleepScoring.weights) || !Number.isFinite(weight) || weight < 0) {
+            this.showTooltip('Score weights must be non-negative numbers', 'warning');
+            this.renderSleepScoreBreakdown();
+            return;
+        }
+        
+        this.sleepScoring.weights[key] = weight;
+        console.log(`Sleep score weight ${key} set to ${weight}`);
+        try {
+            localStorage.setItem(this.sleepScoreWeightKey, JSON.stringify(this.sleepScoring.weights));
+        } catch (error) {
+            console.error('Error saving sleep score weights:', error);
+            this.showTooltip('Could not save the score weights; they only apply until the page is reloaded', 'warning');
+        }
+        this.updateSleepScore();
+    }
+
+    // Only known components with usable weights are taken, so a stale or edited entry cannot break scoring
+    loadSleepScoreWeights() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.sleepScoreWeightKey) || '{}');
+            Object.entries(stored).forEach(([key, weight]) => {
+                if (key in this.sleepScoring.weights && Number.isFinite(weight) && weight >= 0) this.sleepScoring.weights[key] = weight;
+            });
+        } catch (error) {
+            console.error('Error loading sleep score weights:', error);
+        }
+    }
+
+    renderSleepSummary() {
+        const container = document.getElementById('sleep-summary');
+        if (!container) return;
+        
+        const metrics = this.data?.sleepMetrics;
+        if (!metrics) {
+            container.innerHTML = '<div class="annotation-empty">Sleep staging has not run for this recording</div>';
+            return;
+        }
+        
+        const optionalDuration = (value) => (value === null ? '--' : this.formatDuration(value));
+        const items = [
+            ['Time in Bed', this.formatDuration(metrics.timeInBed)],
+            ['Total Sleep Time', this.formatDuration(metrics.totalSleepTime)],
+            ['Sleep Efficiency', `${metrics.sleepEfficiency.toFixed(1)}%`],
+            ['Sleep Onset Latency', optionalDuration(metrics.sleepOnsetLatency)],
+            ['WASO', `${this.formatDuration(metrics.waso)} (${metrics.awakenings} awakenings)`],
+            ['REM Latency', optionalDuration(metrics.remLatency)],
+            ['Sleep Cycles', `${metrics.cycles.filter(cycle => cycle.complete).length} complete${metrics.cycles.some(cycle => !cycle.complete) ? ' + 1 partial' : ''}`],
+            ['Stage Shifts', metrics.stageShifts],
+            ['REM Percentage', `${metrics.stagePercent.REM.toFixed(1)}%`],
+            ['Deep Sleep (N3)', `${metrics.stagePercent.N3.toFixed(1)}%`]
+        ];
+        if (metrics.excludedTime > 0) {
+            items.push(['Excluded (artifacts)', this.formatDuration(metrics.excludedTime)]);
+        }
+        
+        container.innerHTML = '';
+        items.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'summary-item';
+            item.innerHTML = '<span class="summary-label"></span><span class="summary-value"></span>';
+            item.querySelector('.summary-label').textContent = `${label}:`;
+            item.querySelector('.summary-value').textContent = value;
+            container.appendChild(item);
+        });
+    }
+
+    ordinal(n) {
+        const suffix = ['th', 'st', 'nd', 'rd'];
+        const v = n % 100;
+        return n + (suffix[(v - 20) % 10] || suffix[v] || suffix[0]);
+    }
+
+    getSleepOnsetEpoch() {
+        return this.data.sleepStages.find(epoch => epoch.stage !== 'W' && this.isScoredEpoch(epoch)) || null;
+    }
+
+    // Artifact epochs only carry a placeholder stage for the hypnogram, unless a scorer set one by hand
+    isScoredEpoch(epoch) {
+        return !epoch.artifact || epoch.source === 'manual';
+    }
+
+    // EOG channels when recorded, otherwise the frontopolar pair picks up the corneo-retinal dipole
+    getEyeMovementSource() {
+        const eog = this.data.channelNames.filter(name => this.data.channelTypes[name] === 'EOG');
+        if (eog.length >= 2) {
+            return { channels: eog.slice(0, 2), label: `${eog[0]} − ${eog[1]}` };
+        }
+        if (eog.length === 1) {
+            return { channels: eog, label: eog[0] };
+        }
+        
+        const frontal = ['Fp1', 'Fp2'].filter(name => this.data.channels[name]);
+        if (frontal.length > 0) {
+            return { channels: frontal, label: `${frontal.join(' − ')} (EOG proxy)`, proxy: true };
+        }
+        return null;
+    }
+
+    detectEyeMovements(source, episodes) {
+        const options = this.remDetection.eyeMovement;
+        const filtered = source.channels.map(name => this.getFilteredChannel(name, options.band[0], options.band[1]));
+        if (filtered.some(channel => !channel)) return [];
+        
+        // Conjugate eye movements swing the two sides in opposite directions
+        const signal = filtered.length === 2 ? filtered[0].map((value, i) => value - filtered[1][i]) : filtered[0];
+        
+        const threshold = Math.max(options.minAmplitude, options.threshold * this.percentile(signal.map(Math.abs), 0.5));
+        const maxRise = options.maxRiseTime * this.samplingRate;
+        const refractory = options.refractory * this.samplingRate;
+        const movements = [];
+        
+        episodes.forEach(episode => {
+            const start = Math.round(episode.onset * this.samplingRate);
+            const end = Math.min(signal.length, Math.round(episode.end * this.samplingRate));
+            let lastPeak = -Infinity;
+            
+            for (let i = start + 1; i < end - 1; i++) {
+                const value = Math.abs(signal[i]);
+                if (value < threshold || value < Math.abs(signal[i - 1]) || value < Math.abs(signal[i + 1])) continue;
+                if (i - lastPeak < refractory) continue;
+                
+                // Sharp deflection: the rise from near baseline must be quick
+                let rise = i;
+                while (rise > start && Math.abs(signal[rise]) > threshold / 4 && i - rise <= maxRise) rise--;
+                if (i - rise > maxRise) continue;
+                
+                movements.push({
+                    onset: this.data.time[rise],
+                    peak: this.data.time[i],
+                    amplitude: value,
+                    riseTime: (i - rise) / this.samplingRate,
+                    episode: episode.index
+                });
+                lastPeak = i;
+            }
+        });
+        
+        return movements;
+    }
+
+    updateREMStats() {
+        const summary = this.data.remSummary;
+        const set = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+        
+        if (!summary || this.data.sleepStages.length === 0) {
+            ['rem-episodes', 'rem-total', 'rem-efficiency', 'rem-latency', 'rem-density'].forEach(id => set(id, '--'));
+            return;
+        }
+        
+        set('rem-episodes', summary.episodes);
+        set('rem-total', this.formatDuration(summary.totalDuration));
+        set('rem-efficiency', summary.efficiency === null ? '--' : `${Math.round(summary.efficiency * 100)}%`);
+        set('rem-latency', summary.latency === null ? '--' : this.formatDuration(summary.latency));
+        set('rem-density', summary.density === null ? '--' : `${summary.density.toFixed(1)}/min`);
+    }
+
+    setActiveBand(band) {
+        console.log(`Setting active band to: ${band}`);
+        
+        // Update button states
+        document.querySelectorAll('.band-toggle').forEach(btn => {
+            btn.classList.remove('active');
+        });
+        
+        const activeButton = document.querySelector(`[data-band="${band}"]`);
+        if (activeButton) {
+            activeButton.classList.add('active');
+        }
+        
+        this.activeBand = band;
+        this.scheduleSessionSave();
+        
+        if (band !== 'all') {
+            const limits = this.getBandLimits(band);
+            if (limits.warning) {
+                this.showTooltip(limits.warning, 'warning');
+            }
+        }
+        
+        this.updateMainEEGPlot();
+    }
+
+    // Band edges usable at the current sampling rate, with a warning when Nyquist gets in the way
+    getBandLimits(band, samplingRate = this.samplingRate) {
+        const [low, high] = this.frequencyBands[band];
+        const nyquist = samplingRate / 2;
+        const label = `${band.charAt(0).toUpperCase() + band.slice(1)} (${low}-${high} Hz)`;
+        
+        if (low >= nyquist * 0.95) {
+            return {
+                low, high, available: false,
+                warning: `${label} is above the Nyquist frequency (${nyquist} Hz) of this ${samplingRate} Hz recording`
+            };
+        }
+        
+        if (high >= nyquist * 0.95) {
+            const clipped = Math.round(nyquist * 0.9 * 10) / 10;
+            return {
+                low, high: clipped, available: true,
+                warning: `${label} exceeds the Nyquist frequency (${nyquist} Hz); filtering up to ${clipped} Hz instead`
+            };
+        }
+        
+        return { low, high, available: true, warning: null };
+    }
+
+    // Zero-phase band-passed copy of a channel, cached per channel, band and rate
+    getBandFilteredChannel(channel, band) {
+        const limits = this.getBandLimits(band);
+        if (!limits.available) {
+            return null;
+        }
+        return this.getFilteredChannel(channel, limits.low, limits.high);
+    }
+
+    getFilteredChannel(channel, low, high) {
+        const nyquist = this.samplingRate / 2;
+        if (low >= nyquist * 0.95) {
+            return null;
+        }
+        high = Math.min(high, Math.round(nyquist * 0.9 * 10) / 10);
+        
+        const key = `${channel}|${low}-${high}|${this.samplingRate}`;
+        if (this.filterCache.has(key)) {
+            return this.filterCache.get(key);
+        }
+        
+        const samples = this.data.channels[channel];
+        if (!samples) {
+            return null;
+        }
+        
+        const started = performance.now();
+        const sections = this.designBandpass(low, high, this.samplingRate);
+        const padding = Math.ceil(3 * this.samplingRate / low);
+        const filtered = this.filtfilt(sections, samples, padding);
+        
+        console.log(`Filtered ${channel} to ${low}-${high} Hz in ${Math.round(performance.now() - started)} ms`);
+        this.filterCache.set(key, filtered);
+        return filtered;
+    }
+
+    // 4th-order Butterworth high-pass and low-pass, each as two RBJ biquad sections
+    designBandpass(low, high, samplingRate) {
+        const butterworthQ = [0.5412, 1.3066];
+        return [
+            ...butterworthQ.map(q => this.designBiquad('highpass', low, q, samplingRate)),
+            ...butterworthQ.map(q => this.designBiquad('lowpass', high, q, samplingRate))
+        ];
+    }
+
+    designBiquad(type, frequency, q, samplingRate) {
+        const w0 = 2 * Math.PI * frequency / samplingRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+        
+        const b = type === 'lowpass'
+            ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2]
+            : [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+        
+        return {
+            b0: b[0] / a0, b1: b[1] / a0, b2: b[2] / a0,
+            a1: -2 * cos / a0, a2: (1 - alpha) / a0
+        };
+    }
+
+    applyBiquads(sections, data) {
+        sections.forEach(({ b0, b1, b2, a1, a2 }) => {
+            let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+            for (let i = 0; i < data.length; i++) {
+                const x = data[i];
+                const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+                x2 = x1; x1 = x;
+                y2 = y1; y1 = y;
+                data[i] = y;
+            }
+        });
+    }
+
+    // Forward-backward filtering cancels the phase shift; odd reflection at the edges limits ringing
+    filtfilt(sections, samples, padding) {
+        const n = samples.length;
+        const pad = Math.min(padding, n - 1);
+        const work = new Float64Array(n + 2 * pad);
+        
+        for (let i = 0; i < pad; i++) {
+            work[i] = 2 * samples[0] - samples[pad - i];
+            work[n + pad + i] = 2 * samples[n - 1] - samples[n - 2 - i];
+        }
+        work.set(samples, pad);
+        
+        this.applyBiquads(sections, work);
+        work.reverse();
+        this.applyBiquads(sections, work);
+        work.reverse();
+        
+        return Float32Array.from(work.subarray(pad, pad + n));
+    }
+
+    // Page containing the playhead; pages are aligned to multiples of the page length
+    getViewerPage() {
+        const pageLength = this.viewer.pageLength;
+        const currentTime = this.data.time[this.currentTimeIndex] || 0;
+        const origin = this.data.time[0] || 0;
+        const start = origin + Math.floor((currentTime - origin) / pageLength) * pageLength;
+        
+        const startIndex = Math.max(0, Math.floor((start - origin) * this.samplingRate));
+        const endIndex = Math.min(this.data.time.length, startIndex + Math.round(pageLength * this.samplingRate));
+        return { start, end: start + pageLength, startIndex, endIndex };
+    }
+
+    // Min/max per bucket keeps spikes visible while capping the points handed to Plotly
+    decimateMinMax(samples, startIndex, endIndex, maxPoints, offset = 0, time = this.data.time) {
+        const length = endIndex - startIndex;
+        
+        if (length <= maxPoints) {
+            const x = new Float64Array(length);
+            const y = new Float32Array(length);
+            for (let i = 0; i < length; i++) {
+                x[i] = time[startIndex + i];
+                y[i] = samples[startIndex + i] + offset;
+            }
+            return { x, y };
+        }
+        
+        const buckets = Math.floor(maxPoints / 2);
+        const bucketSize = length / buckets;
+        const x = new Float64Array(buckets * 2);
+        const y = new Float32Array(buckets * 2);
+        
+        for (let b = 0; b < buckets; b++) {
+            const from = startIndex + Math.floor(b * bucketSize);
+            const to = startIndex + Math.floor((b + 1) * bucketSize);
+            let minIndex = from;
+            let maxIndex = from;
+            for (let i = from + 1; i < to; i++) {
+                if (samples[i] < samples[minIndex]) minIndex = i;
+                if (samples[i] > samples[maxIndex]) maxIndex = i;
+            }
+            
+            const [first, second] = minIndex < maxIndex ? [minIndex, maxIndex] : [maxIndex, minIndex];
+            x[b * 2] = time[first];
+            y[b * 2] = samples[first] + offset;
+            x[b * 2 + 1] = time[second];
+            y[b * 2 + 1] = samples[second] + offset;
+        }
+        
+        return { x, y };
+    }
+
+    updateMainEEGPlot() {
+        if (this.live && this.isInitialized) {
+            this.updateLiveEEGPlot();
+            return;
+        }
+        if (!this.data || !this.isInitialized) return;
+        
+        const page = this.getViewerPage();
+        const channels = this.getDisplayChannels();
+        const spacing = this.viewer.gain * this.viewer.laneMillimetres;
+        const lanes = {};
+        channels.forEach((channel, index) => {
+            lanes[channel] = index === 0 ? 0 : -index * spacing;
+        });
+        
+        const key = [page.start, channels.join(','), this.viewer.gain, this.activeBand, this.data.montage?.id, this.data.time.length].join('|');
+        const shapes = [
+            ...this.getEpochGridShapes(page),
+            ...this.getArtifactShapes(page.start, page.end, lanes, spacing),
+            ...this.getAnnotationShapes(page, lanes, spacing),
+            ...this.getStimulationShapes(page),
+            this.getViewerCursorShape()
+        ];
+        
+        // Within a page only the cursor moves, so the traces are left alone
+        if (key === this.viewer.pageKey) {
+            try {
+                Plotly.relayout('eeg-plot', { shapes });
+            } catch (error) {
+                console.error('Error moving EEG cursor:', error);
+            }
+            return;
+        }
+        this.viewer.pageKey = key;
+        
+        console.log(`Updating main EEG plot: page ${this.formatTime(page.start)}, ${channels.length} channels, band ${this.activeBand}`);
+        
+        const bandAvailable = this.activeBand === 'all' || this.getBandLimits(this.activeBand).available;
+        const traces = [];
+        channels.forEach(channel => {
+            const samples = this.activeBand === 'all' ? this.data.channels[channel] : this.getBandFilteredChannel(channel, this.activeBand);
+            if (!samples) return;
+            
+            const { x, y } = this.decimateMinMax(samples, page.startIndex, page.endIndex, this.viewer.maxPointsPerTrace, lanes[channel]);
+            traces.push({
+                x,
+                y,
+                type: 'scattergl',
+                mode: 'lines',
+                name: channel,
+                line: { color: this.activeBand === 'all' ? this.getChannelColor(channel) : this.getBandColor(this.activeBand), width: 1 },
+                hovertemplate: `${channel}<extra></extra>`
+            });
+        });
+        
+        let title = `${this.activeBand === 'all' ? 'Multi-Channel' : this.activeBand.toUpperCase() + ' Band'} EEG · ${this.viewer.gain} µV/mm · ${this.viewer.pageLength} s`;
+        if (!bandAvailable) {
+            title += ` (unavailable at ${this.samplingRate} Hz)`;
+        }
+        
+        const layout = {
+            title: {
+                text: title,
+                font: { size: 16, color: '#553C9A' }
+            },
+            shapes,
+            xaxis: {
+                title: 'Time (seconds)',
+                range: [page.start, page.end],
+                dtick: 1,
+                showgrid: true,
+                gridcolor: 'rgba(0,0,0,0.08)',
+                zeroline: false
+            },
+            yaxis: {
+                range: [-(channels.length - 0.5) * spacing, 0.5 * spacing],
+                tickvals: channels.map(channel => lanes[channel]),
+                ticktext: channels,
+                showgrid: false,
+                zeroline: false,
+                fixedrange: true
+            },
+            height: Math.max(400, channels.length * this.viewer.laneHeight + 100),
+            // Dragging across the traces drafts a new annotation
+            dragmode: 'select',
+            plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
+            paper_bgcolor: 'transparent',
+            margin: { l: 70, r: 20, t: 50, b: 50 },
+            showlegend: false
+        };
+        
+        try {
+            Plotly.react('eeg-plot', traces, layout);
+        } catch (error) {
+            console.error('Error updating EEG plot:', error);
+        }
+        
+        const pageLabel = document.getElementById('viewer-page-label');
+        if (pageLabel) {
+            const pages = Math.ceil((this.data.time[this.data.time.length - 1] - this.data.time[0]) / this.viewer.pageLength) || 1;
+            const index = Math.floor((page.start - this.data.time[0]) / this.viewer.pageLength) + 1;
+            pageLabel.textContent = `${this.formatTime(page.start)} · page ${index}/${pages}`;
+        }
+    }
+
+    // Events on the page, drawn in their channel's lane or across all lanes
+    getAnnotationShapes(page, lanes, spacing) {
+        return this.data.events
+            .filter(event => event.onset <= page.end && event.onset + event.duration >= page.start)
+            .filter(event => !event.channel || event.channel in lanes)
+            .map(event => {
+                const lane = event.channel ? lanes[event.channel] : null;
+                return {
+                    type: 'rect',
+                    xref: 'x',
+                    yref: lane === null ? 'paper' : 'y',
+                    x0: Math.max(event.onset, page.start),
+                    x1: Math.min(event.onset + Math.max(event.duration, 0.2), page.end),
+                    y0: lane === null ? 0 : lane - spacing / 2,
+                    y1: lane === null ? 1 : lane + spacing / 2,
+                    fillcolor: this.getEventColor(event.type),
+                    opacity: event.source === 'manual' ? 0.25 : 0.15,
+                    line: { width: event.source === 'manual' ? 1 : 0, color: this.getEventColor(event.type) },
+                    layer: 'below'
+                };
+            });
+    }
+
+    // Scoring epoch boundaries drawn heavier than the one-second grid
+    getEpochGridShapes(page) {
+        const shapes = [];
+        const origin = this.data.time[0] || 0;
+        const first = origin + Math.ceil((page.start - origin) / this.epochLength) * this.epochLength;
+        for (let t = first; t <= page.end; t += this.epochLength) {
+            shapes.push({
+                type: 'line',
+                xref: 'x',
+                yref: 'paper',
+                x0: t,
+                x1: t,
+                y0: 0,
+                y1: 1,
+                line: { color: 'rgba(85, 60, 154, 0.35)', width: 1.5 },
+                layer: 'below'
+            });
+        }
+        return shapes;
+    }
+
+    getViewerCursorShape() {
+        const currentTime = this.data.time[this.currentTimeIndex] || 0;
+        return {
+            type: 'line',
+            xref: 'x',
+            yref: 'paper',
+            x0: currentTime,
+            x1: currentTime,
+            y0: 0,
+            y1: 1,
+            line: { color: '#6366f1', width: 2, dash: 'dash' }
+        };
+    }
+
+    setViewerGain(gain) {
+        if (!this.viewer.gainOptions.includes(gain)) return;
+        this.viewer.gain = gain;
+        this.updateMainEEGPlot();
+    }
+
+    setViewerPageLength(pageLength) {
+        if (!this.viewer.pageOptions.includes(pageLength)) return;
+        this.viewer.pageLength = pageLength;
+        this.updateMainEEGPlot();
+    }
+
+    // Moves the playhead by whole pages, keeping its offset within the page
+    stepPage(direction) {
+        if (!this.data) return;
+        
+        const currentTime = this.data.time[this.currentTimeIndex] || 0;
+        const lastTime = this.data.time[this.data.time.length - 1];
+        const target = Math.max(this.data.time[0], Math.min(lastTime, currentTime + direction * this.viewer.pageLength));
+        this.seekToTime(target);
+    }
+
+    setViewerChannels(channels) {
+        this.viewer.channels = channels.filter(channel => this.data.channels[channel]);
+        this.renderViewerChannelPicker();
+        this.updateMainEEGPlot();
+    }
+
+    moveViewerChannel(channel, direction) {
+        const order = this.getViewerChannelOrder();
+        const index = order.findIndex(item => item.name === channel);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= order.length) return;
+        
+        [order[index], order[target]] = [order[target], order[index]];
+        this.viewer.order = order.map(item => item.name);
+        this.setViewerChannels(order.filter(item => item.visible).map(item => item.name));
+    }
+
+    // Every channel of the recording, selected ones first in display order
+    getViewerChannelOrder() {
+        const visible = this.getDisplayChannels();
+        const order = this.viewer.order?.filter(name => this.data.channels[name]) || [];
+        const rest = this.data.channelNames.filter(name => !order.includes(name));
+        const all = [...order, ...rest];
+        return [...visible, ...all.filter(name => !visible.includes(name))].map(name => ({ name, visible: visible.includes(name) }));
+    }
+
+    renderViewerChannelPicker() {
+        const container = document.getElementById('viewer-channel-list');
+        if (!container || !this.data) return;
+        
+        container.innerHTML = '';
+        this.getViewerChannelOrder().forEach(({ name, visible }) => {
+            const row = document.createElement('div');
+            row.className = 'viewer-channel';
+            row.innerHTML = `
+                <label><input type="checkbox"> <span></span></label>
+                <button class="viewer-move" data-direction="-1" title="Move up"><i class="fas fa-chevron-up"></i></button>
+                <button class="viewer-move" data-direction="1" title="Move down"><i class="fas fa-chevron-down"></i></button>
+            `;
+            row.querySelector('span').textContent = name;
+            
+            const checkbox = row.querySelector('input');
+            checkbox.checked = visible;
+            checkbox.addEventListener('change', () => {
+                const selected = this.getViewerChannelOrder().filter(item => (item.name === name ? checkbox.checked : item.visible)).map(item => item.name);
+                if (selected.length === 0) {
+                    checkbox.checked = true;
+                    this.showTooltip('At least one channel must stay visible', 'warning');
+                    return;
+                }
+                this.setViewerChannels(selected);
+            });
+            
+            row.querySelectorAll('.viewer-move').forEach(button => {
+                button.addEventListener('click', () => this.moveViewerChannel(name, Number(button.dataset.direction)));
+            });
+            container.appendChild(row);
+        });
+    }
+
+    updateMiniEEGPlot() {
+        if (this.live && this.isInitialized) {
+            this.updateLiveMiniPlot();
+            return;
+        }
+        if (!this.data || !this.isInitialized) return;
+        
+        const windowSize = Math.round(5 * this.samplingRate); // 5 second window
+        const startIndex = Math.max(0, this.currentTimeIndex - Math.floor(windowSize / 2));
+        const endIndex = Math.min(this.data.time.length, startIndex + windowSize);
+        
+        const timeWindow = this.data.time.slice(startIndex, endIndex);
+        const channelData = this.data.channels[this.getPrimaryChannel()]?.slice(startIndex, endIndex) || [];
+        
+        const trace = {
+            x: timeWindow,
+            y: channelData,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#98FB98', width: 1 },
+            showlegend: false
+        };
+        
+        const layout = {
+            showlegend: false,
+            margin: { l: 0, r: 0, t: 0, b: 0 },
+            xaxis: { visible: false },
+            yaxis: { visible: false },
+            plot_bgcolor: 'transparent',
+            paper_bgcolor: 'transparent'
+        };
+        
+        try {
+            Plotly.react('mini-eeg-plot', [trace], layout);
+        } catch (error) {
+            console.error('Error updating mini EEG plot:', error);
+        }
+    }
+
+    getDisplayChannels() {
+        // The reader's selection, otherwise every channel in recording order
+        const selected = (this.viewer.channels || []).filter(channel => this.data.channels[channel]);
+        const channels = selected.length > 0 ? selected : this.data.channelNames;
+        
+        // A channel picked on the scalp map is always shown, on top
+        if (this.focusedChannel && this.data.channels[this.focusedChannel]) {
+            return [this.focusedChannel, ...channels.filter(channel => channel !== this.focusedChannel)];
+        }
+        return channels;
+    }
+
+    getPrimaryChannel() {
+        if (this.focusedChannel && this.data.channels[this.focusedChannel]) return this.focusedChannel;
+        return this.data.channels['C3'] ? 'C3' : this.data.channelNames[0];
+    }
+
+    getChannelColor(channel) {
+        const colors = {
+            'Fp1': '#87CEEB', 'Fp2': '#87CEEB',
+            'F3': '#87CEEB', 'F4': '#87CEEB',
+            'C3': '#98FB98', 'C4': '#98FB98',
+            'P3': '#DDA0DD', 'P4': '#DDA0DD',
+            'O1': '#FFB6C1', 'O2': '#FFB6C1'
+        };
+        return colors[channel] || '#888888';
+    }
+
+    getBandColor(band) {
+        const colors = {
+            'delta': '#87CEEB',
+            'theta': '#DDA0DD',
+            'alpha': '#98FB98',
+            'beta': '#FFDAB9',
+            'gamma': '#FFB6C1'
+        };
+        return colors[band] || '#888888';
+    }
+
+    initSpectralPanel() {
+        if (!this.data || typeof Plotly === 'undefined') return;
+        
+        const select = document.getElementById('spectral-channel');
+        const channel = this.spectralChannel || this.getPrimaryChannel();
+        this.spectralChannel = channel;
+        
+        if (select) {
+            select.innerHTML = '';
+            this.data.channelNames.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                option.selected = name === channel;
+                select.appendChild(option);
+            });
+        }
+        
+        this.updatePSDPlot(true);
+        this.updateSpectrogramPlot();
+    }
+
+    initTopoMap() {
+        const select = document.getElementById('topo-measure');
+        if (select) {
+            select.innerHTML = '';
+            [...Object.keys(this.frequencyBands), 'amplitude'].forEach(measure => {
+                const option = document.createElement('option');
+                option.value = measure;
+                option.textContent = measure === 'amplitude' ? 'Amplitude (RMS)' : `${measure.charAt(0).toUpperCase()}${measure.slice(1)} power`;
+                option.selected = measure === this.topoMeasure;
+                select.appendChild(option);
+            });
+        }
+        
+        const plot = document.getElementById('topo-plot');
+        if (!plot || typeof Plotly === 'undefined') return;
+        
+        this.updateTopoMap(true);
+        if (typeof plot.on !== 'function') return;
+        
+        plot.on('plotly_click', (event) => {
+            const channel = event.points?.[0]?.customdata;
+            if (channel) this.focusChannel(channel);
+        });
+    }
+
+    getPositionedChannels() {
+        const types = this.data.channelTypes;
+        return this.data.channelNames.filter(name => this.electrodePositions[name] && (!types[name] || types[name] === 'EEG'));
+    }
+
+    // Per-electrode value for the epoch under the playhead: band power in dB or RMS amplitude in µV
+    computeTopoValues(measure, epoch) {
+        const { start, end } = this.getEpochBounds(epoch);
+        const limits = measure === 'amplitude' ? null : this.getBandLimits(measure);
+        if (limits && !limits.available) return null;
+        
+        const values = {};
+        this.getPositionedChannels().forEach(channel => {
+            const mask = this.getArtifactMask(channel);
+            if (this.maskFraction(mask, start, end) > this.artifactDetection.epochRejectFraction) return;
+            
+            const samples = this.data.channels[channel];
+            if (!limits) {
+                values[channel] = this.computeRMS(samples, start, end);
+                return;
+            }
+            
+            const psd = this.computeWelchPSD(samples, start, end, this.samplingRate, undefined, mask);
+            if (psd) {
+                values[channel] = 10 * Math.log10(this.integratePSD(psd.frequencies, psd.power, limits.low, limits.high) + 1e-12);
+            }
+        });
+        
+        return values;
+    }
+
+    // Inverse-distance weighting on a square grid, blanked outside the head
+    interpolateScalp(values, resolution = 41) {
+        const points = Object.entries(values).map(([channel, value]) => [...this.electrodePositions[channel], value]);
+        const axis = Array.from({ length: resolution }, (_, i) => -1.1 + 2.2 * i / (resolution - 1));
+        
+        const z = axis.map(y => axis.map(x => {
+            if (x * x + y * y > 1.1 * 1.1) return null;
+            
+            let weighted = 0;
+            let total = 0;
+            for (const [px, py, value] of points) {
+                const distance = (x - px) ** 2 + (y - py) ** 2;
+                if (distance < 1e-9) return value;
+                weighted += value / distance;
+                total += 1 / distance;
+            }
+            return weighted / total;
+        }));
+        
+        return { x: axis, y: axis, z };
+    }
+
+    updateTopoMap(force = false) {
+        if (!this.data || typeof Plotly === 'undefined') return;
+        
+        const status = document.getElementById('topo-status');
+        const epoch = this.getEpochAtIndex(this.currentTimeIndex);
+        const key = `${epoch}|${this.topoMeasure}|${this.focusedChannel}`;
+        if (!force && key === this.topoKey) return;
+        this.topoKey = key;
+        
+        const channels = this.getPositionedChannels();
+        const values = channels.length >= 3 ? this.computeTopoValues(this.topoMeasure, epoch) : null;
+        const measured = values ? Object.keys(values) : [];
+        
+        if (status) {
+            if (channels.length < 3) status.textContent = 'Needs at least 3 channels at 10-20 positions';
+            else if (!values) status.textContent = `${this.topoMeasure} band unavailable at ${this.samplingRate} Hz`;
+            else status.textContent = `Epoch ${epoch + 1}, ${measured.length} of ${channels.length} electrodes`;
+        }
+        
+        const unit = this.topoMeasure === 'amplitude' ? 'µV' : 'dB';
+        const traces = [];
+        if (measured.length >= 3) {
+            const grid = this.interpolateScalp(values);
+            traces.push({
+                ...grid,
+                type: 'contour',
+                colorscale: 'RdBu',
+                reversescale: true,
+                connectgaps: false,
+                contours: { coloring: 'heatmap', showlines: true },
+                line: { width: 0.5, color: 'rgba(255,255,255,0.4)' },
+                colorbar: { title: { text: unit, side: 'right' }, thickness: 10, len: 0.8 },
+                hoverinfo: 'skip'
+            });
+        }
+        
+        traces.push({
+            x: channels.map(channel => this.electrodePositions[channel][0]),
+            y: channels.map(channel => this.electrodePositions[channel][1]),
+            customdata: channels,
+            text: channels,
+            type: 'scatter',
+            mode: 'markers+text',
+            textposition: 'top center',
+            textfont: { size: 9, color: '#2D3748' },
+            marker: {
+                size: channels.map(channel => (channel === this.focusedChannel ? 12 : 8)),
+                color: channels.map(channel => (values && channel in values ? '#2D3748' : '#A0AEC0')),
+                line: { color: 'white', width: 1 }
+            },
+            hovertemplate: channels.map(channel => (values && channel in values
+                ? `${channel}: ${values[channel].toFixed(1)} ${unit}<extra></extra>`
+                : `${channel}: rejected<extra></extra>`)),
+            showlegend: false
+        });
+        
+        const layout = {
+            xaxis: { visible: false, range: [-1.3, 1.3], fixedrange: true },
+            yaxis: { visible: false, range: [-1.25, 1.35], scaleanchor: 'x', fixedrange: true },
+            shapes: [
+                { type: 'circle', x0: -1.1, y0: -1.1, x1: 1.1, y1: 1.1, line: { color: '#4A5568', width: 2 } },
+                { type: 'path', path: 'M -0.15 1.09 L 0 1.28 L 0.15 1.09', line: { color: '#4A5568', width: 2 } },
+                { type: 'path', path: 'M -1.1 0.15 Q -1.22 0 -1.1 -0.15', line: { color: '#4A5568', width: 2 } },
+                { type: 'path', path: 'M 1.1 0.15 Q 1.22 0 1.1 -0.15', line: { color: '#4A5568', width: 2 } }
+            ],
+            margin: { t: 10, r: 10, b: 10, l: 10 },
+            paper_bgcolor: 'rgba(0,0,0,0)',
+            plot_bgcolor: 'rgba(0,0,0,0)',
+            showlegend: false
+        };
+        
+        const config = {
+            displayModeBar: false,
+            responsive: true
+        };
+        
+        try {
+            Plotly.react('topo-plot', traces, layout, config);
+        } catch (error) {
+            console.error('Error updating scalp map:', error);
+        }
+    }
+
+    // Brings a channel into the main EEG plot and the spectral panel
+    focusChannel(channel) {
+        if (!this.data.channels[channel]) return;
+        
+        this.focusedChannel = channel;
+        this.spectralChannel = channel;
+        console.log(`Focused channel ${channel}`);
+        
+        this.updateMainEEGPlot();
+        this.initSpectralPanel();
+        this.updateTopoMap(true);
+        document.getElementById('eeg-plot')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.showTooltip(`Showing ${channel} in the EEG plot`, 'info');
+    }
+
+    // Views that follow the playhead but are too heavy to redraw on every frame
+    updateLinkedViews() {
+        if (!this.isInitialized) return;
+        
+        // Redrawn at most a few times per second during playback
+        clearTimeout(this.linkedViewTimer);
+        const now = performance.now();
+        if (now - this.lastLinkedViewUpdate > 250) {
+            this.lastLinkedViewUpdate = now;
+            this.updatePSDPlot();
+            this.updateSpectrogramCursor();
+            this.updateHypnogramCursor();
+            this.updateTopoMap();
+            this.updateRegionViews();
+        } else {
+            // Make sure the views catch up once scrubbing stops
+            this.linkedViewTimer = setTimeout(() => this.updateLinkedViews(), 300);
+        }
+    }
+
+    updatePSDPlot(force = false) {
+        const samples = this.data.channels[this.spectralChannel];
+        if (!samples) return;
+        
+        // Same 30 s window the main plot shows
+        const windowSize = Math.min(Math.round(30 * this.samplingRate), this.data.time.length);
+        const startIndex = Math.max(0, Math.min(this.currentTimeIndex - Math.floor(windowSize / 2), this.data.time.length - windowSize));
+        const psd = this.computeWelchPSD(samples, startIndex, startIndex + windowSize, this.samplingRate, undefined, this.getArtifactMask(this.spectralChannel));
+        if (!psd) return;
+        
+        const maxFrequency = Math.min(this.samplingRate / 2, 50);
+        const frequencies = [];
+        const power = [];
+        psd.frequencies.forEach((frequency, i) => {
+            if (frequency > 0 && frequency <= maxFrequency) {
+                frequencies.push(frequency);
+                power.push(10 * Math.log10(psd.power[i] + 1e-12));
+            }
+        });
+        
+        const trace = {
+            x: frequencies,
+            y: power,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#553C9A', width: 2 },
+            hovertemplate: '%{x:.1f} Hz: %{y:.1f} dB<extra></extra>'
+        };
+        
+        const layout = {
+            title: { text: `PSD · ${this.spectralChannel}`, font: { size: 13, color: '#553C9A' } },
+            xaxis: { title: 'Frequency (Hz)', range: [0, maxFrequency] },
+            yaxis: { title: 'Power (dB µV²/Hz)' },
+            shapes: this.getBandBoundaryShapes('x', maxFrequency),
+            margin: { l: 50, r: 10, t: 35, b: 40 },
+            showlegend: false,
+            plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
+            paper_bgcolor: 'transparent'
+        };
+        
+        try {
+            if (force) {
+                Plotly.newPlot('psd-plot', [trace], layout, { displayModeBar: false, responsive: true });
+            } else {
+                Plotly.react('psd-plot', [trace], layout);
+            }
+        } catch (error) {
+            console.error('Error updating PSD plot:', error);
+        }
+    }
+
+    async updateSpectrogramPlot() {
+        const channel = this.spectralChannel;
+        const status = document.getElementById('spectral-status');
+        if (status) status.textContent = 'Computing spectrogram...';
+        
+        const spectra = await this.getEpochSpectra(channel);
+        
+        // The user may have switched channel or recording while we were computing
+        if (!spectra || channel !== this.spectralChannel) return;
+        const rejected = spectra.epochs.filter(epoch => !epoch.power).length;
+        if (status) status.textContent = `${spectra.epochs.length} epochs of ${this.epochLength}s${rejected ? `, ${rejected} rejected` : ''}`;
+        
+        const maxFrequency = Math.min(this.samplingRate / 2, 50);
+        const rows = [];
+        spectra.frequencies.forEach((frequency, i) => {
+            if (frequency > 0 && frequency <= maxFrequency) rows.push(i);
+        });
+        
+        const trace = {
+            x: spectra.epochs.map(epoch => epoch.start / 3600),
+            y: rows.map(i => spectra.frequencies[i]),
+            z: rows.map(i => spectra.epochs.map(epoch => (epoch.power ? 10 * Math.log10(epoch.power[i] + 1e-12) : null))),
+            type: 'heatmap',
+            colorscale: 'Viridis',
+            colorbar: { title: 'dB', thickness: 10 },
+            hovertemplate: '%{x:.2f} h, %{y:.1f} Hz: %{z:.1f} dB<extra></extra>'
+        };
+        
+        const layout = {
+            title: { text: `Spectrogram · ${channel}`, font: { size: 13, color: '#553C9A' } },
+            xaxis: { title: 'Time (hours)' },
+            yaxis: { title: 'Frequency (Hz)', range: [0, maxFrequency] },
+            shapes: [...this.getBandBoundaryShapes('y', maxFrequency), this.getPlayheadShape('#ffffff')],
+            margin: { l: 50, r: 10, t: 35, b: 40 },
+            showlegend: false,
+            paper_bgcolor: 'transparent'
+        };
+        
+        try {
+            Plotly.newPlot('spectrogram-plot', [trace], layout, { displayModeBar: false, responsive: true });
+        } catch (error) {
+            console.error('Error drawing spectrogram:', error);
+        }
+    }
+
+    updateSpectrogramCursor() {
+        const plot = document.getElementById('spectrogram-plot');
+        if (!plot || !plot.layout || typeof Plotly === 'undefined') return;
+        
+        const shapes = [...(plot.layout.shapes || []).filter(shape => shape.name !== 'cursor'), this.getPlayheadShape('#ffffff')];
+        Plotly.relayout(plot, { shapes });
+    }
+
+    // Vertical playhead line for plots whose x axis is hours into the recording
+    getPlayheadShape(color) {
+        const hours = (this.data.time[this.currentTimeIndex] || 0) / 3600;
+        return {
+            name: 'cursor',
+            type: 'line',
+            xref: 'x',
+            yref: 'paper',
+            x0: hours,
+            x1: hours,
+            y0: 0,
+            y1: 1,
+            line: { color, width: 2, dash: 'dash' }
+        };
+    }
+
+    // Dotted lines at each frequencyBands edge, along the given axis
+    getBandBoundaryShapes(axis, maxFrequency) {
+        const edges = new Set();
+        Object.values(this.frequencyBands).forEach(([low, high]) => {
+            edges.add(low);
+            edges.add(high);
+        });
+        
+        const other = axis === 'x' ? 'y' : 'x';
+        return [...edges].filter(edge => edge <= maxFrequency).map(edge => ({
+            type: 'line',
+            [`${axis}ref`]: axis,
+            [`${other}ref`]: 'paper',
+            [`${axis}0`]: edge,
+            [`${axis}1`]: edge,
+            [`${other}0`]: 0,
+            [`${other}1`]: 1,
+            line: { color: 'rgba(85, 60, 154, 0.5)', width: 1, dash: 'dot' }
+        }));
+    }
+
+    // Welch PSD over samples[start, end): Hann window, 50% overlap, one-sided µV²/Hz.
+    // Segments touching a rejected sample in the optional artifact mask are left out.
+    computeWelchPSD(samples, start, end, samplingRate, segmentLength = this.getWelchSegmentLength(samplingRate), mask = null) {
+        const length = end - start;
+        if (length < segmentLength) return null;
+        
+        const window = new Float64Array(segmentLength);
+        let windowPower = 0;
+        for (let i = 0; i < segmentLength; i++) {
+            window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (segmentLength - 1));
+            windowPower += window[i] * window[i];
+        }
+        
+        const bins = segmentLength / 2 + 1;
+        const power = new Float64Array(bins);
+        const step = segmentLength / 2;
+        let segments = 0;
+        
+        for (let offset = start; offset + segmentLength <= end; offset += step) {
+            if (mask && this.maskHasRejection(mask, offset, offset + segmentLength)) continue;
+            
+            let mean = 0;
+            for (let i = 0; i < segmentLength; i++) mean += samples[offset + i];
+            mean /= segmentLength;
+            
+            const segment = new Array(segmentLength);
+            for (let i = 0; i < segmentLength; i++) {
+                segment[i] = (samples[offset + i] - mean) * window[i];
+            }
+            
+            fftjs.fftInPlace(segment);
+            for (let k = 0; k < bins; k++) {
+                const [re, im] = segment[k];
+                power[k] += re * re + im * im;
+            }
+            segments++;
+        }
+        
+        if (segments === 0) return null;
+        
+        const scale = 1 / (samplingRate * windowPower * segments);
+        const frequencies = new Float64Array(bins);
+        for (let k = 0; k < bins; k++) {
+            // Fold negative frequencies into the one-sided spectrum
+            power[k] *= (k === 0 || k === bins - 1) ? scale : 2 * scale;
+            frequencies[k] = k * samplingRate / segmentLength;
+        }
+        
+        return { frequencies, power };
+    }
+
+    getWelchSegmentLength(samplingRate) {
+        // Largest power of two within 4 seconds gives ≤0.5 Hz resolution at typical EEG rates
+        return 2 ** Math.floor(Math.log2(Math.max(8, 4 * samplingRate)));
+    }
+
+    // Absolute and relative power per frequencyBands entry, integrated from a PSD
+    computeBandPowers(psd) {
+        const df = psd.frequencies[1] - psd.frequencies[0];
+        const nyquist = psd.frequencies[psd.frequencies.length - 1];
+        const absolute = {};
+        let total = 0;
+        
+        Object.entries(this.frequencyBands).forEach(([band, [low, high]]) => {
+            let sum = 0;
+            psd.frequencies.forEach((frequency, i) => {
+                if (frequency >= low && frequency < high && frequency <= nyquist) {
+                    sum += psd.power[i] * df;
+                }
+            });
+            absolute[band] = sum;
+            total += sum;
+        });
+        
+        const relative = {};
+        Object.keys(absolute).forEach(band => {
+            relative[band] = total > 0 ? absolute[band] / total : 0;
+        });
+        
+        return { absolute, relative, total };
+    }
+
+    getEpochCount() {
+        return Math.ceil(this.data.time.length / Math.round(this.epochLength * this.samplingRate));
+    }
+
+    getEpochBounds(epochIndex) {
+        const epochSamples = Math.round(this.epochLength * this.samplingRate);
+        const start = epochIndex * epochSamples;
+        return { start, end: Math.min(this.data.time.length, start + epochSamples) };
+    }
+
+    getEpochAtIndex(timeIndex) {
+        return Math.floor(timeIndex / Math.round(this.epochLength * this.samplingRate));
+    }
+
+    // Per-epoch Welch spectra and band powers for a channel, shared by every view that needs them
+    getEpochSpectra(channel) {
+        if (!this.spectralCache.has(channel)) {
+            this.spectralCache.set(channel, this.computeEpochSpectra(channel));
+        }
+        return this.spectralCache.get(channel);
+    }
+
+    async computeEpochSpectra(channel) {
+        const data = this.data;
+        const samples = data.channels[channel];
+        if (!samples) return null;
+        
+        const started = performance.now();
+        const segmentLength = this.getWelchSegmentLength(this.samplingRate);
+        const mask = this.getArtifactMask(channel);
+        const epochCount = this.getEpochCount();
+        const epochs = [];
+        let frequencies = null;
+        
+        // One entry per epoch; epochs with no clean segment keep their slot with empty spectra
+        for (let index = 0; index < epochCount; index++) {
+            const { start, end } = this.getEpochBounds(index);
+            const psd = this.computeWelchPSD(samples, start, end, this.samplingRate, segmentLength, mask);
+            
+            if (psd) {
+                frequencies = psd.frequencies;
+                const bandPower = this.computeBandPowers(psd);
+                epochs.push({
+                    index,
+                    start: data.time[start],
+                    power: Float32Array.from(psd.power),
+                    bandPower: bandPower.absolute,
+                    relativePower: bandPower.relative,
+                    totalPower: bandPower.total
+                });
+            } else {
+                epochs.push({ index, start: data.time[start], power: null, bandPower: null, relativePower: null, totalPower: 0 });
+            }
+            
+            // Hand the main thread back regularly on long nights
+            if (index % 50 === 49) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (this.data !== data) return null;
+            }
+        }
+        
+        if (this.data !== data || !frequencies) return null;
+        console.log(`Epoch spectra for ${channel}: ${epochs.length} epochs in ${Math.round(performance.now() - started)} ms`);
+        return { channel, frequencies, segmentLength, epochs };
+    }
+
+    // Automatic staging: 30 s epochs, feature extraction, rule-based stage probabilities
+    async runSleepStaging() {
+        if (!this.data) return;
+        
+        try {
+            const data = this.data;
+            const started = performance.now();
+            console.log('Running automatic sleep staging...');
+            
+            const features = await this.extractStagingFeatures();
+            if (!features || this.data !== data) return;
+            
+            const normalized = this.normalizeStagingFeatures(features);
+            const epochs = features.map((feature, i) => {
+                const { start, end } = this.getEpochBounds(feature.epoch);
+                const epoch = {
+                    epoch: feature.epoch,
+                    start: data.time[start],
+                    end: data.time[end - 1] + 1 / this.samplingRate,
+                    stage: null,
+                    confidence: 0,
+                    probabilities: null,
+                    features: feature,
+                    source: 'auto'
+                };
+                
+                if (!feature.excluded) {
+                    epoch.probabilities = this.scoreEpochStages(feature, normalized[i]);
+                    [epoch.stage, epoch.confidence] = Object.entries(epoch.probabilities).sort((a, b) => b[1] - a[1])[0];
+                }
+                return epoch;
+            });
+            
+            this.fillArtifactEpochs(epochs);
+            this.smoothStageSequence(epochs);
+            this.applyManualStages(epochs);
+            data.sleepStages = epochs;
+            
+            console.log(`Staged ${epochs.length} epochs in ${Math.round(performance.now() - started)} ms`);
+            this.updateStagingViews();
+        } catch (error) {
+            console.error('Error in sleep staging:', error);
+            this.showTooltip(`Sleep staging failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Everything derived from data.sleepStages
+    updateStagingViews() {
+        this.analyzeREMSleep();
+        this.computeSleepArchitecture();
+        this.updateArchitectureViews();
+        this.updateStageDisplay();
+        this.updateHypnogramPlot();
+        this.updateSleepCycleChart();
+        this.updateScoringComparison();
+        this.scheduleSessionSave();
+    }
+
+    // Maps the usual hypnogram spellings (R&K numbers, EDF+ "Sleep stage 2", AASM letters) to our stages
+    parseStageLabel(text) {
+        const label = String(text).trim().toUpperCase().replace(/^SLEEP[ _]STAGE[ _]?/, '').replace(/^STAGE[ _]?/, '');
+        const stages = {
+            W: 'W', WAKE: 'W', 0: 'W',
+            N1: 'N1', S1: 'N1', 1: 'N1',
+            N2: 'N2', S2: 'N2', 2: 'N2',
+            N3: 'N3', S3: 'N3', S4: 'N3', N4: 'N3', 3: 'N3', 4: 'N3', SWS: 'N3',
+            R: 'REM', REM: 'REM', 5: 'REM'
+        };
+        return stages[label] || null;
+    }
+
+    // EDF+ hypnograms arrive as "Sleep stage X" annotations spanning one or more epochs
+    importAnnotatedScoring() {
+        const staged = this.data.events
+            .filter(event => event.source === 'edf')
+            .map(event => ({ event, stage: /stage/i.test(event.label) ? this.parseStageLabel(event.label) : null }))
+            .filter(item => item.stage);
+        if (staged.length === 0 || this.data.scorings.edf) return;
+        
+        const origin = this.data.time[0] || 0;
+        const stages = new Array(this.getEpochCount()).fill(null);
+        staged.forEach(({ event, stage }) => {
+            const first = Math.max(0, Math.round((event.onset - origin) / this.epochLength));
+            const count = Math.max(1, Math.round(event.duration / this.epochLength));
+            for (let epoch = first; epoch < Math.min(stages.length, first + count); epoch++) {
+                stages[epoch] = stage;
+            }
+        });
+        
+        this.data.scorings.edf = { id: 'edf', name: 'EDF hypnogram', stages };
+        console.log(`Imported EDF hypnogram: ${stages.filter(Boolean).length} scored epochs`);
+    }
+
+    // One stage per row, optionally after an epoch number or onset column; unknown labels stay unscored
+    importScoringFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const rows = Papa.parse(String(reader.result), { skipEmptyLines: true }).data;
+            const stages = rows.map(row => {
+                const cells = row.map(cell => String(cell).trim()).filter(Boolean);
+                return cells.length ? this.parseStageLabel(cells[cells.length - 1]) : null;
+            });
+            // Drop a header row
+            if (stages.length && stages[0] === null && rows[0].some(cell => /[a-z]/i.test(cell))) stages.shift();
+            
+            const scored = stages.filter(Boolean).length;
+            if (scored === 0) {
+                this.showTooltip(`No sleep stages found in ${file.name}`, 'error');
+                return;
+            }
+            
+            const count = this.getEpochCount();
+            if (stages.length !== count) {
+                this.showTooltip(`${file.name} has ${stages.length} epochs, the recording has ${count}`, 'warning');
+            }
+            
+            const id = `file:${file.name}`;
+            this.data.scorings[id] = { id, name: file.name, stages: Array.from({ length: count }, (_, i) => stages[i] || null) };
+            this.scoringComparison.reference = id;
+            console.log(`Imported scoring ${file.name}: ${scored} scored epochs`);
+            this.showTooltip(`Imported scoring from ${file.name}`, 'success');
+            this.updateScoringComparison();
+        };
+        reader.onerror = () => this.showTooltip(`Could not read ${file.name}`, 'error');
+        reader.readAsText(file);
+    }
+
+    getScoringOptions() {
+        return [
+            { id: 'auto', name: 'Automatic' },
+            { id: 'manual', name: 'Manual' },
+            ...Object.values(this.data?.scorings || {}).map(({ id, name }) => ({ id, name }))
+        ];
+    }
+
+    // Stage per epoch for a scoring; null where it has no opinion
+    getScoringStages(id) {
+        const count = this.getEpochCount();
+        if (id === 'auto') {
+            return Array.from({ length: count }, (_, i) => {
+                const epoch = this.data.sleepStages[i];
+                return epoch && !epoch.artifact ? epoch.autoStage || epoch.stage : null;
+            });
+        }
+        if (id === 'manual') {
+            return Array.from({ length: count }, (_, i) => this.data.manualStages[i] || null);
+        }
+        return this.data.scorings[id]?.stages.slice(0, count) || null;
+    }
+
+    // Per-epoch agreement, Cohen's kappa and a confusion matrix over epochs both scorings staged
+    compareScorings(referenceId, candidateId) {
+        const reference = this.getScoringStages(referenceId);
+        const candidate = this.getScoringStages(candidateId);
+        if (!reference || !candidate) return null;
+        
+        const stages = Object.keys(this.sleepStages);
+        const matrix = Object.fromEntries(stages.map(stage => [stage, Object.fromEntries(stages.map(other => [other, 0]))]));
+        const disagreements = [];
+        let compared = 0;
+        let agreed = 0;
+        
+        reference.forEach((stage, epoch) => {
+            const other = candidate[epoch];
+            if (!stage || !other) return;
+            compared++;
+            matrix[stage][other]++;
+            if (stage === other) agreed++;
+            else disagreements.push(epoch);
+        });
+        
+        if (compared === 0) return { reference: referenceId, candidate: candidateId, compared: 0 };
+        
+        const rowTotals = Object.fromEntries(stages.map(stage => [stage, stages.reduce((sum, other) => sum + matrix[stage][other], 0)]));
+        const columnTotals = Object.fromEntries(stages.map(stage => [stage, stages.reduce((sum, other) => sum + matrix[other][stage], 0)]));
+        const observed = agreed / compared;
+        const expected = stages.reduce((sum, stage) => sum + rowTotals[stage] * columnTotals[stage], 0) / (compared * compared);
+        const kappa = expected < 1 ? (observed - expected) / (1 - expected) : 1;
+        
+        // Per-stage agreement as F1, so a stage one scorer never uses still shows up as poor
+        const perStage = Object.fromEntries(stages.map(stage => {
+            const both = rowTotals[stage] + columnTotals[stage];
+            return [stage, { reference: rowTotals[stage], candidate: columnTotals[stage], agreement: both ? 2 * matrix[stage][stage] / both : null }];
+        }));
+        
+        return {
+            reference: referenceId,
+            candidate: candidateId,
+            compared,
+            agreed,
+            agreement: observed,
+            kappa,
+            matrix,
+            perStage,
+            hotspots: this.findDisagreementHotspots(disagreements, reference, candidate)
+        };
+    }
+
+    // Runs of disagreeing epochs, longest first
+    findDisagreementHotspots(disagreements, reference, candidate) {
+        const { hotspotMinEpochs, hotspotGap } = this.scoringComparison;
+        const runs = [];
+        disagreements.forEach(epoch => {
+            const last = runs[runs.length - 1];
+            if (last && epoch - last.lastEpoch <= hotspotGap + 1) {
+                last.lastEpoch = epoch;
+                last.epochs.push(epoch);
+            } else {
+                runs.push({ firstEpoch: epoch, lastEpoch: epoch, epochs: [epoch] });
+            }
+        });
+        
+        const origin = this.data.time[0] || 0;
+        return runs
+            .filter(run => run.epochs.length >= hotspotMinEpochs)
+            .map(run => {
+                const pairs = {};
+                run.epochs.forEach(epoch => {
+                    const key = `${reference[epoch]} → ${candidate[epoch]}`;
+                    pairs[key] = (pairs[key] || 0) + 1;
+                });
+                return {
+                    start: origin + run.firstEpoch * this.epochLength,
+                    end: origin + (run.lastEpoch + 1) * this.epochLength,
+                    firstEpoch: run.firstEpoch,
+                    lastEpoch: run.lastEpoch,
+                    disagreements: run.epochs.length,
+                    pattern: Object.entries(pairs).sort((a, b) => b[1] - a[1])[0][0]
+                };
+            })
+            .sort((a, b) => b.disagreements - a.disagreements || a.start - b.start);
+    }
+
+    // Landis & Koch bands
+    getKappaRating(kappa) {
+        if (kappa > 0.8) return 'almost perfect';
+        if (kappa > 0.6) return 'substantial';
+        if (kappa > 0.4) return 'moderate';
+        if (kappa > 0.2) return 'fair';
+        if (kappa > 0) return 'slight';
+        return 'poor';
+    }
+
+    updateScoringComparison() {
+        if (!this.data) return;
+        
+        const options = this.getScoringOptions().map(option => option.id);
+        const settings = this.scoringComparison;
+        if (!options.includes(settings.reference)) settings.reference = 'manual';
+        if (!options.includes(settings.candidate)) settings.candidate = 'auto';
+        
+        this.data.scoringComparison = settings.reference === settings.candidate
+            ? null
+            : this.compareScorings(settings.reference, settings.candidate);
+        this.renderScoringComparison();
+        this.renderDisagreementMarkers();
+    }
+
+    setComparisonScoring(role, id) {
+        if (!['reference', 'candidate'].includes(role)) return;
+        this.scoringComparison[role] = id;
+        console.log(`Comparison ${role} set to ${id}`);
+        this.updateScoringComparison();
+    }
+
+    renderScoringComparison() {
+        const options = this.getScoringOptions();
+        ['reference', 'candidate'].forEach(role => {
+            const select = document.getElementById(`compare-${role}`);
+            if (!select) return;
+            // Names of imported hypnograms are file names, so they go in as text
+            select.innerHTML = '';
+            options.forEach(({ id, name }) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.value = this.scoringComparison[role];
+        });
+        
+        const summary = document.getElementById('agreement-summary');
+        const matrixContainer = document.getElementById('confusion-matrix');
+        const hotspotList = document.getElementById('disagreement-list');
+        const result = this.data.scoringComparison;
+        [summary, matrixContainer, hotspotList].forEach(element => {
+            if (element) element.innerHTML = '';
+        });
+        
+        if (!result || result.compared === 0) {
+            if (summary) {
+                summary.innerHTML = `<div class="annotation-empty">${result
+                    ? 'No epochs are staged by both scorings. Score epochs with W/1/2/3/R or import a hypnogram.'
+                    : 'Pick two different scorings to compare'}</div>`;
+            }
+            return;
+        }
+        
+        const name = (id) => options.find(option => option.id === id)?.name || id;
+        if (summary) {
+            summary.innerHTML = `
+                <div class="summary-item"><span class="summary-label">Epochs compared</span><span class="summary-value">${result.compared}</span></div>
+                <div class="summary-item"><span class="summary-label">Agreement</span><span class="summary-value">${(result.agreement * 100).toFixed(1)}% (${result.agreed}/${result.compared})</span></div>
+                <div class="summary-item"><span class="summary-label">Cohen's kappa</span><span class="summary-value">${result.kappa.toFixed(2)} · ${this.getKappaRating(result.kappa)}</span></div>
+            `;
+        }
+        
+        if (matrixContainer) {
+            const stages = Object.keys(this.sleepStages);
+            const largest = Math.max(1, ...stages.flatMap(stage => stages.map(other => result.matrix[stage][other])));
+            const header = stages.map(stage => `<th>${stage}</th>`).join('');
+            const rows = stages.map(stage => {
+                const cells = stages.map(other => {
+                    const count = result.matrix[stage][other];
+                    const tint = stage === other ? '16, 185, 129' : '239, 68, 68';
+                    return `<td style="background: rgba(${tint}, ${count ? 0.1 + 0.5 * count / largest : 0})">${count}</td>`;
+                }).join('');
+                const agreement = result.perStage[stage].agreement;
+                return `<tr><th>${stage}</th>${cells}<td class="confusion-agreement">${agreement === null ? '--' : `${Math.round(agreement * 100)}%`}</td></tr>`;
+            }).join('');
+            matrixContainer.innerHTML = `
+                <table class="confusion-table">
+                    <caption>Rows: ${this.escapeHTML(name(result.reference))} · Columns: ${this.escapeHTML(name(result.candidate))}</caption>
+                    <thead><tr><th></th>${header}<th>F1</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        }
+        
+        if (hotspotList) {
+            if (result.hotspots.length === 0) {
+                hotspotList.innerHTML = '<div class="annotation-empty">No sustained disagreement</div>';
+            }
+            result.hotspots.slice(0, 10).forEach(hotspot => {
+                const item = document.createElement('div');
+                item.className = 'disagreement-item';
+                item.innerHTML = '<span class="annotation-time"></span><span class="disagreement-detail"></span>';
+                item.querySelector('.annotation-time').textContent = `${this.formatEventTime(hotspot.start)}–${this.formatEventTime(hotspot.end)}`;
+                item.querySelector('.disagreement-detail').textContent = `${hotspot.disagreements} epochs, mostly ${hotspot.pattern}`;
+                item.addEventListener('click', () => this.seekToTime(hotspot.start));
+                hotspotList.appendChild(item);
+            });
+        }
+    }
+
+    // Hotspots as bands under the timeline slider
+    renderDisagreementMarkers() {
+        const container = document.getElementById('timeline-disagreements');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const origin = this.data.time[0] || 0;
+        const duration = (this.data.time[this.data.time.length - 1] - origin) || 1;
+        (this.data.scoringComparison?.hotspots || []).forEach(hotspot => {
+            const band = document.createElement('div');
+            band.className = 'disagreement-band';
+            band.style.left = `${(hotspot.start - origin) / duration * 100}%`;
+            band.style.width = `${Math.max(0.3, (hotspot.end - hotspot.start) / duration * 100)}%`;
+            band.title = `${this.formatEventTime(hotspot.start)}: ${hotspot.disagreements} epochs disagree, mostly ${hotspot.pattern}`;
+            band.addEventListener('click', () => this.seekToTime(hotspot.start));
+            container.appendChild(band);
+        });
+    }
+
+    getStagingChannels() {
+        // Bipolar derivations count for their leading electrode (C3-P3 stands in for C3)
+        const present = (names) => names
+            .map(name => (this.data.channels[name] ? name : this.data.channelNames.find(channel => channel.split('-')[0] === name)))
+            .filter(Boolean);
+        const types = this.data.channelTypes;
+        const eeg = this.data.channelNames.filter(name => !types[name] || types[name] === 'EEG');
+        
+        return {
+            central: present(['C3', 'C4'])[0] || eeg[0] || this.data.channelNames[0],
+            occipital: present(['O1', 'O2'])[0] || null,
+            frontal: present(['Fp1', 'Fp2'])[0] || null,
+            eog: this.data.channelNames.filter(name => types[name] === 'EOG'),
+            emg: this.data.channelNames.find(name => types[name] === 'EMG') || null
+        };
+    }
+
+    async extractStagingFeatures() {
+        const data = this.data;
+        const channels = this.getStagingChannels();
+        const central = await this.getEpochSpectra(channels.central);
+        const occipital = channels.occipital ? await this.getEpochSpectra(channels.occipital) : null;
+        const frontal = channels.frontal && channels.frontal !== channels.central ? await this.getEpochSpectra(channels.frontal) : null;
+        
+        // A new recording may have been loaded while the spectra were computing
+        if (!central || this.data !== data) return null;
+        
+        const spindles = this.getSpindleActivity(channels.central);
+        const slowWaves = this.getSlowWaveActivity(channels.central);
+        const nyquist = this.samplingRate / 2;
+        
+        const centralMask = this.getArtifactMask(channels.central);
+        
+        return central.epochs.map((epoch, i) => {
+            const { start, end } = this.getEpochBounds(epoch.index);
+            
+            // Contaminated epochs are left out of staging altogether
+            if (!epoch.power || this.maskFraction(centralMask, start, end) > this.artifactDetection.epochRejectFraction) {
+                return { epoch: epoch.index, excluded: true };
+            }
+            
+            const relative = epoch.relativePower;
+            const integrate = (spectrum, low, high) => this.integratePSD(central.frequencies, spectrum.power, low, high);
+            
+            // Occipital alpha is the clearest wake marker when the montage has it
+            const alpha = occipital?.epochs[i].relativePower ? occipital.epochs[i].relativePower.alpha : relative.alpha;
+            const sigma = epoch.totalPower > 0 ? integrate(epoch, 11, 16) / epoch.totalPower : 0;
+            
+            // Muscle tone: EMG RMS when recorded, otherwise high-frequency EEG power
+            let emg = null;
+            if (channels.emg) {
+                emg = this.computeRMS(this.data.channels[channels.emg], start, end);
+            } else if (nyquist > 25) {
+                emg = Math.log10(integrate(epoch, 20, Math.min(45, nyquist * 0.9)) + 1e-12);
+            }
+            
+            // Eye movements: EOG when recorded, otherwise frontal slow activity relative to central
+            let eog = null;
+            if (channels.eog.length > 0) {
+                eog = Math.log10(channels.eog.reduce((sum, name) => sum + this.computeRMS(this.data.channels[name], start, end), 0) + 1e-12);
+            } else if (frontal?.epochs[i].bandPower) {
+                eog = Math.log10((frontal.epochs[i].bandPower.delta + 1e-12) / (epoch.bandPower.delta + 1e-12));
+            }
+            
+            return {
+                epoch: epoch.index,
+                delta: relative.delta,
+                theta: relative.theta,
+                alpha,
+                beta: relative.beta,
+                sigma,
+                spindleDensity: spindles ? spindles.counts[i] * 60 / this.epochLength : null,
+                kComplexDensity: slowWaves ? slowWaves.kComplexCounts[i] * 60 / this.epochLength : null,
+                slowWaveFraction: slowWaves ? slowWaves.fractions[i] : 0,
+                slowWaveAmplitude: slowWaves ? slowWaves.amplitudes[i] : 0,
+                emg,
+                eog
+            };
+        });
+    }
+
+    integratePSD(frequencies, power, low, high) {
+        const df = frequencies[1] - frequencies[0];
+        let sum = 0;
+        for (let i = 0; i < frequencies.length; i++) {
+            if (frequencies[i] >= low && frequencies[i] < high) sum += power[i] * df;
+        }
+        return sum;
+    }
+
+    computeRMS(samples, start, end) {
+        let mean = 0;
+        for (let i = start; i < end; i++) mean += samples[i];
+        mean /= end - start;
+        
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += (samples[i] - mean) ** 2;
+        return Math.sqrt(sum / (end - start));
+    }
+
+    // Sigma-band bursts per epoch; a coarse spindle count for staging, not the event detector
+    getSpindleActivity(channel) {
+        const sigma = this.getFilteredChannel(channel, 11, 16);
+        if (!sigma) return null;
+        
+        const envelope = this.computeEnvelope(sigma, Math.round(0.2 * this.samplingRate));
+        const threshold = 2.5 * this.percentile(envelope, 0.5);
+        const minSamples = 0.5 * this.samplingRate;
+        const maxSamples = 2 * this.samplingRate;
+        const counts = new Array(this.getEpochCount()).fill(0);
+        
+        let runStart = -1;
+        for (let i = 0; i <= envelope.length; i++) {
+            const above = i < envelope.length && envelope[i] > threshold;
+            if (above && runStart === -1) {
+                runStart = i;
+            } else if (!above && runStart !== -1) {
+                const length = i - runStart;
+                if (length >= minSamples && length <= maxSamples) {
+                    counts[this.getEpochAtIndex(runStart)]++;
+                }
+                runStart = -1;
+            }
+        }
+        
+        return { counts, threshold };
+    }
+
+    // Half-wave analysis of 0.5-2 Hz activity: share of each epoch in ≥75 µV slow waves, plus isolated K-complex-like waves
+    getSlowWaveActivity(channel) {
+        const slow = this.getFilteredChannel(channel, 0.5, 2);
+        if (!slow) return null;
+        
+        const epochCount = this.getEpochCount();
+        const epochSamples = Math.round(this.epochLength * this.samplingRate);
+        const fractions = new Array(epochCount).fill(0);
+        const amplitudes = new Array(epochCount).fill(0);
+        const kComplexCounts = new Array(epochCount).fill(0);
+        const waveCounts = new Array(epochCount).fill(0);
+        
+        this.findSlowWaves(slow).forEach(wave => {
+            const epoch = this.getEpochAtIndex(wave.start);
+            amplitudes[epoch] = Math.max(amplitudes[epoch], wave.amplitude);
+            if (wave.amplitude >= 75) {
+                fractions[epoch] += (wave.end - wave.start) / epochSamples;
+                waveCounts[epoch]++;
+            }
+        });
+        
+        // A large wave in an epoch that is not slow-wave sleep is most likely a K-complex
+        for (let i = 0; i < epochCount; i++) {
+            fractions[i] = Math.min(1, fractions[i]);
+            if (fractions[i] < 0.2) kComplexCounts[i] = waveCounts[i];
+        }
+        
+        return { fractions, amplitudes, kComplexCounts };
+    }
+
+    // Full waves between positive-to-negative zero crossings, with their peak-to-peak amplitude
+    findSlowWaves(filtered, minDuration = 0.5, maxDuration = 2) {
+        const waves = [];
+        const minSamples = minDuration * this.samplingRate;
+        const maxSamples = maxDuration * this.samplingRate;
+        let start = -1;
+        let negativeEnd = -1;
+        let min = Infinity;
+        let max = -Infinity;
+        let minIndex = -1;
+        
+        for (let i = 1; i < filtered.length; i++) {
+            if (filtered[i - 1] >= 0 && filtered[i] < 0) {
+                if (start !== -1) {
+                    const length = i - start;
+                    if (length >= minSamples && length <= maxSamples) {
+                        waves.push({ start, end: i, negativeEnd, trough: minIndex, troughValue: min, peakValue: max, amplitude: max - min });
+                    }
+                }
+                start = i;
+                negativeEnd = -1;
+                min = Infinity;
+                max = -Infinity;
+            }
+            if (start !== -1 && negativeEnd === -1 && filtered[i - 1] < 0 && filtered[i] >= 0) {
+                negativeEnd = i;
+            }
+            if (start !== -1) {
+                if (filtered[i] < min) {
+                    min = filtered[i];
+                    minIndex = i;
+                }
+                if (filtered[i] > max) max = filtered[i];
+            }
+        }
+        
+        return waves;
+    }
+
+    computeEnvelope(samples, smoothing) {
+        // Rectified and moving-average smoothed amplitude
+        const envelope = new Float32Array(samples.length);
+        const half = Math.floor(smoothing / 2);
+        let sum = 0;
+        
+        for (let i = 0; i < samples.length + half; i++) {
+            if (i < samples.length) sum += Math.abs(samples[i]);
+            if (i - smoothing >= 0) sum -= Math.abs(samples[i - smoothing]);
+            if (i - half >= 0) {
+                envelope[i - half] = sum / smoothing;
+            }
+        }
+        
+        return envelope;
+    }
+
+    percentile(values, fraction) {
+        // Subsample long signals; exact order statistics are not needed for thresholds
+        const step = Math.max(1, Math.floor(values.length / 20000));
+        const sample = [];
+        for (let i = 0; i < values.length; i += step) sample.push(values[i]);
+        sample.sort((a, b) => a - b);
+        return sample[Math.min(sample.length - 1, Math.floor(fraction * sample.length))] || 0;
+    }
+
+    // Robust z-scores across the night so scoring adapts to each recording's amplitude scale
+    normalizeStagingFeatures(features) {
+        const keys = ['spindleDensity', 'kComplexDensity', 'emg', 'eog', 'delta', 'alpha'];
+        const stats = {};
+        
+        keys.forEach(key => {
+            const values = features.map(feature => feature[key]).filter(value => value !== null && value !== undefined && Number.isFinite(value));
+            if (values.length < 2) return;
+            
+            const sorted = [...values].sort((a, b) => a - b);
+            const median = sorted[Math.floor(sorted.length / 2)];
+            const deviations = sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b);
+            const mad = deviations[Math.floor(deviations.length / 2)] * 1.4826;
+            stats[key] = { median, mad };
+        });
+        
+        return features.map(feature => {
+            if (feature.excluded) return null;
+            
+            const z = {};
+            keys.forEach(key => {
+                const value = feature[key];
+                const stat = stats[key];
+                z[key] = stat && stat.mad > 0 && value !== null ? Math.max(-3, Math.min(3, (value - stat.median) / stat.mad)) : 0;
+            });
+            return z;
+        });
+    }
+
+    scoreEpochStages(feature, z) {
+        const slowWaveExcess = Math.max(0, feature.slowWaveFraction - 0.2);
+        
+        const scores = {
+            W: 3 * feature.alpha + 2 * feature.beta - 2 * feature.delta + 0.8 * z.emg + 0.6 * z.eog,
+            N1: 2 * feature.theta + 1.5 * feature.alpha - feature.delta - 0.5 * z.spindleDensity - 0.3 * z.eog + 0.2,
+            N2: 1.5 * feature.delta + 4 * feature.sigma + 0.8 * z.spindleDensity + 0.6 * z.kComplexDensity - 4 * slowWaveExcess - 0.3 * z.emg,
+            N3: 3 * feature.delta + 8 * slowWaveExcess + 0.5 * z.delta - 1.2 - 0.3 * z.emg,
+            REM: 2 * feature.theta + feature.beta - 1.5 * feature.delta - 0.8 * z.emg + 0.8 * z.eog - 0.5 * z.spindleDensity
+        };
+        
+        // Softmax turns the scores into per-stage probabilities
+        const sharpness = 3;
+        const max = Math.max(...Object.values(scores));
+        const exp = {};
+        let total = 0;
+        Object.entries(scores).forEach(([stage, score]) => {
+            exp[stage] = Math.exp(sharpness * (score - max));
+            total += exp[stage];
+        });
+        
+        const probabilities = {};
+        Object.keys(exp).forEach(stage => {
+            probabilities[stage] = exp[stage] / total;
+        });
+        return probabilities;
+    }
+
+    // Epochs excluded for artifacts carry the nearest clean stage for the hypnogram only, with zero confidence
+    // and a flag; architecture, REM analysis and the score leave them out (see isScoredEpoch)
+    fillArtifactEpochs(epochs) {
+        const clean = epochs.filter(epoch => epoch.stage !== null);
+        
+        epochs.forEach((epoch, i) => {
+            if (epoch.stage !== null) return;
+            
+            let nearest = null;
+            for (let d = 1; d < epochs.length && !nearest; d++) {
+                if (epochs[i - d]?.stage && !epochs[i - d].artifact) nearest = epochs[i - d];
+                else if (epochs[i + d]?.stage && !epochs[i + d].artifact) nearest = epochs[i + d];
+            }
+            
+            epoch.stage = nearest ? nearest.stage : 'W';
+            epoch.artifact = true;
+        });
+        
+        if (clean.length < epochs.length) {
+            console.log(`${epochs.length - clean.length} epochs excluded from staging for artifacts`);
+        }
+    }
+
+    // A single low-confidence epoch between two agreeing neighbours takes their stage
+    smoothStageSequence(epochs) {
+        for (let i = 1; i < epochs.length - 1; i++) {
+            const previous = epochs[i - 1].stage;
+            const epoch = epochs[i];
+            if (epoch.artifact) continue;
+            if (previous === epochs[i + 1].stage && epoch.stage !== previous && epoch.confidence < 0.6) {
+                epoch.stage = previous;
+                epoch.confidence = epoch.probabilities[previous];
+                epoch.smoothed = true;
+            }
+        }
+    }
+
+    getEpochStage(epochIndex) {
+        return this.data?.sleepStages.find(epoch => epoch.epoch === epochIndex) || null;
+    }
+
+    updateStageDisplay() {
+        const stageName = document.getElementById('current-stage-name');
+        const stageDesc = document.getElementById('current-stage-description');
+        const stageConfidence = document.getElementById('stage-confidence');
+        const stageDuration = document.getElementById('stage-duration');
+        const stageIcon = document.getElementById('current-stage-icon');
+        
+        const epochs = this.data?.sleepStages || [];
+        const epochIndex = epochs.length ? this.getEpochAtIndex(this.currentTimeIndex) : -1;
+        const current = epochs[epochIndex] || null;
+        
+        const cycleCount = document.getElementById('cycle-count');
+        
+        if (!current) {
+            if (stageName) stageName.textContent = 'Not staged';
+            if (stageDesc) stageDesc.textContent = 'Sleep staging has not run for this recording';
+            if (stageConfidence) stageConfidence.textContent = '--';
+            if (stageDuration) stageDuration.textContent = '--';
+            if (cycleCount) cycleCount.textContent = '--';
+            return;
+        }
+        
+        if (cycleCount) {
+            const cycle = this.getCycleAtTime(this.data.time[this.currentTimeIndex] || 0);
+            const total = this.data.sleepMetrics?.cycleCount || 0;
+            cycleCount.textContent = cycle ? `${this.ordinal(cycle.index + 1)} of ${total}` : `${total} total`;
+        }
+        
+        const info = this.sleepStages[current.stage];
+        if (stageName) stageName.textContent = info.name;
+        if (stageDesc) stageDesc.textContent = info.description;
+        if (stageConfidence) {
+            stageConfidence.textContent = current.source === 'manual' ? 'Manual' : `${Math.round(current.confidence * 100)}%`;
+        }
+        if (stageIcon) stageIcon.innerHTML = `<i class="${info.icon}"></i>`;
+        
+        // Time spent in this stage up to the playhead
+        let runStart = epochIndex;
+        while (runStart > 0 && epochs[runStart - 1].stage === current.stage) runStart--;
+        const elapsed = (this.data.time[this.currentTimeIndex] || 0) - epochs[runStart].start;
+        if (stageDuration) {
+            stageDuration.textContent = this.formatDuration(elapsed);
+        }
+        
+        const remStatus = document.getElementById('rem-status');
+        if (remStatus) {
+            remStatus.textContent = current.stage === 'REM' ? 'Active' : 'Inactive';
+            remStatus.classList.toggle('active', current.stage === 'REM');
+        }
+    }
+
+    // Notch filtering and artifact screening, run whenever a recording is loaded. One channel at a time with
+    // the main thread handed back in between, so long nights keep the tab responsive. Resolves false when
+    // another recording replaced this one before it finished.
+    async preprocessRecording() {
+        const data = this.data;
+        data.rawChannels = data.rawChannels || data.channels;
+        data.sourceNames = data.sourceNames || data.channelNames;
+        data.sourceTypes = data.sourceTypes || data.channelTypes;
+        this.preprocessing = data;
+        
+        try {
+            const lineFrequency = this.artifactDetection.notch === 'auto'
+                ? this.detectLineFrequency()
+                : this.artifactDetection.notch;
+            
+            let sourceChannels = data.rawChannels;
+            if (lineFrequency && lineFrequency < this.samplingRate / 2 * 0.95) {
+                const started = performance.now();
+                const sections = [this.designNotch(lineFrequency, 30, this.samplingRate)];
+                const padding = Math.round(this.samplingRate);
+                sourceChannels = {};
+                for (const [i, name] of data.sourceNames.entries()) {
+                    if (!(await this.yieldPreprocessing(data, i / data.sourceNames.length / 2, `Notch filter · ${name}`))) return false;
+                    sourceChannels[name] = this.filtfilt(sections, data.rawChannels[name], padding);
+                }
+                console.log(`Applied ${lineFrequency} Hz notch in ${Math.round(performance.now() - started)} ms`);
+            }
+            
+            // Views keep showing the previous channels until the new ones are complete
+            data.sourceChannels = sourceChannels;
+            this.artifactMaskCache.clear();
+            this.applyMontage();
+            // A scorer's accept/reject decisions survive montage and notch changes
+            const overrides = this.getArtifactOverrides(data);
+            const artifacts = await this.detectArtifacts(lineFrequency || null);
+            if (!artifacts) return false;
+            data.artifacts = artifacts;
+            this.applyArtifactOverrides(overrides);
+            return true;
+        } finally {
+            if (this.preprocessing === data) {
+                this.preprocessing = null;
+                if (!this.isImporting) this.setImportProgress(null);
+            }
+        }
+    }
+
+    async yieldPreprocessing(data, fraction, label) {
+        this.setImportProgress(fraction, label);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        return this.data === data;
+    }
+
+    // Electrode names on which a derivation depends; labels may themselves contain '-' (e.g. Fpz-Cz)
+    parseDerivation(text, sources) {
+        const token = text.trim();
+        if (!token) return null;
+        if (sources.includes(token)) return { name: token, plus: token, minus: null };
+        
+        for (let i = token.indexOf('-'); i > 0; i = token.indexOf('-', i + 1)) {
+            const plus = token.slice(0, i).trim();
+            const minus = token.slice(i + 1).trim();
+            if (!sources.includes(plus)) continue;
+            if (/^(avg|ave|average|car)$/i.test(minus)) return { name: `${plus}-AVG`, plus, minus: 'average' };
+            if (sources.includes(minus)) return { name: `${plus}-${minus}`, plus, minus };
+        }
+        
+        return { name: token, plus: null, minus: null, invalid: true };
+    }
+
+    getMontageDefinition(id = this.activeMontage) {
+        return this.montages[id] || this.montagePresets[id] || this.montages.referential;
+    }
+
+    // Derived channels for the active montage; non-EEG channels always pass through unchanged
+    applyMontage() {
+        const data = this.data;
+        const montage = this.getMontageDefinition();
+        const sources = data.sourceNames;
+        const isEEG = (name) => !data.sourceTypes[name] || data.sourceTypes[name] === 'EEG';
+        const eeg = sources.filter(isEEG);
+        const mastoids = eeg.filter(name => /^(A|M)[12]$/.test(name));
+        
+        let derivations;
+        if (montage.type === 'referential') {
+            derivations = eeg.map(name => ({ name, plus: name, minus: null }));
+        } else if (montage.type === 'average') {
+            derivations = eeg.map(name => ({ name, plus: name, minus: 'average' }));
+        } else if (montage.type === 'linked-mastoid') {
+            derivations = mastoids.length
+                ? eeg.filter(name => !mastoids.includes(name)).map(name => ({ name, plus: name, minus: 'mastoids' }))
+                : [];
+        } else {
+            derivations = montage.derivations.map(text => this.parseDerivation(text, sources)).filter(Boolean);
+        }
+        
+        const missing = derivations.filter(derivation => derivation.invalid).map(derivation => derivation.name);
+        derivations = derivations.filter(derivation => !derivation.invalid);
+        
+        if (derivations.length === 0) {
+            const reason = montage.type === 'linked-mastoid' ? 'no A1/A2 or M1/M2 channels' : 'none of its electrodes are in this recording';
+            this.showTooltip(`${montage.name} unavailable: ${reason}`, 'warning');
+            this.activeMontage = 'referential';
+            return this.applyMontage();
+        }
+        
+        const length = data.time.length;
+        const reference = (names) => {
+            const mean = new Float32Array(length);
+            names.forEach(name => {
+                const samples = data.sourceChannels[name];
+                for (let i = 0; i < length; i++) mean[i] += samples[i] / names.length;
+            });
+            return mean;
+        };
+        const references = {
+            average: derivations.some(derivation => derivation.minus === 'average') ? reference(eeg) : null,
+            mastoids: mastoids.length ? reference(mastoids) : null
+        };
+        
+        const channels = {};
+        const types = {};
+        derivations.forEach(({ name, plus, minus }) => {
+            const positive = data.sourceChannels[plus];
+            types[name] = 'EEG';
+            if (!minus) {
+                channels[name] = positive;
+                return;
+            }
+            
+            const negative = references[minus] || data.sourceChannels[minus];
+            const derived = new Float32Array(length);
+            for (let i = 0; i < length; i++) derived[i] = positive[i] - negative[i];
+            channels[name] = derived;
+        });
+        
+        sources.filter(name => !isEEG(name)).forEach(name => {
+            channels[name] = data.sourceChannels[name];
+            types[name] = data.sourceTypes[name];
+        });
+        
+        data.channels = channels;
+        data.channelNames = Object.keys(channels);
+        data.channelTypes = types;
+        data.montage = { id: this.activeMontage, name: montage.name, derivations, missing };
+        
+        if (missing.length) {
+            console.warn(`Montage ${montage.name}: skipped ${missing.join(', ')}`);
+        }
+        console.log(`Applied montage ${montage.name}: ${derivations.length} derivations`);
+    }
+
+    async setMontage(id) {
+        if (!this.montages[id] && !this.montagePresets[id]) return;
+        if (this.preprocessing) {
+            this.showTooltip('Change the montage once the recording has finished filtering', 'warning');
+            this.renderMontageOptions();
+            return;
+        }
+        
+        this.activeMontage = id;
+        this.filterCache.clear();
+        this.spectralCache.clear();
+        if (!(await this.preprocessRecording())) return;
+        
+        // Channels picked by name may not exist under the new montage
+        if (!this.data.channels[this.spectralChannel]) this.spectralChannel = null;
+        if (!this.data.channels[this.focusedChannel]) this.focusedChannel = null;
+        
+        this.renderMontageOptions();
+        this.viewer.pageKey = null;
+        this.renderViewerChannelPicker();
+        this.renderStimulationControls();
+        
+        const { montage } = this.data;
+        this.showTooltip(`Montage: ${montage.name}${montage.missing.length ? ` (${montage.missing.length} derivations unavailable)` : ''}`, montage.missing.length ? 'warning' : 'info');
+        
+        const data = this.data;
+        await this.refreshAfterArtifactChange();
+        if (this.data !== data) return;
+        this.updateTopoMap(true);
+        this.updateRegionViews();
+    }
+
+    applyCustomMontage(text) {
+        const derivations = text.split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+        if (derivations.length === 0) {
+            this.showTooltip('Enter derivations such as Fp1-F3, C3-A2 or Cz-avg', 'warning');
+            return;
+        }
+        
+        this.montages.custom = { name: 'Custom', type: 'custom', derivations };
+        this.setMontage('custom');
+    }
+
+    loadMontagePresets() {
+        this.montagePresets = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.montagePresetKey) || '{}');
+            Object.entries(stored).forEach(([id, preset]) => {
+                if (Array.isArray(preset.derivations)) this.montagePresets[id] = preset;
+            });
+        } catch (error) {
+            console.error('Error loading montage presets:', error);
+        }
+    }
+
+    saveMontagePreset(name) {
+        const label = name.trim();
+        if (!label) {
+            this.showTooltip('Name the preset before saving', 'warning');
+            return;
+        }
+        
+        if (this.preprocessing) {
+            this.showTooltip('Save the preset once the recording has finished filtering', 'warning');
+            return;
+        }
+        
+        // Presets store the derivation list so they can be re-applied to other recordings
+        const derivations = this.data.montage.derivations.map(({ name: derivation, minus }) => (minus === 'average' ? derivation.replace(/-AVG$/, '-avg') : derivation));
+        const montage = this.getMontageDefinition();
+        const preset = montage.type === 'bipolar' || montage.type === 'custom'
+            ? { name: label, type: 'custom', derivations }
+            : { name: label, type: montage.type, derivations: [] };
+        
+        const id = `preset:${label}`;
+        this.montagePresets[id] = preset;
+        try {
+            localStorage.setItem(this.montagePresetKey, JSON.stringify(this.montagePresets));
+        } catch (error) {
+            console.error('Error saving montage preset:', error);
+            this.showTooltip('Could not save the montage preset', 'error');
+            return;
+        }
+        
+        this.activeMontage = id;
+        this.renderMontageOptions();
+        this.showTooltip(`Saved montage preset "${label}"`, 'success');
+    }
+
+    renderMontageOptions() {
+        const select = document.getElementById('montage-select');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const options = [...Object.entries(this.montages), ...Object.entries(this.montagePresets)];
+        options.forEach(([id, montage]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = id.startsWith('preset:') ? `★ ${montage.name}` : montage.name;
+            option.selected = id === this.activeMontage;
+            select.appendChild(option);
+        });
+    }
+
+    // Re-run preprocessing after a settings change, keeping the playhead where it is
+    async reprocessRecording() {
+        if (!this.data) return;
+        
+        this.filterCache.clear();
+        this.spectralCache.clear();
+        if (!(await this.preprocessRecording())) return;
+        await this.refreshAfterArtifactChange();
+    }
+
+    // The plot and list follow each toggle at once; staging, spectra and events wait for the edits to settle
+    scheduleArtifactRefresh() {
+        this.viewer.pageKey = null;
+        this.artifactMaskCache.clear();
+        this.renderArtifactPanel();
+        this.updateMainEEGPlot();
+        this.scheduleSessionSave();
+        clearTimeout(this.artifactRefreshTimer);
+        this.artifactRefreshTimer = setTimeout(() => this.refreshAfterArtifactChange(), this.artifactDetection.refreshDelay);
+    }
+
+    async refreshAfterArtifactChange() {
+        clearTimeout(this.artifactRefreshTimer);
+        this.artifactRefreshTimer = null;
+        const data = this.data;
+        this.viewer.pageKey = null;
+        this.artifactMaskCache.clear();
+        this.spectralCache.clear();
+        this.renderArtifactPanel();
+        this.updateMainEEGPlot();
+        this.initSpectralPanel();
+        // Detectors gate on the stages, so they wait for the re-staged night
+        await this.runSleepStaging();
+        if (this.data !== data) return;
+        
+        // Automatic events are re-derived so none sit inside newly rejected data
+        if (this.data.events.some(event => event.source === 'auto')) {
+            this.data.events = [...this.data.events.filter(event => event.source !== 'auto'), ...this.runEventDetectors()]
+                .sort((a, b) => a.onset - b.onset);
+            this.updateEventViews();
+        }
+    }
+
+    // Mains hum shows up as a narrow peak well above its spectral neighbourhood
+    detectLineFrequency() {
+        const nyquist = this.samplingRate / 2;
+        const channel = this.data.sourceNames[0];
+        const samples = this.data.rawChannels[channel];
+        const length = Math.min(samples.length, Math.round(300 * this.samplingRate));
+        const psd = this.computeWelchPSD(samples, 0, length, this.samplingRate);
+        if (!psd) return null;
+        
+        let best = null;
+        [50, 60].filter(frequency => frequency + 3 < nyquist).forEach(frequency => {
+            const peak = this.integratePSD(psd.frequencies, psd.power, frequency - 1, frequency + 1);
+            const neighbours = (this.integratePSD(psd.frequencies, psd.power, frequency - 6, frequency - 2) +
+                this.integratePSD(psd.frequencies, psd.power, frequency + 2, frequency + 6)) / 4;
+            const ratio = neighbours > 0 ? peak / neighbours : 0;
+            if (ratio > 5 && (!best || ratio > best.ratio)) {
+                best = { frequency, ratio };
+            }
+        });
+        
+        if (best) {
+            console.log(`Line noise detected at ${best.frequency} Hz (${best.ratio.toFixed(1)}x neighbourhood)`);
+        }
+        return best ? best.frequency : null;
+    }
+
+    designNotch(frequency, q, samplingRate) {
+        const w0 = 2 * Math.PI * frequency / samplingRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+        
+        return { b0: 1 / a0, b1: -2 * cos / a0, b2: 1 / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 };
+    }
+
+    // Screens every channel in fixed windows; flags are merged into segments per channel
+    async detectArtifacts(lineFrequency) {
+        const data = this.data;
+        const options = this.artifactDetection;
+        const windowSamples = Math.round(options.windowLength * this.samplingRate);
+        const windowCount = Math.floor(this.data.time.length / windowSamples);
+        const segments = [];
+        const badChannels = {};
+        const started = performance.now();
+        
+        for (const [index, channel] of data.channelNames.entries()) {
+            if (!(await this.yieldPreprocessing(data, 0.5 + index / data.channelNames.length / 2, `Artifact screening · ${channel}`))) return null;
+            const samples = this.data.channels[channel];
+            const stats = [];
+            
+            for (let w = 0; w < windowCount; w++) {
+                const start = w * windowSamples;
+                stats.push(this.computeWindowStats(samples, start, start + windowSamples));
+            }
+            
+            // High-frequency power via a band-passed copy, only where the band is below Nyquist
+            const [hfLow, hfHigh] = options.highFrequencyBand;
+            const highFrequency = hfLow < this.samplingRate / 2 * 0.9 ? this.getFilteredChannel(channel, hfLow, hfHigh) : null;
+            if (highFrequency) {
+                stats.forEach((stat, w) => {
+                    stat.highFrequency = Math.log10(this.computeRMS(highFrequency, w * windowSamples, (w + 1) * windowSamples) + 1e-12);
+                });
+            }
+            
+            // Relative checks need enough windows to know what normal looks like
+            const robust = (key) => {
+                const values = stats.map(stat => stat[key]).filter(Number.isFinite);
+                if (values.length < 10) return null;
+                const sorted = values.sort((a, b) => a - b);
+                const median = sorted[Math.floor(sorted.length / 2)];
+                const mad = sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b)[Math.floor(sorted.length / 2)] * 1.4826;
+                return mad > 0 ? { median, mad } : null;
+            };
+            const kurtosisStats = robust('kurtosis');
+            const highFrequencyStats = highFrequency ? robust('highFrequency') : null;
+            
+            let flagged = 0;
+            let current = null;
+            
+            stats.forEach((stat, w) => {
+                const reasons = [];
+                if (stat.maxAbs > options.maxAmplitude) reasons.push('amplitude');
+                if (stat.std < options.minStd) reasons.push('flatline');
+                if (kurtosisStats && stat.kurtosis > options.minKurtosis &&
+                    (stat.kurtosis - kurtosisStats.median) / kurtosisStats.mad > options.kurtosisZ) reasons.push('kurtosis');
+                if (highFrequencyStats && stat.highFrequency - highFrequencyStats.median > Math.log10(options.highFrequencyRatio) &&
+                    (stat.highFrequency - highFrequencyStats.median) / highFrequencyStats.mad > options.highFrequencyZ) reasons.push('muscle');
+                
+                if (reasons.length === 0) {
+                    current = null;
+                    return;
+                }
+                
+                flagged++;
+                const start = this.data.time[w * windowSamples];
+                const end = this.data.time[Math.min(this.data.time.length - 1, (w + 1) * windowSamples)];
+                if (current && current.end >= start) {
+                    current.end = end;
+                    reasons.forEach(reason => {
+                        if (!current.reasons.includes(reason)) current.reasons.push(reason);
+                    });
+                } else {
+                    current = { id: `${channel}-${w}`, channel, start, end, reasons, rejected: true, source: 'auto', overridden: false };
+                    segments.push(current);
+                }
+            });
+            
+            if (windowCount > 0 && flagged / windowCount >= options.badChannelFraction) {
+                const reasons = [...new Set(segments.filter(segment => segment.channel === channel).flatMap(segment => segment.reasons))];
+                badChannels[channel] = { reasons, rejected: true, overridden: false };
+            }
+        }
+        
+        console.log(`Artifact screening: ${segments.length} segments, ${Object.keys(badChannels).length} bad channels in ${Math.round(performance.now() - started)} ms`);
+        return { segments, badChannels, lineFrequency };
+    }
+
+    computeWindowStats(samples, start, end) {
+        const n = end - start;
+        let mean = 0;
+        let maxAbs = 0;
+        for (let i = start; i < end; i++) {
+            mean += samples[i];
+            maxAbs = Math.max(maxAbs, Math.abs(samples[i]));
+        }
+        mean /= n;
+        
+        let m2 = 0;
+        let m4 = 0;
+        for (let i = start; i < end; i++) {
+            const d = samples[i] - mean;
+            m2 += d * d;
+            m4 += d * d * d * d;
+        }
+        m2 /= n;
+        m4 /= n;
+        
+        return { maxAbs, std: Math.sqrt(m2), kurtosis: m2 > 0 ? m4 / (m2 * m2) : 0 };
+    }
+
+    // 1 for every sample of the channel that is currently rejected
+    getArtifactMask(channel) {
+        if (!this.data?.artifacts || !this.data.channels[channel]) return null;
+        if (this.artifactMaskCache.has(channel)) {
+            return this.artifactMaskCache.get(channel);
+        }
+        
+        const { segments, badChannels } = this.data.artifacts;
+        const length = this.data.time.length;
+        const mask = new Uint8Array(length);
+        
+        if (badChannels[channel]?.rejected) {
+            mask.fill(1);
+        } else {
+            segments.filter(segment => segment.rejected && (segment.channel === channel || segment.channel === null)).forEach(segment => {
+                const start = Math.max(0, Math.floor(segment.start * this.samplingRate));
+                const end = Math.min(length, Math.ceil(segment.end * this.samplingRate));
+                mask.fill(1, start, end);
+            });
+            
+            // Scorer-drawn artifact annotations reject data just like detected segments
+            this.data.events.filter(event => event.type === 'artifact' && (event.channel === channel || !event.channel)).forEach(event => {
+                const start = Math.max(0, Math.floor(event.onset * this.samplingRate));
+                const end = Math.min(length, Math.ceil((event.onset + event.duration) * this.samplingRate));
+                mask.fill(1, start, end);
+            });
+        }
+        
+        this.artifactMaskCache.set(channel, mask);
+        return mask;
+    }
+
+    maskHasRejection(mask, start, end) {
+        if (!mask) return false;
+        for (let i = Math.max(0, start); i < Math.min(mask.length, end); i++) {
+            if (mask[i]) return true;
+        }
+        return false;
+    }
+
+    maskFraction(mask, start, end) {
+        if (!mask || end <= start) return 0;
+        let count = 0;
+        for (let i = start; i < end; i++) count += mask[i];
+        return count / (end - start);
+    }
+
+    // Channel artifacts shade their own lane; recording-wide segments span every lane
+    getArtifactShapes(windowStart, windowEnd, lanes, spacing) {
+        if (!this.data?.artifacts) return [];
+        
+        return this.data.artifacts.segments
+            .filter(segment => segment.end >= windowStart && segment.start <= windowEnd)
+            .filter(segment => segment.channel === null || segment.channel in lanes)
+            .map(segment => {
+                const lane = segment.channel === null ? null : lanes[segment.channel];
+                return {
+                    type: 'rect',
+                    xref: 'x',
+                    yref: lane === null ? 'paper' : 'y',
+                    x0: Math.max(segment.start, windowStart),
+                    x1: Math.min(segment.end, windowEnd),
+                    y0: lane === null ? 0 : lane - spacing / 2,
+                    y1: lane === null ? 1 : lane + spacing / 2,
+                    fillcolor: segment.rejected ? 'rgba(220, 38, 38, 0.12)' : 'rgba(100, 116, 139, 0.08)',
+                    line: { width: segment.rejected ? 0 : 1, color: 'rgba(100, 116, 139, 0.5)', dash: 'dot' },
+                    layer: 'below'
+                };
+            });
+    }
+
+    renderArtifactPanel() {
+        const summary = document.getElementById('artifact-summary');
+        const list = document.getElementById('artifact-list');
+        const channelList = document.getElementById('artifact-channels');
+        if (!this.data?.artifacts) return;
+        
+        const { segments, badChannels, lineFrequency } = this.data.artifacts;
+        const rejected = segments.filter(segment => segment.rejected);
+        const rejectedSeconds = rejected.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+        
+        if (summary) {
+            const notch = lineFrequency ? `${lineFrequency} Hz notch` : 'no notch';
+            summary.textContent = `${rejected.length} of ${segments.length} segments rejected (${this.formatDuration(rejectedSeconds)}), ${notch}`;
+        }
+        
+        if (channelList) {
+            channelList.innerHTML = '';
+            this.data.channelNames.forEach(channel => {
+                const chip = document.createElement('button');
+                const bad = badChannels[channel];
+                chip.className = `artifact-channel${bad?.rejected ? ' bad' : ''}`;
+                chip.textContent = channel;
+                chip.title = bad ? `Flagged: ${bad.reasons.join(', ') || 'manual'}` : 'Click to mark as bad';
+                chip.addEventListener('click', () => this.toggleBadChannel(channel));
+                channelList.appendChild(chip);
+            });
+        }
+        
+        if (list) {
+            list.innerHTML = '';
+            if (segments.length === 0) {
+                list.innerHTML = '<div class="annotation-empty">No artifacts flagged</div>';
+                return;
+            }
+            
+            const fragment = document.createDocumentFragment();
+            segments.slice(0, 300).forEach(segment => {
+                const item = document.createElement('label');
+                item.className = `artifact-item${segment.rejected ? '' : ' kept'}`;
+                item.innerHTML = `
+                    <input type="checkbox">
+                    <span class="artifact-time"></span>
+                    <span class="artifact-detail"></span>
+                `;
+                const checkbox = item.querySelector('input');
+                checkbox.checked = segment.rejected;
+                checkbox.addEventListener('change', () => this.setArtifactRejected(segment, checkbox.checked));
+                item.querySelector('.artifact-time').textContent = this.formatTime(segment.start);
+                item.querySelector('.artifact-detail').textContent =
+                    `${segment.channel || 'All channels'} · ${segment.reasons.join(', ')} · ${(segment.end - segment.start).toFixed(0)}s${segment.overridden ? ' · edited' : ''}`;
+                item.addEventListener('dblclick', () => this.seekToTime(segment.start));
+                fragment.appendChild(item);
+            });
+            list.appendChild(fragment);
+        }
+    }
+
+    setArtifactRejected(segment, rejected) {
+        segment.rejected = rejected;
+        segment.overridden = true;
+        this.scheduleArtifactRefresh();
+    }
+
+    toggleBadChannel(channel) {
+        const badChannels = this.data.artifacts.badChannels;
+        if (badChannels[channel]) {
+            badChannels[channel].rejected = !badChannels[channel].rejected;
+            badChannels[channel].overridden = true;
+        } else {
+            badChannels[channel] = { reasons: [], rejected: true, overridden: true };
+        }
+        this.scheduleArtifactRefresh();
+    }
+
+    getArtifactOverrides(data = this.data) {
+        return {
+            segments: data.artifacts.segments
+                .filter(segment => segment.overridden)
+                .map(({ channel, start, end, rejected }) => ({ channel, start, end, rejected }))
+                .concat(data.artifacts.unmatched || []),
+            badChannels: Object.entries(data.artifacts.badChannels)
+                .filter(([, state]) => state.overridden)
+                .map(([channel, state]) => ({ channel, rejected: state.rejected }))
+        };
+    }
+
+    // Re-applies saved decisions to freshly detected artifacts; segments are matched by channel and start.
+    // Decisions with no segment under the current montage and notch are carried until they match again.
+    applyArtifactOverrides(overrides) {
+        if (!overrides) return;
+        
+        const { segments, badChannels } = this.data.artifacts;
+        const unmatched = [];
+        overrides.segments.forEach(saved => {
+            const segment = segments.find(item => item.channel === saved.channel && Math.abs(item.start - saved.start) < 1e-6);
+            if (segment) {
+                segment.rejected = saved.rejected;
+                segment.overridden = true;
+            } else if (saved.rejected && this.data.channels[saved.channel]) {
+                // Rejected by hand, so it stays rejected even where screening no longer flags it
+                segments.push({ ...saved, id: `${saved.channel}-${saved.start}`, reasons: ['manual'], source: 'auto', overridden: true });
+            } else {
+                unmatched.push(saved);
+            }
+        });
+        this.data.artifacts.unmatched = unmatched;
+        overrides.badChannels.forEach(({ channel, rejected }) => {
+            badChannels[channel] = { ...(badChannels[channel] || { reasons: [] }), rejected, overridden: true };
+        });
+        this.artifactMaskCache.clear();
+    }
+
+    togglePlayback() {
+        const btn = document.getElementById('play-pause-btn');
+        if (this.live) {
+            this.showTooltip('Stop the live stream to review the recording', 'info');
+            return;
+        }
+        
+        if (this.isPlaying) {
+            this.isPlaying = false;
+            if (btn) btn.innerHTML = '<i class="fas fa-play"></i>';
+            if (this.playAnimation) {
+                cancelAnimationFrame(this.playAnimation);
+            }
+            console.log('Playback stopped');
+            this.scheduleSessionSave();
+        } else {
+            this.isPlaying = true;
+            if (btn) btn.innerHTML = '<i class="fas fa-pause"></i>';
+            this.startPlayback();
+            console.log('Playback started');
+        }
+    }
+
+    // Advances by wall-clock time, so speed is independent of frame rate and sample rate
+    startPlayback() {
+        if (!this.data) return;
+        
+        const time = this.data.time;
+        const lastTime = time[time.length - 1];
+        
+        // Pressing play at the end starts again from the beginning
+        if (this.currentTimeIndex >= time.length - 1) {
+            this.seekToTime(time[0]);
+        }
+        
+        let position = time[this.currentTimeIndex];
+        let expectedIndex = this.currentTimeIndex;
+        let previousFrame = performance.now();
+        let epochElapsed = 0;
+        
+        const playLoop = (now = performance.now()) => {
+            if (!this.isPlaying) return;
+            
+            const elapsed = Math.max(0, (now - previousFrame) / 1000);
+            previousFrame = now;
+            
+            // Resync if the playhead was moved by the slider, the hypnogram or paging
+            if (this.currentTimeIndex !== expectedIndex) {
+                position = time[this.currentTimeIndex];
+            }
+            
+            if (this.playMode === 'epoch') {
+                epochElapsed += elapsed;
+                if (epochElapsed >= this.epochInterval) {
+                    epochElapsed -= this.epochInterval;
+                    position = this.getEpochStartTime(this.getEpochAtIndex(this.currentTimeIndex) + 1);
+                }
+            } else {
+                position += elapsed * this.playSpeed;
+            }
+            
+            if (position >= lastTime) {
+                this.seekToTime(lastTime);
+                this.stopPlayback();
+                this.showTooltip('Reached the end of the recording', 'info');
+                return;
+            }
+            
+            const previousIndex = this.currentTimeIndex;
+            this.seekToTime(position);
+            this.processStimulation(previousIndex, this.currentTimeIndex);
+            expectedIndex = this.currentTimeIndex;
+            this.playAnimation = requestAnimationFrame(playLoop);
+        };
+        
+        this.playAnimation = requestAnimationFrame(playLoop);
+    }
+
+    stopPlayback() {
+        if (this.isPlaying) this.togglePlayback();
+    }
+
+    getEpochStartTime(epoch) {
+        const lastTime = this.data.time[this.data.time.length - 1];
+        return Math.min(lastTime, this.data.time[0] + epoch * this.epochLength);
+    }
+
+    renderStimulationControls() {
+        const channelSelect = document.getElementById('stim-channel');
+        if (channelSelect) {
+            const types = this.data.channelTypes;
+            const channels = this.data.channelNames.filter(name => !types[name] || types[name] === 'EEG');
+            // Channel names come from the file's labels, so they go in as text
+            channelSelect.innerHTML = '';
+            channels.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                channelSelect.appendChild(option);
+            });
+            channelSelect.value = this.getStimulationChannel();
+        }
+        
+        const targetSelect = document.getElementById('stim-target');
+        if (targetSelect && targetSelect.options.length === 0) {
+            targetSelect.innerHTML = this.stimulationPhases.map(({ value, label }) => `<option value="${value}">${label}</option>`).join('');
+            targetSelect.value = String(this.stimulation.targetPhase);
+        }
+        
+        const enabled = document.getElementById('stim-enabled');
+        if (enabled) enabled.checked = this.stimulation.enabled;
+        this.renderStimulationStatus();
+    }
+
+    setStimulationEnabled(enabled) {
+        if (!this.data) return;
+        
+        this.stimulation.enabled = enabled;
+        this.stimulationTracker = null;
+        if (enabled) {
+            // Browsers only allow audio to start from a user gesture, which this toggle is
+            if (!this.audioContext && typeof AudioContext !== 'undefined') {
+                try {
+                    this.audioContext = new AudioContext();
+                } catch (error) {
+                    console.error('Error creating audio context:', error);
+                }
+            }
+            this.audioContext?.resume?.();
+            if (this.data.sleepStages.length === 0) {
+                this.showTooltip('Clicks start once sleep staging has found N2 or N3', 'warning');
+            } else {
+                this.showTooltip(`Closed-loop stimulation armed on ${this.getStimulationChannel()}`, 'info');
+            }
+        }
+        console.log(`Closed-loop stimulation ${enabled ? 'enabled' : 'disabled'}`);
+        this.renderStimulationStatus();
+    }
+
+    setStimulationSetting(key, value) {
+        if (!(key in this.stimulation)) return;
+        this.stimulation[key] = value;
+        // The tracker is rebuilt lazily so filter and phase settings take effect on the next sample
+        this.stimulationTracker = null;
+        this.renderStimulationStatus();
+    }
+
+    getStimulationChannel() {
+        const channel = this.stimulation.channel;
+        return channel && this.data.channels[channel] ? channel : this.getStagingChannels().central;
+    }
+
+    clearStimulation() {
+        this.data.stimulation = { stimuli: [], blocked: {} };
+        this.stimulationTracker = null;
+        this.viewer.pageKey = null;
+        this.updateMainEEGPlot();
+        this.renderTimelineMarkers();
+        this.renderStimulationStatus();
+        this.updateStimulationReport();
+    }
+
+    // Causal band-pass state, primed on the seconds before `index` so a seek does not start cold
+    resetStimulationTracker(index) {
+        const { band, warmup } = this.stimulation;
+        const channel = this.getStimulationChannel();
+        const tracker = {
+            channel,
+            sections: this.designBandpass(band[0], band[1], this.samplingRate),
+            states: null,
+            previous: 0,
+            frequency: Math.sqrt(band[0] * band[1]),
+            lastRising: null,
+            lastCrossing: -Infinity,
+            lastStimulus: -Infinity,
+            lastIndex: index
+        };
+        tracker.states = tracker.sections.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+        
+        const samples = this.data.channels[channel];
+        for (let i = Math.max(0, index - Math.round(warmup * this.samplingRate)); i <= index; i++) {
+            this.trackSlowOscillation(tracker, samples[i], this.data.time[i]);
+        }
+        this.stimulationTracker = tracker;
+        return tracker;
+    }
+
+    // One sample through the causal filter; returns the phase (radians, 0 at the up-state peak) and envelope
+    trackSlowOscillation(tracker, sample, time) {
+        let value = sample;
+        tracker.sections.forEach(({ b0, b1, b2, a1, a2 }, index) => {
+            const state = tracker.states[index];
+            const output = b0 * value + b1 * state.x1 + b2 * state.x2 - a1 * state.y1 - a2 * state.y2;
+            state.x2 = state.x1; state.x1 = value;
+            state.y2 = state.y1; state.y1 = output;
+            value = output;
+        });
+        
+        // Rising zero crossings give the current slow-oscillation frequency
+        const [low, high] = this.stimulation.band;
+        if (tracker.previous < 0 && value >= 0) {
+            if (tracker.lastRising !== null) {
+                const frequency = 1 / (time - tracker.lastRising);
+                if (frequency >= low && frequency <= high) {
+                    tracker.frequency = 0.7 * tracker.frequency + 0.3 * frequency;
+                }
+            }
+            tracker.lastRising = time;
+        }
+        
+        // Quadrature from the local slope, moved from the half-sample midpoint to this sample,
+        // then corrected for the causal filter's lag at the current frequency
+        const omega = 2 * Math.PI * tracker.frequency;
+        const middle = (value + tracker.previous) / 2;
+        const slope = (value - tracker.previous) * this.samplingRate;
+        const measured = Math.atan2(-slope / omega, middle) + omega / (2 * this.samplingRate);
+        tracker.previous = value;
+        
+        return {
+            phase: measured - this.getFilterPhase(tracker.sections, tracker.frequency),
+            amplitude: Math.hypot(middle, slope / omega),
+            omega
+        };
+    }
+
+    // Phase response of a biquad cascade at one frequency, in radians (negative means lag)
+    getFilterPhase(sections, frequency) {
+        const w = 2 * Math.PI * frequency / this.samplingRate;
+        return sections.reduce((sum, { b0, b1, b2, a1, a2 }) => {
+            const numerator = Math.atan2(-b1 * Math.sin(w) - b2 * Math.sin(2 * w), b0 + b1 * Math.cos(w) + b2 * Math.cos(2 * w));
+            const denominator = Math.atan2(-a1 * Math.sin(w) - a2 * Math.sin(2 * w), 1 + a1 * Math.cos(w) + a2 * Math.cos(2 * w));
+            return sum + numerator - denominator;
+        }, 0);
+    }
+
+    // Called by the playback loop with the samples it just played
+    processStimulation(fromIndex, toIndex) {
+        if (!this.stimulation.enabled || !this.data || toIndex <= fromIndex) return;
+        
+        let tracker = this.stimulationTracker;
+        const maxGap = 120 * this.samplingRate;
+        if (!tracker || tracker.channel !== this.getStimulationChannel() || tracker.lastIndex !== fromIndex || toIndex - fromIndex > maxGap) {
+            tracker = this.resetStimulationTracker(toIndex - 1);
+            fromIndex = toIndex - 1;
+        }
+        
+        const samples = this.data.channels[tracker.channel];
+        const time = this.data.time;
+        const target = this.stimulation.targetPhase * Math.PI / 180;
+        const twoPi = 2 * Math.PI;
+        const added = [];
+        
+        for (let i = fromIndex + 1; i <= toIndex; i++) {
+            const { phase, amplitude, omega } = this.trackSlowOscillation(tracker, samples[i], time[i]);
+            const ahead = (((target - phase) % twoPi) + twoPi) % twoPi / omega;
+            
+            // The target phase falls before the next sample; one decision per slow-oscillation cycle
+            if (ahead <= 1 / this.samplingRate && time[i] - tracker.lastCrossing > Math.PI / omega) {
+                tracker.lastCrossing = time[i];
+                const stimulus = this.considerStimulus(tracker, i, time[i] + ahead, amplitude);
+                if (stimulus) added.push(stimulus);
+            }
+        }
+        tracker.lastIndex = toIndex;
+        
+        if (added.length) {
+            added.filter(stimulus => !stimulus.sham).forEach(stimulus => this.playStimulusClick(stimulus.time - time[toIndex]));
+            this.renderStimulationMarkers();
+            this.renderStimulationStatus();
+        }
+    }
+
+    // Applies the gating rules in order; blocked crossings are counted by the first rule that failed
+    considerStimulus(tracker, index, time, amplitude) {
+        const settings = this.stimulation;
+        const record = this.data.stimulation;
+        const block = (reason) => {
+            record.blocked[reason] = (record.blocked[reason] || 0) + 1;
+            return null;
+        };
+        
+        const stage = this.data.sleepStages[this.getEpochAtIndex(index)]?.stage;
+        if (!settings.stages.includes(stage)) return block('stage');
+        
+        const arousal = this.data.events.some(event => event.type === 'arousal'
+            && time >= event.onset && time <= event.onset + event.duration + settings.arousalPause);
+        if (arousal) return block('arousal');
+        
+        if (this.getArtifactMask(tracker.channel)[index]) return block('artifact');
+        if (amplitude < settings.minAmplitude) return block('amplitude');
+        if (time - tracker.lastStimulus < settings.refractory) return block('refractory');
+        
+        // Alternating on/off windows; crossings in off windows are logged as sham for comparison
+        const cycle = settings.blockOn + settings.blockOff;
+        const sham = settings.blockOff > 0 && (time - this.data.time[0]) % cycle >= settings.blockOn;
+        
+        tracker.lastStimulus = time;
+        const stimulus = { time, index, channel: tracker.channel, stage, amplitude, sham, targetPhase: settings.targetPhase };
+        record.stimuli.push(stimulus);
+        return stimulus;
+    }
+
+    // Short pink-noise burst with 5 ms ramps, the usual closed-loop stimulus
+    playStimulusClick(delay) {
+        const context = this.audioContext;
+        const settings = this.stimulation;
+        if (!context || !settings.audio || this.playMode === 'epoch' || this.playSpeed > settings.maxAudioSpeed) return;
+        
+        try {
+            if (!this.pinkNoiseBuffer) this.pinkNoiseBuffer = this.createPinkNoiseBuffer(context, settings.clickDuration);
+            
+            const source = context.createBufferSource();
+            const gain = context.createGain();
+            const start = context.currentTime + Math.max(0, delay / this.playSpeed);
+            const end = start + settings.clickDuration;
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(settings.volume, start + 0.005);
+            gain.gain.setValueAtTime(settings.volume, end - 0.005);
+            gain.gain.linearRampToValueAtTime(0, end);
+            
+            source.buffer = this.pinkNoiseBuffer;
+            source.connect(gain).connect(context.destination);
+            source.start(start);
+            source.stop(end);
+        } catch (error) {
+            console.error('Error playing stimulus:', error);
+        }
+    }
+
+    // Paul Kellet's filtered white noise, normalised to ±1
+    createPinkNoiseBuffer(context, duration) {
+        const length = Math.ceil(duration * context.sampleRate);
+        const buffer = context.createBuffer(1, length, context.sampleRate);
+        const output = buffer.getChannelData(0);
+        let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+        let peak = 0;
+        
+        for (let i = 0; i < length; i++) {
+            const white = Math.random() * 2 - 1;
+            b0 = 0.99886 * b0 + white * 0.0555179;
+            b1 = 0.99332 * b1 + white * 0.0750759;
+            b2 = 0.96900 * b2 + white * 0.1538520;
+            b3 = 0.86650 * b3 + white * 0.3104856;
+            b4 = 0.55000 * b4 + white * 0.5329522;
+            b5 = -0.7616 * b5 - white * 0.0168980;
+            output[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+            b6 = white * 0.115926;
+            peak = Math.max(peak, Math.abs(output[i]));
+        }
+        if (peak > 0) {
+            for (let i = 0; i < length; i++) output[i] /= peak;
+        }
+        return buffer;
+    }
+
+    renderStimulationMarkers() {
+        const container = document.getElementById('timeline-annotations');
+        if (!container) return;
+        
+        container.querySelectorAll('.stim-marker').forEach(marker => marker.remove());
+        const fragment = document.createDocumentFragment();
+        const groups = this.groupTimelineMarkers(this.data.stimulation?.stimuli || [], stimulus => stimulus.time, stimulus => stimulus.sham, 4);
+        groups.forEach(({ items, left }) => {
+            const first = items[0];
+            const kind = first.sham ? 'Sham' : 'Stimulus';
+            const marker = document.createElement('div');
+            marker.className = `stim-marker${first.sham ? ' sham' : ''}`;
+            marker.style.left = `${left}%`;
+            marker.title = items.length > 1
+                ? `${items.length} × ${kind}, ${this.formatEventTime(first.time)}–${this.formatEventTime(items[items.length - 1].time)}`
+                : `${kind} at ${this.formatEventTime(first.time)}`;
+            marker.addEventListener('click', () => this.seekToTime(first.time));
+            fragment.appendChild(marker);
+        });
+        container.appendChild(fragment);
+    }
+
+    getStimulationShapes(page) {
+        return (this.data.stimulation?.stimuli || [])
+            .filter(stimulus => stimulus.time >= page.start && stimulus.time <= page.end)
+            .map(stimulus => ({
+                type: 'line',
+                xref: 'x',
+                yref: 'paper',
+                x0: stimulus.time,
+                x1: stimulus.time,
+                y0: 0,
+                y1: 1,
+                line: { color: stimulus.sham ? '#94A3B8' : '#8B5CF6', width: 1.5, dash: stimulus.sham ? 'dot' : 'solid' }
+            }));
+    }
+
+    renderStimulationStatus() {
+        const status = document.getElementById('stim-status');
+        const count = document.getElementById('stim-count');
+        const sham = document.getElementById('stim-sham-count');
+        const blocked = document.getElementById('stim-blocked-count');
+        const record = this.data?.stimulation;
+        if (!record) return;
+        
+        const stimuli = record.stimuli.filter(stimulus => !stimulus.sham).length;
+        if (status) {
+            status.textContent = this.stimulation.enabled ? 'Armed' : 'Off';
+            status.classList.toggle('active', this.stimulation.enabled);
+        }
+        if (count) count.textContent = stimuli;
+        if (sham) sham.textContent = record.stimuli.length - stimuli;
+        if (blocked) {
+            const reasons = Object.entries(record.blocked);
+            blocked.textContent = reasons.reduce((sum, [, value]) => sum + value, 0);
+            blocked.title = reasons.map(([reason, value]) => `${reason}: ${value}`).join(', ');
+        }
+    }
+
+    // Phase of the zero-phase filtered signal at one sample, from the analytic signal of the surrounding window
+    getTruePhase(filtered, index) {
+        const size = 2 ** Math.floor(Math.log2(8 * this.samplingRate));
+        const start = index - size / 2;
+        if (start < 0 || start + size > filtered.length) return null;
+        
+        const segment = Array.from(filtered.subarray(start, start + size));
+        fftjs.fftInPlace(segment);
+        
+        // z(n) = (1/N) [X0 + 2 Σ X_k e^{i2πkn/N} + X_{N/2} e^{iπn}] evaluated only at the centre
+        const n = size / 2;
+        let re = segment[0][0];
+        let im = segment[0][1];
+        for (let k = 1; k < size / 2; k++) {
+            const angle = 2 * Math.PI * k * n / size;
+            const [xr, xi] = segment[k];
+            re += 2 * (xr * Math.cos(angle) - xi * Math.sin(angle));
+            im += 2 * (xr * Math.sin(angle) + xi * Math.cos(angle));
+        }
+        const nyquist = Math.cos(Math.PI * n);
+        re += segment[size / 2][0] * nyquist;
+        im += segment[size / 2][1] * nyquist;
+        return Math.atan2(im, re);
+    }
+
+    // Offline check of the online decisions: delivered phase against target, and stimulus-locked averages
+    computeStimulationReport() {
+        const record = this.data?.stimulation;
+        if (!record || record.stimuli.length === 0) return null;
+        
+        const channel = record.stimuli[0].channel;
+        const filtered = this.getFilteredChannel(channel, ...this.stimulation.band);
+        const samples = this.data.channels[channel];
+        if (!filtered || !samples) return null;
+        
+        const wrap = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+        const delivered = record.stimuli.filter(stimulus => !stimulus.sham);
+        const errors = [];
+        const phases = [];
+        delivered.forEach(stimulus => {
+            const phase = this.getTruePhase(filtered, stimulus.index);
+            if (phase === null) return;
+            phases.push(phase * 180 / Math.PI);
+            errors.push(wrap(phase - stimulus.targetPhase * Math.PI / 180));
+        });
+        
+        let accuracy = null;
+        if (errors.length) {
+            const c = errors.reduce((sum, error) => sum + Math.cos(error), 0) / errors.length;
+            const s = errors.reduce((sum, error) => sum + Math.sin(error), 0) / errors.length;
+            const resultant = Math.hypot(c, s);
+            accuracy = {
+                meanError: Math.atan2(s, c) * 180 / Math.PI,
+                resultant,
+                circularSD: Math.sqrt(-2 * Math.log(Math.max(resultant, 1e-9))) * 180 / Math.PI,
+                withinTolerance: errors.filter(error => Math.abs(error) <= Math.PI / 4).length / errors.length
+            };
+        }
+        
+        // Averages from 1.5 s before to 2.5 s after each stimulus
+        const before = Math.round(1.5 * this.samplingRate);
+        const after = Math.round(2.5 * this.samplingRate);
+        const average = (group) => {
+            const usable = group.filter(stimulus => stimulus.index - before >= 0 && stimulus.index + after < samples.length);
+            if (usable.length === 0) return null;
+            const sum = new Float64Array(before + after + 1);
+            usable.forEach(stimulus => {
+                for (let i = -before; i <= after; i++) sum[i + before] += samples[stimulus.index + i];
+            });
+            return { count: usable.length, values: Array.from(sum, value => value / usable.length) };
+        };
+        
+        return {
+            channel,
+            delivered: delivered.length,
+            sham: record.stimuli.length - delivered.length,
+            blocked: { ...record.blocked },
+            phases,
+            accuracy,
+            lags: Array.from({ length: before + after + 1 }, (_, i) => (i - before) / this.samplingRate),
+            stimulusAverage: average(delivered),
+            shamAverage: average(record.stimuli.filter(stimulus => stimulus.sham))
+        };
+    }
+
+    updateStimulationReport() {
+        const summary = document.getElementById('stim-report-summary');
+        if (!summary || !this.data) return;
+        
+        const report = this.computeStimulationReport();
+        this.data.stimulationReport = report;
+        if (!report) {
+            summary.innerHTML = '<div class="annotation-empty">Enable closed-loop stimulation on the Home tab and play a recording</div>';
+            ['stim-average-plot', 'stim-phase-plot'].forEach(id => {
+                const plot = document.getElementById(id);
+                if (plot && typeof Plotly !== 'undefined') {
+                    try {
+                        Plotly.purge(plot);
+                    } catch (error) {
+                        console.error('Error clearing stimulation plot:', error);
+                    }
+                }
+            });
+            return;
+        }
+        
+        const { accuracy } = report;
+        const rows = [
+            ['Channel', report.channel],
+            ['Stimuli delivered', report.delivered],
+            ['Sham crossings', report.sham],
+            ['Blocked', Object.entries(report.blocked).map(([reason, count]) => `${reason} ${count}`).join(', ') || 'none'],
+            ['Target phase', `${this.stimulation.targetPhase}°`],
+            ['Mean phase error', accuracy ? `${accuracy.meanError.toFixed(1)}°` : '--'],
+            ['Circular SD', accuracy ? `${accuracy.circularSD.toFixed(1)}° (R ${accuracy.resultant.toFixed(2)})` : '--'],
+            ['Within ±45°', accuracy ? `${Math.round(accuracy.withinTolerance * 100)}%` : '--']
+        ];
+        summary.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'summary-item';
+            item.innerHTML = '<span class="summary-label"></span><span class="summary-value"></span>';
+            item.querySelector('.summary-label').textContent = label;
+            item.querySelector('.summary-value').textContent = value;
+            summary.appendChild(item);
+        });
+        
+        if (typeof Plotly === 'undefined') return;
+        
+        const averages = [
+            [report.stimulusAverage, 'Stimulus', '#8B5CF6', 'solid'],
+            [report.shamAverage, 'Sham', '#94A3B8', 'dot']
+        ].filter(([average]) => average).map(([average, name, color, dash]) => ({
+            x: report.lags,
+            y: average.values,
+            type: 'scatter',
+            mode: 'lines',
+            name: `${name} (n=${average.count})`,
+            line: { color, width: 2, dash }
+        }));
+        
+        const bins = 24;
+        const counts = new Array(bins).fill(0);
+        report.phases.forEach(phase => {
+            counts[Math.floor(((phase + 360) % 360) / (360 / bins)) % bins]++;
+        });
+        
+        try {
+            if (document.getElementById('stim-average-plot')) {
+                Plotly.react('stim-average-plot', averages, {
+                    margin: { l: 50, r: 20, t: 10, b: 40 },
+                    xaxis: { title: 'Time from stimulus (s)', zeroline: true },
+                    yaxis: { title: 'µV' },
+                    legend: { orientation: 'h', y: 1.1 },
+                    shapes: [{ type: 'line', xref: 'x', yref: 'paper', x0: 0, x1: 0, y0: 0, y1: 1, line: { color: '#8B5CF6', width: 1 } }],
+                    plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
+                    paper_bgcolor: 'transparent'
+                }, { displayModeBar: false, responsive: true });
+            }
+            if (document.getElementById('stim-phase-plot')) {
+                Plotly.react('stim-phase-plot', [{
+                    type: 'barpolar',
+                    r: counts,
+                    theta: counts.map((_, i) => (i + 0.5) * 360 / bins),
+                    marker: { color: '#8B5CF6' },
+                    hovertemplate: '%{theta:.0f}°: %{r}<extra></extra>'
+                }], {
+                    margin: { l: 30, r: 30, t: 20, b: 20 },
+                    polar: { angularaxis: { rotation: 90, direction: 'counterclockwise' } },
+                    showlegend: false,
+                    paper_bgcolor: 'transparent'
+                }, { displayModeBar: false, responsive: true });
+            }
+        } catch (error) {
+            console.error('Error updating stimulation report:', error);
+        }
+    }
+
+    // Built-in templates plus any a clinic imported, which are kept in localStorage
+    loadReportTemplates() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.reportTemplateKey) || '{}');
+            Object.entries(stored).forEach(([id, template]) => {
+                try {
+                    this.reportTemplates[id] = this.normalizeReportTemplate(template);
+                } catch (error) {
+                    console.error(`Skipping report template ${id}:`, error.message);
+                }
+            });
+        } catch (error) {
+            console.error('Error loading report templates:', error);
+        }
+    }
+
+    // A clinic template only lists what differs from the standard one; anything the report cannot lay out throws
+    normalizeReportTemplate(template) {
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            throw new Error('the template must be a JSON object');
+        }
+        
+        const base = this.reportTemplates.standard;
+        const merged = { ...base, ...template, clinic: { ...base.clinic, ...template.clinic } };
+        if (typeof merged.name !== 'string' || !merged.name.trim()) throw new Error('the template needs a name');
+        if (!this.reportPageSizes[merged.pageSize]) {
+            throw new Error(`pageSize must be ${Object.keys(this.reportPageSizes).join(' or ')}`);
+        }
+        // Written into the report's CSS, so nothing but a hex colour
+        if (!/^#[0-9a-f]{3,8}$/i.test(merged.accentColor)) throw new Error('accentColor must be a hex colour such as #553C9A');
+        if (merged.clinic.logo && !/^(data:image\/|https?:\/\/)/.test(merged.clinic.logo)) {
+            throw new Error('clinic.logo must be an http(s) or data:image URL');
+        }
+        
+        const sections = this.getReportSections();
+        if (!Array.isArray(merged.pages) || merged.pages.length === 0 || !merged.pages.every(page => Array.isArray(page) && page.length > 0)) {
+            throw new Error('pages must be a list of pages, each a list of section ids');
+        }
+        const unknown = merged.pages.flat().find(id => !sections[id]);
+        if (unknown !== undefined) {
+            throw new Error(`unknown section "${unknown}", use ${Object.keys(sections).join(', ')}`);
+        }
+        
+        return merged;
+    }
+
+    importReportTemplate(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let template;
+            try {
+                // The file name stands in for a missing name
+                template = this.normalizeReportTemplate({ name: file.name.replace(/\.json$/i, ''), ...JSON.parse(String(reader.result)) });
+            } catch (error) {
+                this.showTooltip(`Could not use ${file.name} as a report template: ${error.message}`, 'error');
+                return;
+            }
+            
+            const id = `clinic:${template.name}`;
+            this.reportTemplates[id] = template;
+            this.reportSettings.template = id;
+            this.saveReportTemplates();
+            this.renderReportControls();
+            console.log(`Imported report template ${template.name}: ${template.pages.length} pages`);
+            this.showTooltip(`Imported report template "${template.name}"`, 'success');
+        };
+        reader.onerror = () => this.showTooltip(`Could not read ${file.name}`, 'error');
+        reader.readAsText(file);
+    }
+
+    saveReportTemplates() {
+        const custom = Object.fromEntries(Object.entries(this.reportTemplates).filter(([id]) => id.startsWith('clinic:')));
+        try {
+            localStorage.setItem(this.reportTemplateKey, JSON.stringify(custom));
+        } catch (error) {
+            console.error('Error saving report templates:', error);
+            this.showTooltip('Could not save the report template; it is only available until the page is reloaded', 'warning');
+        }
+    }
+
+    // The active template as a starting point for a clinic's own
+    downloadReportTemplate() {
+        const template = this.reportTemplates[this.reportSettings.template];
+        this.downloadFile(JSON.stringify(template, null, 2), `${this.getFileSlug(template.name)}.json`, 'application/json');
+    }
+
+    renderReportControls() {
+        const select = document.getElementById('report-template');
+        if (select) {
+            select.innerHTML = '';
+            Object.entries(this.reportTemplates).forEach(([id, template]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = template.name;
+                select.appendChild(option);
+            });
+            select.value = this.reportSettings.template;
+        }
+        
+        const notes = this.data?.reportNotes || { reviewer: '', text: '' };
+        const reviewer = document.getElementById('report-reviewer');
+        if (reviewer) reviewer.value = notes.reviewer;
+        const text = document.getElementById('report-notes');
+        if (text) text.value = notes.text;
+    }
+
+    setReportNote(field, value) {
+        if (!this.data) return;
+        this.data.reportNotes[field] = value;
+        this.scheduleSessionSave();
+    }
+
+    // Section ids a template can place on its pages
+    getReportSections() {
+        return {
+            patient: { label: 'Patient and study', render: (report) => this.renderReportPatient(report) },
+            architecture: { label: 'Sleep architecture', render: (report) => this.renderReportArchitecture(report) },
+            hypnogram: { label: 'Hypnogram', render: (report) => this.renderReportHypnogram(report) },
+            stagePie: { label: 'Stage distribution', render: (report) => this.renderReportStagePie(report) },
+            events: { label: 'Event indices', render: (report) => this.renderReportEvents(report) },
+            rem: { label: 'REM sleep', render: (report) => this.renderReportREM(report) },
+            spectral: { label: 'Spectral summary', render: (report) => this.renderReportSpectral(report) },
+            notes: { label: 'Reviewer notes', render: (report) => this.renderReportNotes(report) }
+        };
+    }
+
+    // Self-contained HTML with one fixed-size sheet per template page; printing it gives the PDF
+    async buildClinicalReport(templateId = this.reportSettings.template) {
+        const data = this.data;
+        const template = this.reportTemplates[templateId] || this.reportTemplates.standard;
+        const sections = this.getReportSections();
+        const report = { data, template, metrics: data.sleepMetrics, generatedAt: new Date() };
+        
+        const pages = [];
+        for (const page of template.pages) {
+            const parts = [];
+            for (const id of page) {
+                parts.push(`<section class="report-section"><h2>${sections[id].label}</h2>${await sections[id].render(report)}</section>`);
+            }
+            pages.push(parts.join(''));
+        }
+        
+        const escape = (value) => this.escapeHTML(value);
+        const { clinic } = template;
+        const [width, height] = this.reportPageSizes[template.pageSize];
+        const patient = data.patient?.name || data.patient?.code || data.source.name;
+        const studyDate = data.startTime ? format(new Date(data.startTime), 'd MMM yyyy') : format(report.generatedAt, 'd MMM yyyy');
+        const contact = [clinic.address, clinic.phone, clinic.email].filter(Boolean).map(escape).join(' · ');
+        
+        const sheets = pages.map((body, i) => `
+            <div class="page">
+                <header class="page-header">
+                    <div class="clinic">
+                        ${clinic.logo ? `<img class="logo" src="${escape(clinic.logo)}" alt="">` : ''}
+                        <div>
+                            <div class="clinic-name">${escape(clinic.name)}</div>
+                            ${contact ? `<div class="clinic-contact">${contact}</div>` : ''}
+                        </div>
+                    </div>
+                    <div class="report-title">
+                        <div>${escape(template.title)}</div>
+                        <div class="report-subject">${escape(patient)} · ${escape(studyDate)}</div>
+                    </div>
+                </header>
+                <main class="page-body">${body}</main>
+                <footer class="page-footer">
+                    <span>${escape(template.footer || '')}</span>
+                    <span>Page ${i + 1} of ${pages.length}</span>
+                </footer>
+            </div>
+        `).join('');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(template.title)}: ${escape(patient)}</title>
+<style>
+    @page { size: ${template.pageSize}; margin: 0; }
+    * { box-sizing: border-box; }
+    body { margin: 0; background: #e2e8f0; font: 10pt/1.4 'Segoe UI', Helvetica, Arial, sans-serif; color: #1a202c;
+        -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .toolbar { position: sticky; top: 0; padding: 10px; text-align: center; background: #2d3748; }
+    .toolbar button { padding: 6px 16px; border: none; border-radius: 4px; background: ${template.accentColor}; color: white; font-size: 11pt; cursor: pointer; }
+    .page { width: ${width}mm; min-height: ${height}mm; margin: 10mm auto; padding: 14mm 15mm 12mm; background: white;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2); display: flex; flex-direction: column; page-break-after: always; break-after: page; }
+    .page:last-child { page-break-after: auto; break-after: auto; }
+    .page-header { display: flex; justify-content: space-between; align-items: flex-end; gap: 12mm;
+        padding-bottom: 3mm; margin-bottom: 5mm; border-bottom: 2px solid ${template.accentColor}; }
+    .clinic { display: flex; align-items: center; gap: 4mm; }
+    .logo { max-height: 14mm; max-width: 40mm; }
+    .clinic-name { font-size: 13pt; font-weight: 600; color: ${template.accentColor}; }
+    .clinic-contact, .report-subject { font-size: 8.5pt; color: #4a5568; }
+    .report-title { text-align: right; font-size: 12pt; font-weight: 600; }
+    .page-body { flex: 1; }
+    .page-footer { display: flex; justify-content: space-between; gap: 10mm; padding-top: 3mm; margin-top: 5mm;
+        border-top: 1px solid #cbd5e0; font-size: 8pt; color: #718096; }
+    .report-section { margin-bottom: 6mm; break-inside: avoid; }
+    h2 { margin: 0 0 2mm; font-size: 11.5pt; color: ${template.accentColor}; }
+    table { width: 100%; border-collapse: collapse; font-size: 9pt; }
+    th, td { padding: 1.2mm 2mm; border-bottom: 1px solid #e2e8f0; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    thead th { background: #f7fafc; font-weight: 600; }
+    .fields { display: grid; grid-template-columns: repeat(2, 1fr); gap: 1mm 10mm; margin: 0 0 3mm; }
+    .fields div { display: flex; justify-content: space-between; gap: 4mm; border-bottom: 1px dotted #cbd5e0; }
+    .fields dt { color: #4a5568; }
+    .fields dd { margin: 0; font-weight: 600; text-align: right; }
+    .figure { display: block; max-width: 100%; margin: 2mm auto; }
+    .figure-missing { padding: 8mm; text-align: center; color: #718096; border: 1px dashed #cbd5e0; }
+    .note { font-size: 8.5pt; color: #718096; margin: 1mm 0; }
+    .notes-text { min-height: 30mm; padding: 3mm; border: 1px solid #e2e8f0; white-space: pre-wrap; }
+    .signature { display: grid; grid-template-columns: 2fr 2fr 1fr; gap: 8mm; margin-top: 12mm; }
+    .signature div { padding-top: 1mm; border-top: 1px solid #1a202c; font-size: 8.5pt; color: #4a5568; }
+    @media print {
+        body { background: none; }
+        .toolbar { display: none; }
+        .page { margin: 0; box-shadow: none; }
+    }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+${sheets}
+</body>
+</html>
+`;
+    }
+
+    // Opened synchronously from the click so popup blockers let it through, filled once the figures are rendered
+    async openClinicalReport() {
+        if (!this.checkReportReady()) return;
+        
+        const view = window.open('', '_blank');
+        if (!view) {
+            this.showTooltip('The report window was blocked; allow popups or use Download HTML', 'warning');
+            return;
+        }
+        view.document.write('<p style="font-family: sans-serif">Preparing report…</p>');
+        
+        try {
+            const html = await this.buildClinicalReport();
+            view.document.open();
+            view.document.write(html);
+            view.document.close();
+        } catch (error) {
+            console.error('Error building clinical report:', error);
+            view.close();
+            this.showTooltip('Could not build the report', 'error');
+        }
+    }
+
+    async downloadClinicalReport() {
+        if (!this.checkReportReady()) return;
+        
+        try {
+            const html = await this.buildClinicalReport();
+            this.downloadFile(html, `${this.getFileSlug(this.data.source.name)}-sleep-report.html`, 'text/html');
+            this.showTooltip('Report downloaded; open it and print to save a PDF', 'success');
+        } catch (error) {
+            console.error('Error building clinical report:', error);
+            this.showTooltip('Could not build the report', 'error');
+        }
+    }
+
+    checkReportReady() {
+        if (this.live) {
+            this.showTooltip('Stop live acquisition before generating a report', 'warning');
+            return false;
+        }
+        if (!this.data?.sleepMetrics) {
+            this.showTooltip('Sleep staging has not finished for this recording', 'warning');
+            return false;
+        }
+        return true;
+    }
+
+    // Plotly renders off-screen to SVG, which stays sharp in print
+    async renderReportFigure(traces, layout, width, height) {
+        const missing = '<div class="figure-missing">Figure not available</div>';
+        if (typeof Plotly === 'undefined' || typeof Plotly.toImage !== 'function') return missing;
+        
+        try {
+            const url = await Plotly.toImage({
+                data: traces,
+                layout: { ...layout, width, height, paper_bgcolor: 'white', plot_bgcolor: 'white', font: { size: 11 } }
+            }, { format: 'svg', width, height });
+            return `<img class="figure" src="${this.escapeHTML(url)}" width="${width}" height="${height}" alt="">`;
+        } catch (error) {
+            console.error('Error rendering report figure:', error);
+            return missing;
+        }
+    }
+
+    renderReportFields(items) {
+        const rows = items.map(([label, value]) => `<div><dt>${this.escapeHTML(label)}</dt><dd>${this.escapeHTML(value)}</dd></div>`);
+        return `<dl class="fields">${rows.join('')}</dl>`;
+    }
+
+    renderReportTable(head, rows) {
+        const cells = (row, tag) => row.map(cell => `<${tag}>${this.escapeHTML(cell)}</${tag}>`).join('');
+        return `<table><thead><tr>${cells(head, 'th')}</tr></thead><tbody>${rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`;
+    }
+
+    // Clock time of a recording offset when the start is known, elapsed time otherwise
+    getReportClock(seconds) {
+        const { startTime, time } = this.data;
+        if (!startTime) return this.formatTime(seconds - time[0]);
+        return format(addSeconds(new Date(startTime), seconds - time[0]), 'HH:mm:ss');
+    }
+
+    renderReportPatient({ data, generatedAt }) {
+        const patient = data.patient || {};
+        const notch = this.artifactDetection.notch;
+        const overrides = Object.keys(data.manualStages).length;
+        const duration = data.time.length ? data.time[data.time.length - 1] - data.time[0] + 1 / data.samplingRate : 0;
+        
+        return this.renderReportFields([
+            ['Patient', patient.name || 'Not recorded'],
+            ['Patient ID', patient.code || 'Not recorded'],
+            ['Sex', patient.sex || 'Not recorded'],
+            ['Date of birth', patient.birthdate || 'Not recorded'],
+            ['Recording', data.source.name],
+            ['Study start', data.startTime ? format(new Date(data.startTime), 'd MMM yyyy HH:mm') : 'Not recorded'],
+            ['Recording length', this.formatDuration(duration)],
+            ['Channels', `${data.sourceNames.length} @ ${data.samplingRate} Hz`],
+            ['Montage', this.getMontageDefinition().name],
+            ['Notch filter', notch ? `${notch} Hz` : 'Off'],
+            ['Staging', overrides ? `Automatic, ${overrides} epochs edited by a scorer` : 'Automatic, not edited'],
+            ['Report generated', format(generatedAt, 'd MMM yyyy HH:mm')]
+        ]);
+    }
+
+    renderReportArchitecture({ data, metrics }) {
+        const optionalDuration = (value) => (value === null ? '--' : this.formatDuration(value));
+        const rows = Object.keys(this.sleepStages).map(stage => [
+            this.sleepStages[stage].name,
+            (metrics.stageDurations[stage] / 60).toFixed(1),
+            stage === 'W' ? '--' : metrics.stagePercent[stage].toFixed(1),
+            metrics.timeInBed > 0 ? (metrics.stageDurations[stage] / metrics.timeInBed * 100).toFixed(1) : '--'
+        ]);
+        const complete = metrics.cycles.filter(cycle => cycle.complete).length;
+        const score = data.sleepScore;
+        
+        return this.renderReportFields([
+            ['Time in bed', this.formatDuration(metrics.timeInBed)],
+            ['Total sleep time', this.formatDuration(metrics.totalSleepTime)],
+            ['Sleep period time', this.formatDuration(metrics.sleepPeriodTime)],
+            ['Sleep efficiency', `${metrics.sleepEfficiency.toFixed(1)}%`],
+            ['Sleep onset latency', optionalDuration(metrics.sleepOnsetLatency)],
+            ['REM latency', optionalDuration(metrics.remLatency)],
+            ['WASO', this.formatDuration(metrics.waso)],
+            ['Awakenings', metrics.awakenings],
+            ['Sleep cycles', `${complete} complete${complete < metrics.cycleCount ? ' + 1 partial' : ''}`],
+            ['Stage shifts', metrics.stageShifts],
+            ['Excluded (artifacts)', this.formatDuration(metrics.excludedTime || 0)],
+            ['Sleep score', score ? `${score.score} / 100 (${score.rating})` : '--']
+        ]) + this.renderReportTable(['Stage', 'Minutes', '% of sleep', '% of time in bed'], rows);
+    }
+
+    renderReportHypnogram({ data }) {
+        const levels = this.getHypnogramLevels();
+        const epochs = data.sleepStages;
+        const last = epochs[epochs.length - 1];
+        const hours = (seconds) => (seconds - data.time[0]) / 3600;
+        
+        return this.renderReportFigure([
+            {
+                x: [...epochs.map(epoch => hours(epoch.start)), hours(last.end)],
+                y: [...epochs.map(epoch => levels[epoch.stage]), levels[last.stage]],
+                type: 'scatter',
+                mode: 'lines',
+                line: { shape: 'hv', color: '#2D3748', width: 1.5 }
+            },
+            {
+                x: epochs.map(epoch => hours((epoch.start + epoch.end) / 2)),
+                y: epochs.map(epoch => (epoch.stage === 'REM' ? levels.REM : null)),
+                type: 'scatter',
+                mode: 'markers',
+                marker: { symbol: 'line-ew', size: 6, line: { color: '#D53F8C', width: 4 } }
+            }
+        ], {
+            margin: { l: 50, r: 10, t: 10, b: 40 },
+            showlegend: false,
+            xaxis: { title: 'Hours from start', range: [0, hours(last.end)], gridcolor: '#EDF2F7' },
+            yaxis: { tickvals: Object.values(levels), ticktext: Object.keys(levels), range: [-0.5, 4.5], gridcolor: '#EDF2F7' }
+        }, 680, 220);
+    }
+
+    async renderReportStagePie() {
+        // The dashboard's pale stage colours need an outline to survive printing
+        const trace = this.getSleepCycleTrace();
+        trace.marker.line = { color: '#4A5568', width: 1 };
+        const figure = await this.renderReportFigure([trace], {
+            margin: { l: 10, r: 10, t: 10, b: 10 },
+            showlegend: false
+        }, 320, 240);
+        return `${figure}<p class="note">Share of staged epochs from lights off to lights on, wake included.</p>`;
+    }
+
+    // Densities per minute of the stage the events belong to, arousals and awakenings per hour of sleep
+    renderReportEvents({ data, metrics }) {
+        const stageAt = (seconds) => data.sleepStages[Math.floor((seconds - data.time[0]) / this.epochLength)]?.stage;
+        const count = (type, stages) => data.events.filter(event => event.type === type && stages.includes(stageAt(event.onset))).length;
+        const perMinute = (value, stage) => (metrics.stageDurations[stage] > 0 ? (value / (metrics.stageDurations[stage] / 60)).toFixed(2) : '--');
+        const perHour = (value) => (metrics.totalSleepTime > 0 ? (value / (metrics.totalSleepTime / 3600)).toFixed(1) : '--');
+        
+        // Same definition as the trends view: every spindle over N2 minutes
+        const spindles = data.events.filter(event => event.type === 'spindle').length;
+        const kComplexes = count('k-complex', ['N2']);
+        const slowOscillations = count('slow-oscillation', ['N3']);
+        const arousals = count('arousal', ['N1', 'N2', 'N3', 'REM']);
+        const eyeMovements = data.remSummary?.density;
+        
+        const rows = [
+            ['Sleep spindles', spindles, perMinute(spindles, 'N2'), 'per min N2'],
+            ['K-complexes (N2)', kComplexes, perMinute(kComplexes, 'N2'), 'per min N2'],
+            ['Slow oscillations (N3)', slowOscillations, perMinute(slowOscillations, 'N3'), 'per min N3'],
+            ['Arousals', arousals, perHour(arousals), 'per h sleep'],
+            ['Awakenings', metrics.awakenings, perHour(metrics.awakenings), 'per h sleep'],
+            ['REM eye movements', data.remEyeMovements?.length ?? '--', eyeMovements == null ? '--' : eyeMovements.toFixed(2), 'per min REM']
+        ];
+        
+        const detected = data.events.some(event => event.source === 'auto');
+        const note = detected ? '' : '<p class="note">Automatic event detection was not run; counts include scorer-marked events only.</p>';
+        return this.renderReportTable(['Event', 'Count', 'Index', 'Unit'], rows) + note;
+    }
+
+    renderReportREM({ data }) {
+        const summary = data.remSummary;
+        if (!summary || summary.episodes === 0) return '<p class="note">No REM sleep was scored.</p>';
+        
+        const fields = this.renderReportFields([
+            ['REM episodes', summary.episodes],
+            ['Total REM', this.formatDuration(summary.totalDuration)],
+            ['REM latency', summary.latency === null ? '--' : this.formatDuration(summary.latency)],
+            ['REM efficiency', summary.efficiency === null ? '--' : `${(summary.efficiency * 100).toFixed(1)}%`],
+            ['Eye movement density', summary.density === null ? '--' : `${summary.density.toFixed(2)} / min`],
+            ['Eye movement channel', summary.eyeMovementSource || 'None']
+        ]);
+        const rows = data.remEpisodes.map((episode, i) => [
+            i + 1,
+            this.getReportClock(episode.onset),
+            this.formatDuration(episode.duration),
+            this.formatDuration(episode.remDuration),
+            episode.eyeMovements,
+            episode.density === null ? '--' : episode.density.toFixed(2)
+        ]);
+        return fields + this.renderReportTable(['Episode', 'Onset', 'Span', 'REM', 'Eye movements', 'Per min'], rows);
+    }
+
+    // Mean relative band power and PSD per stage on the central staging channel, artifact epochs left out
+    async renderReportSpectral({ data }) {
+        const channel = this.getStagingChannels().central;
+        const spectra = channel ? await this.getEpochSpectra(channel) : null;
+        if (!spectra) return '<p class="note">No spectra are available for this recording.</p>';
+        
+        const bands = Object.keys(this.frequencyBands);
+        const colors = { W: '#D69E2E', N1: '#63B3ED', N2: '#3182CE', N3: '#2A4365', REM: '#D53F8C' };
+        const shown = spectra.frequencies.map((frequency, i) => i).filter(i => spectra.frequencies[i] >= 0.5 && spectra.frequencies[i] <= 30);
+        const rows = [];
+        const traces = [];
+        
+        Object.keys(this.sleepStages).forEach(stage => {
+            const epochs = spectra.epochs.filter(epoch => {
+                const staged = data.sleepStages[epoch.index];
+                return epoch.power && staged?.stage === stage && !staged.artifact;
+            });
+            if (epochs.length === 0) {
+                rows.push([stage, 0, ...bands.map(() => '--')]);
+                return;
+            }
+            
+            const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+            rows.push([stage, epochs.length, ...bands.map(band => (mean(epochs.map(epoch => epoch.relativePower[band])) * 100).toFixed(1))]);
+            traces.push({
+                x: shown.map(i => spectra.frequencies[i]),
+                y: shown.map(i => mean(epochs.map(epoch => epoch.power[i]))),
+                type: 'scatter',
+                mode: 'lines',
+                name: stage,
+                line: { color: colors[stage], width: 1.5 }
+            });
+        });
+        
+        const figure = await this.renderReportFigure(traces, {
+            margin: { l: 60, r: 10, t: 10, b: 40 },
+            legend: { orientation: 'h', y: 1.1 },
+            xaxis: { title: 'Frequency (Hz)', gridcolor: '#EDF2F7' },
+            yaxis: { title: 'Power (µV²/Hz)', type: 'log', gridcolor: '#EDF2F7' }
+        }, 680, 260);
+        const table = this.renderReportTable(['Stage', 'Epochs', ...bands.map(band => `${band[0].toUpperCase()}${band.slice(1)} %`)], rows);
+        return `<p class="note">Channel ${this.escapeHTML(channel)}, ${this.epochLength} s epochs without artifacts.</p>${table}${figure}`;
+    }
+
+    renderReportNotes({ data }) {
+        const notes = data.reportNotes;
+        return `
+            <div class="notes-text">${this.escapeHTML(notes.text.trim() || 'No reviewer notes.')}</div>
+            <div class="signature">
+                <div>Reviewed by${notes.reviewer.trim() ? `: ${this.escapeHTML(notes.reviewer.trim())}` : ''}</div>
+                <div>Signature</div>
+                <div>Date</div>
+            </div>
+        `;
+    }
+
+    scoreCurrentEpoch(stage) {
+        const epoch = this.getEpochAtIndex(this.currentTimeIndex);
+        this.setManualStage(epoch, stage);
+        if (stage && this.scoringAutoAdvance && this.data.sleepStages[epoch + 1]) {
+            this.stepEpoch(1);
+        }
+    }
+
+    // Moves the playhead to the start of the next or previous scoring epoch
+    stepEpoch(direction) {
+        if (!this.data) return;
+        
+        const epoch = this.getEpochAtIndex(this.currentTimeIndex);
+        const epochStart = this.getEpochStartTime(epoch);
+        const current = this.data.time[this.currentTimeIndex];
+        // Stepping back from inside an epoch first returns to its start
+        const target = direction < 0 && current > epochStart ? epoch : epoch + direction;
+        this.seekToTime(this.getEpochStartTime(Math.max(0, target)));
+    }
+
+    // Speed selector values: '<n>' for continuous playback, 'epoch:<seconds>' for epoch stepping
+    setPlaybackSpeed(value) {
+        if (String(value).startsWith('epoch:')) {
+            this.playMode = 'epoch';
+            this.epochInterval = Number(value.split(':')[1]) || 1;
+        } else {
+            this.playMode = 'continuous';
+            this.playSpeed = Number(value) || 1;
+        }
+        console.log(`Playback ${this.playMode === 'epoch' ? `one epoch every ${this.epochInterval}s` : `at ${this.playSpeed}x`}`);
+    }
+
+    // Move the playhead to a time in seconds and keep the slider in step
+    seekToTime(seconds) {
+        if (!this.data) return;
+        
+        const time = this.data.time;
+        let low = 0;
+        let high = time.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (time[mid] < seconds) low = mid + 1;
+            else high = mid;
+        }
+        
+        const timelineSlider = document.getElementById('timeline-slider');
+        if (timelineSlider) {
+            timelineSlider.value = low;
+        }
+        this.updateTimePosition(low);
+    }
+
+    updateTimePosition(timeIndex) {
+        this.currentTimeIndex = timeIndex;
+        const timeInSeconds = this.data?.time[timeIndex] ?? timeIndex / this.samplingRate;
+        
+        const timeDisplay = document.getElementById('time-display');
+        if (timeDisplay) {
+            timeDisplay.textContent = this.formatTime(timeInSeconds);
+        }
+        
+        // Update visualizations
+        this.updateMainEEGPlot();
+        this.updateMiniEEGPlot();
+        this.updateLinkedViews();
+        this.updateStageDisplay();
+        
+        // Playback saves once it stops rather than on every frame
+        if (!this.isPlaying) this.scheduleSessionSave();
+    }
+
+    async loadRealEEGData() {
+        const btn = document.getElementById('load-real-data-btn');
+        const originalHTML = btn ? btn.innerHTML : '';
+        
+        if (btn) {
+            btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading...';
+            btn.disabled = true;
+        }
+        
+        try {
+            console.log('Loading EEG data...');
+            
+            const response = await fetch('./eeg_data.csv');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} while fetching eeg_data.csv`);
+            }
+            const csvText = await response.text();
+            
+            console.log('CSV data loaded, length:', csvText.length);
+            
+            const recording = this.parseEEGCsv(csvText, 'eeg_data.csv');
+            await this.setRecording(recording);
+            
+            if (btn) {
+                btn.innerHTML = '<i class="fas fa-check"></i> Data Loaded';
+            }
+            
+            this.reportParseIssues(recording.issues);
+            if (recording.issues.total === 0) {
+                this.showTooltip(`EEG data loaded: ${recording.channelNames.length} channels @ ${recording.samplingRate} Hz`, 'success');
+            }
+            
+        } catch (error) {
+            console.error('Error loading data:', error);
+            if (btn) {
+                btn.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Error';
+            }
+            this.showTooltip(`Error loading data: ${error.message}`, 'error');
+        }
+        
+        setTimeout(() => {
+            if (btn) {
+                btn.innerHTML = originalHTML;
+                btn.disabled = false;
+            }
+        }, 2000);
+    }
+
+    // Streams from a WebSocket source; the message format is documented in replay-server.js
+    startLiveAcquisition(url = this.liveConfig.url) {
+        if (typeof WebSocket === 'undefined') {
+            this.showTooltip('This browser cannot open WebSocket connections', 'error');
+            return;
+        }
+        if (this.live) this.stopLiveAcquisition(false);
+        if (this.isPlaying) this.togglePlayback();
+        
+        this.liveConfig.url = url;
+        this.live = {
+            url,
+            socket: null,
+            status: 'connecting',
+            header: null,
+            capacity: 0,
+            buffers: null,
+            times: null,
+            written: 0,
+            nextTime: null,
+            nextSeq: null,
+            gaps: [],
+            reconnectAttempt: 0,
+            reconnectTimer: null,
+            lastDraw: 0,
+            drawPending: false
+        };
+        console.log(`Starting live acquisition from ${url}`);
+        this.connectLive();
+        this.renderLiveStatus();
+    }
+
+    connectLive() {
+        const live = this.live;
+        if (!live) return;
+        
+        let socket;
+        try {
+            socket = new WebSocket(live.url);
+        } catch (error) {
+            console.error('Error opening live connection:', error);
+            this.showTooltip(`Could not connect to ${live.url}: ${error.message}`, 'error');
+            this.stopLiveAcquisition(false);
+            return;
+        }
+        
+        socket.binaryType = 'arraybuffer';
+        live.socket = socket;
+        live.status = live.reconnectAttempt ? 'reconnecting' : 'connecting';
+        
+        socket.onopen = () => {
+            live.reconnectAttempt = 0;
+            live.status = 'waiting';
+            console.log(`Live connection open: ${live.url}`);
+            this.renderLiveStatus();
+        };
+        socket.onmessage = (event) => {
+            try {
+                this.handleLiveMessage(event.data);
+            } catch (error) {
+                console.error('Error handling live message:', error);
+            }
+        };
+        socket.onerror = (error) => console.error('Live connection error:', error);
+        socket.onclose = () => {
+            if (this.live !== live || live.socket !== socket) return;
+            this.scheduleLiveReconnect();
+        };
+    }
+
+    // Backs off through the configured delays; the last one repeats until the user stops
+    scheduleLiveReconnect() {
+        const live = this.live;
+        const delays = this.liveConfig.reconnectDelays;
+        const delay = delays[Math.min(live.reconnectAttempt, delays.length - 1)];
+        live.reconnectAttempt++;
+        live.status = 'reconnecting';
+        live.socket = null;
+        
+        console.warn(`Live connection lost, retrying in ${delay}s (attempt ${live.reconnectAttempt})`);
+        if (live.reconnectAttempt === 1) {
+            this.showTooltip(`Live connection lost, reconnecting to ${live.url}...`, 'warning');
+        }
+        live.reconnectTimer = setTimeout(() => this.connectLive(), delay * 1000);
+        this.renderLiveStatus();
+    }
+
+    handleLiveMessage(message) {
+        if (message instanceof ArrayBuffer) {
+            this.appendLiveFrame(this.parseLiveBinaryFrame(message));
+            return;
+        }
+        
+        const payload = JSON.parse(message);
+        if (payload.type === 'header') {
+            this.setupLiveBuffers(payload);
+        } else if (payload.type === 'samples') {
+            this.appendLiveFrame(payload);
+        } else {
+            console.warn(`Ignoring live message of type ${payload.type}`);
+        }
+    }
+
+    // "EEG1" magic, uint32 seq, float64 t0, uint16 channels, uint16 samples, then float32 samples per channel
+    parseLiveBinaryFrame(buffer) {
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+        if (magic !== 'EEG1') throw new Error(`Unknown binary frame "${magic}"`);
+        
+        const channelCount = view.getUint16(16, true);
+        const sampleCount = view.getUint16(18, true);
+        const data = [];
+        let offset = 20;
+        for (let c = 0; c < channelCount; c++) {
+            const samples = new Float32Array(sampleCount);
+            for (let i = 0; i < sampleCount; i++, offset += 4) samples[i] = view.getFloat32(offset, true);
+            data.push(samples);
+        }
+        return { seq: view.getUint32(4, true), t0: view.getFloat64(8, true), data };
+    }
+
+    // A header matching the current stream (after a reconnect) keeps the buffer; anything else starts over
+    setupLiveBuffers(header) {
+        const live = this.live;
+        if (!Array.isArray(header.channels) || !(header.samplingRate > 0)) {
+            throw new Error('Live header needs channels and samplingRate');
+        }
+        
+        const same = live.header
+            && live.header.samplingRate === header.samplingRate
+            && live.header.channels.join(',') === header.channels.join(',');
+        live.status = 'live';
+        if (same) {
+            console.log('Live stream resumed');
+            this.showTooltip('Live stream resumed', 'success');
+            this.renderLiveStatus();
+            return;
+        }
+        
+        live.header = {
+            channels: header.channels,
+            channelTypes: header.channelTypes || {},
+            samplingRate: header.samplingRate,
+            startTime: header.startTime ? new Date(header.startTime) : null
+        };
+        live.capacity = Math.round(this.liveConfig.bufferSeconds * header.samplingRate);
+        live.buffers = Object.fromEntries(header.channels.map(channel => [channel, new Float32Array(live.capacity)]));
+        live.times = new Float64Array(live.capacity);
+        live.written = 0;
+        live.nextTime = null;
+        live.nextSeq = null;
+        live.gaps = [];
+        this.viewer.pageKey = null;
+        
+        console.log(`Live stream: ${header.channels.length} channels @ ${header.samplingRate} Hz`);
+        this.showTooltip(`Live: ${header.channels.length} channels @ ${header.samplingRate} Hz`, 'success');
+        this.renderLiveStatus();
+    }
+
+    appendLiveFrame(frame) {
+        const live = this.live;
+        if (!live?.header) return;
+        
+        const { channels, samplingRate } = live.header;
+        if (!Array.isArray(frame.data) || frame.data.length !== channels.length) {
+            console.warn(`Dropping live frame ${frame.seq}: expected ${channels.length} channels`);
+            return;
+        }
+        
+        if (live.nextSeq !== null && frame.seq !== live.nextSeq) {
+            console.warn(`Live frames ${live.nextSeq}-${frame.seq - 1} missing`);
+        }
+        live.nextSeq = frame.seq + 1;
+        
+        let skip = 0;
+        const count = frame.data[0].length;
+        if (live.nextTime !== null) {
+            const gap = frame.t0 - live.nextTime;
+            if (gap < -count / samplingRate) {
+                // Time went back by more than a frame: a restarted source, so its samples start a new buffer
+                console.warn(`Live stream time went back ${(-gap).toFixed(1)}s, restarting buffer`);
+                this.showTooltip('Live stream restarted; earlier data was cleared', 'warning');
+                live.written = 0;
+                live.gaps = [];
+            } else if (gap > this.liveConfig.maxGap) {
+                // Too long to bridge with NaN padding: drop the buffer and start over from this frame
+                console.warn(`Live gap of ${gap.toFixed(1)}s, restarting buffer`);
+                this.showTooltip(`Live stream resumed after ${this.formatDuration(gap)}; earlier data was cleared`, 'warning');
+                live.written = 0;
+                live.gaps = [];
+            } else if (gap > 1.5 / samplingRate) {
+                // Missing samples are written as NaN so plots show the hole instead of joining across it
+                const missing = Math.round(gap * samplingRate);
+                live.gaps.push({ start: live.nextTime, duration: gap });
+                for (let i = 0; i < missing; i++) {
+                    this.writeLiveSample(live.nextTime + i / samplingRate, () => NaN);
+                }
+            } else if (gap < -0.5 / samplingRate) {
+                // Overlap after a reconnect: drop samples already buffered
+                skip = Math.min(count, Math.round(-gap * samplingRate));
+            }
+        }
+        
+        for (let i = skip; i < count; i++) {
+            this.writeLiveSample(frame.t0 + i / samplingRate, (c) => frame.data[c][i]);
+        }
+        live.nextTime = frame.t0 + count / samplingRate;
+        this.scheduleLiveDraw();
+    }
+
+    writeLiveSample(time, valueForChannel) {
+        const live = this.live;
+        const slot = live.written % live.capacity;
+        live.times[slot] = time;
+        live.header.channels.forEach((channel, c) => {
+            live.buffers[channel][slot] = valueForChannel(c);
+        });
+        live.written++;
+    }
+
+    // Samples from the last `seconds` of the ring buffer, oldest first
+    getLiveWindow(seconds = Infinity, live = this.live) {
+        const available = Math.min(live.written, live.capacity);
+        const count = Math.min(available, Math.round(seconds * live.header.samplingRate));
+        const first = live.written - count;
+        const unwrap = (ring, target) => {
+            for (let i = 0; i < count; i++) target[i] = ring[(first + i) % live.capacity];
+            return target;
+        };
+        
+        return {
+            time: unwrap(live.times, new Float64Array(count)),
+            channels: Object.fromEntries(live.header.channels.map(channel => [channel, unwrap(live.buffers[channel], new Float32Array(count))]))
+        };
+    }
+
+    // At most one redraw per interval however fast frames arrive
+    scheduleLiveDraw() {
+        const live = this.live;
+        if (live.drawPending) return;
+        live.drawPending = true;
+        
+        const wait = Math.max(0, this.liveConfig.redrawInterval - (performance.now() - live.lastDraw));
+        setTimeout(() => requestAnimationFrame(() => {
+            if (this.live !== live) return;
+            live.drawPending = false;
+            live.lastDraw = performance.now();
+            this.updateMainEEGPlot();
+            this.updateMiniEEGPlot();
+            this.renderLiveStatus();
+        }), wait);
+    }
+
+    // Auto-scrolling view of the newest page of the live stream
+    updateLiveEEGPlot() {
+        const live = this.live;
+        if (!live.header) return;
+        
+        const pageLength = this.viewer.pageLength;
+        const { time, channels: samples } = this.getLiveWindow(pageLength);
+        const channels = live.header.channels;
+        const spacing = this.viewer.gain * this.viewer.laneMillimetres;
+        const end = time.length ? time[time.length - 1] : 0;
+        const start = Math.max(time[0] || 0, end - pageLength);
+        
+        const traces = channels.map((channel, index) => {
+            const offset = index === 0 ? 0 : -index * spacing;
+            const { x, y } = this.decimateMinMax(samples[channel], 0, time.length, this.viewer.maxPointsPerTrace, offset, time);
+            return {
+                x,
+                y,
+                type: 'scattergl',
+                mode: 'lines',
+                name: channel,
+                line: { color: this.getChannelColor(channel), width: 1 },
+                hovertemplate: `${channel}<extra></extra>`
+            };
+        });
+        
+        const layout = {
+            title: {
+                text: `Live EEG · ${live.header.samplingRate} Hz · ${this.viewer.gain} µV/mm · ${pageLength} s`,
+                font: { size: 16, color: '#553C9A' }
+            },
+            xaxis: {
+                title: 'Time (seconds)',
+                range: [start, start + pageLength],
+                dtick: 1,
+                showgrid: true,
+                gridcolor: 'rgba(0,0,0,0.08)',
+                zeroline: false
+            },
+            yaxis: {
+                range: [-(channels.length - 0.5) * spacing, 0.5 * spacing],
+                tickvals: channels.map((_, index) => (index === 0 ? 0 : -index * spacing)),
+                ticktext: channels,
+                showgrid: false,
+                zeroline: false,
+                fixedrange: true
+            },
+            height: Math.max(400, channels.length * this.viewer.laneHeight + 100),
+            plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
+            paper_bgcolor: 'transparent',
+            margin: { l: 70, r: 20, t: 50, b: 50 },
+            showlegend: false
+        };
+        
+        try {
+            Plotly.react('eeg-plot', traces, layout);
+        } catch (error) {
+            console.error('Error updating live EEG plot:', error);
+        }
+        
+        const pageLabel = document.getElementById('viewer-page-label');
+        if (pageLabel) pageLabel.textContent = `Live · ${this.formatTime(end)}`;
+    }
+
+    updateLiveMiniPlot() {
+        const live = this.live;
+        if (!live.header) return;
+        
+        const { time, channels } = this.getLiveWindow(5);
+        const channel = live.header.channels.includes('C3') ? 'C3' : live.header.channels[0];
+        try {
+            Plotly.react('mini-eeg-plot', [{
+                x: time,
+                y: channels[channel],
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: '#98FB98', width: 1 },
+                showlegend: false
+            }], {
+                showlegend: false,
+                margin: { l: 0, r: 0, t: 0, b: 0 },
+                xaxis: { visible: false },
+                yaxis: { visible: false },
+                plot_bgcolor: 'transparent',
+                paper_bgcolor: 'transparent'
+            });
+        } catch (error) {
+            console.error('Error updating live mini plot:', error);
+        }
+    }
+
+    renderLiveStatus() {
+        const status = document.getElementById('live-status');
+        const button = document.getElementById('live-btn');
+        const live = this.live;
+        
+        if (button) {
+            button.innerHTML = live
+                ? '<i class="fas fa-stop"></i> Stop Live'
+                : '<i class="fas fa-broadcast-tower"></i> Go Live';
+        }
+        if (!status) return;
+        
+        status.className = `live-status ${live ? live.status : 'stopped'}`;
+        if (!live) {
+            status.textContent = 'Offline';
+        } else if (live.status === 'live' && live.header) {
+            const seconds = Math.min(live.written, live.capacity) / live.header.samplingRate;
+            const gaps = live.gaps.length ? ` · ${live.gaps.length} gap${live.gaps.length === 1 ? '' : 's'}` : '';
+            status.textContent = `Live · ${this.formatDuration(seconds)} buffered${gaps}`;
+        } else {
+            status.textContent = { connecting: 'Connecting...', waiting: 'Waiting for header...', reconnecting: `Reconnecting (attempt ${live.reconnectAttempt})...` }[live.status] || live.status;
+        }
+    }
+
+    // Stopping turns the buffered stream into an ordinary recording so every analysis can run on it
+    async stopLiveAcquisition(keep = true) {
+        const live = this.live;
+        if (!live) return;
+        
+        this.live = null;
+        clearTimeout(live.reconnectTimer);
+        if (live.socket) {
+            live.socket.onclose = null;
+            live.socket.close();
+        }
+        console.log('Live acquisition stopped');
+        this.renderLiveStatus();
+        this.viewer.pageKey = null;
+        
+        if (!keep || !live.header || live.written === 0) {
+            this.updateMainEEGPlot();
+            this.updateMiniEEGPlot();
+            return;
+        }
+        
+        const { time: streamTime, channels } = this.getLiveWindow(Infinity, live);
+        // Recordings start at zero; the stream clock only survives in startTime
+        const origin = streamTime[0];
+        const time = streamTime.map(t => t - origin);
+        
+        // Gaps become flat signal, which artifact screening rejects, plus an annotation saying why
+        Object.values(channels).forEach(samples => {
+            for (let i = 0; i < samples.length; i++) {
+                if (Number.isNaN(samples[i])) samples[i] = 0;
+            }
+        });
+        const events = live.gaps
+            .filter(gap => gap.start >= origin)
+            .map(gap => ({ id: this.createEventId('live'), type: 'annotation', label: 'Live signal gap', onset: gap.start - origin, duration: gap.duration, channel: null, source: 'live' }));
+        
+        try {
+            await this.setRecording({
+                time,
+                channels,
+                channelNames: live.header.channels,
+                channelTypes: live.header.channelTypes,
+                samplingRate: live.header.samplingRate,
+                startTime: live.header.startTime ? new Date(live.header.startTime.getTime() + origin * 1000) : null,
+                source: { type: 'live', name: `Live ${new URL(live.url).host}` },
+                events
+            });
+        } catch (error) {
+            console.error('Error keeping live data:', error);
+            this.showTooltip(`Could not keep the live data: ${error.message}`, 'error');
+            return;
+        }
+        // Another recording was opened while this one was preprocessing
+        if (this.data?.time !== time) return;
+        this.showTooltip(`Kept ${this.formatDuration(time.length / live.header.samplingRate)} of live data as a recording`, 'success');
+    }
+
+    parseEEGCsv(csvText, sourceName) {
+        const result = Papa.parse(csvText, { skipEmptyLines: true });
+        
+        const state = this.createCsvParseState(sourceName);
+        result.data.forEach(row => this.consumeCsvRow(state, row));
+        
+        // Papa reports quoting problems separately from the rows themselves; some, like delimiter detection, have no row
+        result.errors.forEach(error => {
+            this.recordParseIssue(state, 'malformed', Number.isInteger(error.row) ? error.row + 1 : null, error.message);
+        });
+        
+        return this.finishCsvParse(state);
+    }
+
+    createCsvParseState(sourceName) {
+        return {
+            sourceName,
+            header: null,
+            timeColumn: -1,
+            channelColumns: [],
+            channelNames: [],
+            rowNumber: 0,
+            length: 0,
+            capacity: 0,
+            time: null,
+            values: {},
+            firstTimestamp: null,
+            lastTimestamp: -Infinity,
+            lastValues: {},
+            isDateTime: false,
+            issues: { total: 0, malformed: 0, missing: 0, nonMonotonic: 0, ignoredColumns: [], examples: [] }
+        };
+    }
+
+    consumeCsvRow(state, row) {
+        state.rowNumber++;
+        
+        if (!state.header) {
+            this.readCsvHeader(state, row);
+            return;
+        }
+        
+        if (row.length !== state.header.length) {
+            this.recordParseIssue(state, 'malformed', state.rowNumber,
+                `expected ${state.header.length} columns, found ${row.length}`);
+            return;
+        }
+        
+        const timestamp = this.parseTimestamp(row[state.timeColumn], state);
+        if (timestamp === null) {
+            this.recordParseIssue(state, 'malformed', state.rowNumber, `unreadable timestamp "${row[state.timeColumn]}"`);
+            return;
+        }
+        
+        if (timestamp <= state.lastTimestamp) {
+            this.recordParseIssue(state, 'nonMonotonic', state.rowNumber,
+                `timestamp "${row[state.timeColumn]}" is not after the previous sample`);
+            return;
+        }
+        
+        if (state.firstTimestamp === null) {
+            state.firstTimestamp = timestamp;
+        }
+        state.lastTimestamp = timestamp;
+        
+        if (state.length === state.capacity) {
+            this.growCsvBuffers(state);
+        }
+        
+        state.time[state.length] = (timestamp - state.firstTimestamp) / 1000;
+        
+        state.channelColumns.forEach((column, i) => {
+            const name = state.channelNames[i];
+            const cell = row[column].trim();
+            const value = cell === '' ? NaN : Number(cell);
+            
+            if (Number.isFinite(value)) {
+                state.values[name][state.length] = value;
+                state.lastValues[name] = value;
+            } else {
+                // Hold the previous sample so filters and plots see a continuous trace
+                this.recordParseIssue(state, 'missing', state.rowNumber, `missing or non-numeric value in ${name}`);
+                state.values[name][state.length] = state.lastValues[name] ?? 0;
+            }
+        });
+        
+        state.length++;
+    }
+
+    readCsvHeader(state, row) {
+        state.header = row.map(cell => cell.trim());
+        state.timeColumn = state.header.findIndex(name => /^(timestamp|time)$/i.test(name));
+        
+        if (state.timeColumn === -1) {
+            throw new Error('CSV has no "timestamp" column');
+        }
+        
+        state.header.forEach((name, column) => {
+            if (column === state.timeColumn) return;
+            
+            if (/^channel_\d+$/i.test(name)) {
+                state.channelColumns.push(column);
+                state.channelNames.push(name);
+            } else {
+                state.issues.ignoredColumns.push(name);
+            }
+        });
+        
+        if (state.channelColumns.length === 0) {
+            throw new Error('CSV has no Channel_N columns');
+        }
+    }
+
+    growCsvBuffers(state) {
+        const capacity = Math.max(4096, state.capacity * 2);
+        
+        const time = new Float64Array(capacity);
+        if (state.time) time.set(state.time);
+        state.time = time;
+        
+        state.channelNames.forEach(name => {
+            const values = new Float32Array(capacity);
+            if (state.values[name]) values.set(state.values[name]);
+            state.values[name] = values;
+        });
+        
+        state.capacity = capacity;
+    }
+
+    // Returns milliseconds, or null when the cell cannot be read as a time
+    parseTimestamp(cell, state) {
+        const text = (cell || '').trim();
+        if (text === '') return null;
+        
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            // Plain numbers are seconds from the start of the recording
+            return Number(text) * 1000;
+        }
+        
+        const match = text.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?$/);
+        if (!match) return null;
+        
+        const [, year, month, day, hours, minutes, seconds, fraction = '0'] = match;
+        state.isDateTime = true;
+        return new Date(year, month - 1, day, hours, minutes, seconds).getTime() +
+            Number(`0.${fraction}`) * 1000;
+    }
+
+    recordParseIssue(state, kind, rowNumber, message) {
+        state.issues[kind]++;
+        state.issues.total++;
+        
+        if (state.issues.examples.length < 20) {
+            state.issues.examples.push({ row: rowNumber, kind, message });
+        }
+    }
+
+    finishCsvParse(state) {
+        if (state.length < 2) {
+            throw new Error(`${state.sourceName} contains fewer than two valid samples`);
+        }
+        
+        const time = state.time.slice(0, state.length);
+        const channels = {};
+        state.channelNames.forEach(name => {
+            channels[name] = state.values[name].slice(0, state.length);
+        });
+        
+        return {
+            time,
+            channels,
+            channelNames: state.channelNames,
+            samplingRate: this.inferSamplingRate(time),
+            startTime: state.isDateTime ? new Date(state.firstTimestamp) : null,
+            source: { type: 'csv', name: state.sourceName },
+            issues: state.issues
+        };
+    }
+
+    inferSamplingRate(time) {
+        // Median sample interval is robust against the odd dropped or duplicated row
+        const intervals = [];
+        const count = Math.min(time.length - 1, 2000);
+        for (let i = 0; i < count; i++) {
+            intervals.push(time[i + 1] - time[i]);
+        }
+        intervals.sort((a, b) => a - b);
+        
+        const median = intervals[Math.floor(intervals.length / 2)];
+        return Math.round(1000 / median) / 1000;
+    }
+
+    reportParseIssues(issues) {
+        if (!issues) return;
+        
+        if (issues.ignoredColumns.length > 0) {
+            console.warn('Ignored non-channel columns:', issues.ignoredColumns.join(', '));
+        }
+        
+        if (issues.total === 0) return;
+        
+        issues.examples.forEach(issue => {
+            console.warn(`${issue.row === null ? 'File' : `Row ${issue.row}`} (${issue.kind}): ${issue.message}`);
+        });
+        
+        const parts = [];
+        if (issues.malformed) parts.push(`${issues.malformed} malformed rows skipped`);
+        if (issues.nonMonotonic) parts.push(`${issues.nonMonotonic} out-of-order timestamps skipped`);
+        if (issues.missing) parts.push(`${issues.missing} missing values filled`);
+        
+        this.showTooltip(`Data loaded with problems: ${parts.join(', ')}`, 'warning');
+    }
+
+    setupFileImport() {
+        const fileInput = document.getElementById('recording-file-input');
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importRecordingFile(file);
+                }
+                // Allow the same file to be chosen again
+                e.target.value = '';
+            });
+        }
+        
+        // Drag-and-drop anywhere on the dashboard
+        const container = document.getElementById('app-container');
+        const overlay = document.getElementById('drop-overlay');
+        if (!container) return;
+        
+        let dragDepth = 0;
+        
+        container.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            dragDepth++;
+            if (overlay) overlay.classList.add('show');
+        });
+        
+        container.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        
+        container.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0 && overlay) overlay.classList.remove('show');
+        });
+        
+        container.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dragDepth = 0;
+            if (overlay) overlay.classList.remove('show');
+            
+            const file = e.dataTransfer?.files[0];
+            if (file) {
+                this.importRecordingFile(file);
+            }
+        });
+    }
+
+    async importRecordingFile(file) {
+        if (this.isImporting) {
+            this.showTooltip('An import is already in progress', 'warning');
+            return;
+        }
+        
+        console.log(`Importing recording: ${file.name} (${file.size} bytes)`);
+        
+        this.isImporting = true;
+        this.setImportProgress(0, `Reading ${file.name}...`);
+        
+        try {
+            const extension = file.name.split('.').pop().toLowerCase();
+            let recording;
+            
+            if (extension === 'csv') {
+                recording = await this.parseEEGCsvFile(file);
+            } else if (extension === 'edf' || extension === 'rec') {
+                const buffer = await file.arrayBuffer();
+                recording = await this.parseEDF(buffer, file.name);
+            } else {
+                throw new Error(`Unsupported file type ".${extension}"`);
+            }
+            
+            if (this.isPlaying) {
+                this.togglePlayback();
+            }
+            await this.setRecording(recording);
+            
+            this.reportParseIssues(recording.issues);
+            if (recording.issues.total === 0) {
+                this.showTooltip(`Opened ${file.name}: ${recording.channelNames.length} channels @ ${recording.samplingRate} Hz`, 'success');
+            }
+        } catch (error) {
+            console.error('Error importing recording:', error);
+            this.showTooltip(`Could not open ${file.name}: ${error.message}`, 'error');
+        } finally {
+            this.isImporting = false;
+            this.setImportProgress(null);
+        }
+    }
+
+    // Streams the file through Papa in chunks so multi-hour recordings never block the tab
+    parseEEGCsvFile(file) {
+        return new Promise((resolve, reject) => {
+            const state = this.createCsvParseState(file.name);
+            
+            Papa.parse(file, {
+                skipEmptyLines: true,
+                chunkSize: 1024 * 1024,
+                chunk: (results, parser) => {
+                    try {
+                        const firstRow = state.rowNumber;
+                        results.data.forEach(row => this.consumeCsvRow(state, row));
+                        results.errors.forEach(error => {
+                            this.recordParseIssue(state, 'malformed', Number.isInteger(error.row) ? firstRow + error.row + 1 : null, error.message);
+                        });
+                    } catch (error) {
+                        parser.abort();
+                        reject(error);
+                        return;
+                    }
+                    
+                    // The cursor counts characters and the size bytes, so multi-byte text can run past 100%
+                    const fraction = file.size > 0 ? Math.min(1, results.meta.cursor / file.size) : 1;
+                    this.setImportProgress(fraction, `${Math.round(fraction * 100)}% · ${state.length.toLocaleString()} samples`);
+                },
+                complete: () => {
+                    try {
+                        resolve(this.finishCsvParse(state));
+                    } catch (error) {
+                        reject(error);
+                    }
+                },
+                error: (error) => reject(error)
+            });
+        });
+    }
+
+    // EDF/EDF+ reader (https://www.edfplus.info/specs/)
+    async parseEDF(buffer, sourceName) {
+        const header = this.readEDFHeader(buffer);
+        console.log(`EDF header: ${header.signals.length} signals, ${header.recordCount} records of ${header.recordDuration}s (${header.format})`);
+        
+        const annotationSignals = header.signals.filter(signal => signal.isAnnotation);
+        const dataSignals = header.signals.filter(signal => !signal.isAnnotation);
+        if (dataSignals.length === 0) {
+            throw new Error('EDF file contains no data signals');
+        }
+        
+        // All channels share one time base at the rate most EEG signals use
+        const eegSignals = dataSignals.filter(signal => signal.type === 'EEG');
+        const samplingRate = this.mostCommonValue((eegSignals.length ? eegSignals : dataSignals).map(signal => signal.samplingRate));
+        const samplesPerRecord = Math.round(samplingRate * header.recordDuration);
+        const totalSamples = samplesPerRecord * header.recordCount;
+        
+        const view = new DataView(buffer);
+        const time = new Float64Array(totalSamples);
+        const channels = {};
+        const channelTypes = {};
+        const events = [];
+        const usedNames = new Set();
+        
+        dataSignals.forEach(signal => {
+            signal.name = this.mapEDFLabel(signal.label, usedNames);
+            usedNames.add(signal.name);
+            channels[signal.name] = new Float32Array(totalSamples);
+            channelTypes[signal.name] = signal.type;
+        });
+        
+        let offset = header.headerBytes;
+        
+        for (let record = 0; record < header.recordCount; record++) {
+            let recordOnset = record * header.recordDuration;
+            
+            // Annotations first: in EDF+D the record's own start time lives in its first TAL
+            let annotationOffset = offset;
+            header.signals.forEach(signal => {
+                if (signal.isAnnotation) {
+                    const bytes = new Uint8Array(buffer, annotationOffset, signal.samplesPerRecord * 2);
+                    const parsed = this.parseEDFAnnotations(bytes);
+                    if (parsed.recordOnset !== null && signal === annotationSignals[0]) {
+                        recordOnset = parsed.recordOnset;
+                    }
+                    events.push(...parsed.annotations);
+                }
+                annotationOffset += signal.samplesPerRecord * 2;
+            });
+            
+            const base = record * samplesPerRecord;
+            for (let i = 0; i < samplesPerRecord; i++) {
+                time[base + i] = recordOnset + i / samplingRate;
+            }
+            
+            header.signals.forEach(signal => {
+                if (!signal.isAnnotation) {
+                    this.readEDFSignalRecord(view, offset, signal, channels[signal.name], base, samplesPerRecord);
+                }
+                offset += signal.samplesPerRecord * 2;
+            });
+            
+            // Yield now and then so long recordings keep the progress bar moving
+            if (record % 200 === 199) {
+                this.setImportProgress(record / header.recordCount, `${Math.round(record / header.recordCount * 100)}% · record ${record + 1} of ${header.recordCount}`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        
+        const resampled = dataSignals.filter(signal => signal.samplingRate !== samplingRate);
+        if (resampled.length > 0) {
+            console.warn(`Resampled to ${samplingRate} Hz: ${resampled.map(signal => `${signal.name} (${signal.samplingRate} Hz)`).join(', ')}`);
+        }
+        
+        return {
+            time,
+            channels,
+            channelNames: dataSignals.map(signal => signal.name),
+            channelTypes,
+            samplingRate,
+            startTime: header.startTime,
+            patient: header.patient,
+            events,
+            source: { type: 'edf', name: sourceName, format: header.format, recording: header.recording },
+            issues: { total: 0, malformed: 0, missing: 0, nonMonotonic: 0, ignoredColumns: [], examples: [] }
+        };
+    }
+
+    readEDFHeader(buffer) {
+        if (buffer.byteLength < 256) {
+            throw new Error('File is too short to be EDF');
+        }
+        
+        const bytes = new Uint8Array(buffer);
+        let position = 0;
+        const field = (length) => {
+            const text = String.fromCharCode(...bytes.subarray(position, position + length)).trim();
+            position += length;
+            return text;
+        };
+        
+        const version = field(8);
+        if (version !== '0') {
+            throw new Error(`Unsupported EDF version "${version}"`);
+        }
+        
+        const patientField = field(80);
+        const recordingField = field(80);
+        const startDate = field(8);
+        const startTimeText = field(8);
+        const headerBytes = parseInt(field(8), 10);
+        const reserved = field(44);
+        let recordCount = parseInt(field(8), 10);
+        const recordDuration = parseFloat(field(8));
+        const signalCount = parseInt(field(4), 10);
+        
+        if (!(signalCount > 0) || !(recordDuration > 0) || headerBytes !== 256 * (signalCount + 1)) {
+            throw new Error('EDF header is corrupt');
+        }
+        
+        // Signal fields are stored column by column: all labels, then all transducers, ...
+        const column = (length) => Array.from({ length: signalCount }, () => field(length));
+        const labels = column(16);
+        column(80); // transducer type
+        const dimensions = column(8);
+        const physicalMin = column(8).map(Number);
+        const physicalMax = column(8).map(Number);
+        const digitalMin = column(8).map(Number);
+        const digitalMax = column(8).map(Number);
+        const prefiltering = column(80);
+        const samplesPerRecord = column(8).map(Number);
+        
+        const recordBytes = samplesPerRecord.reduce((sum, count) => sum + count * 2, 0);
+        const availableRecords = Math.floor((buffer.byteLength - headerBytes) / recordBytes);
+        if (recordCount === -1 || recordCount > availableRecords) {
+            // -1 means the writer never finalised the header; trust the file length instead
+            console.warn(`EDF header declares ${recordCount} records, file holds ${availableRecords}`);
+            recordCount = availableRecords;
+        }
+        
+        const signals = labels.map((label, i) => {
+            const isAnnotation = label === 'EDF Annotations';
+            return {
+                label,
+                isAnnotation,
+                type: this.getEDFSignalType(label),
+                dimension: dimensions[i],
+                physicalMin: physicalMin[i],
+                physicalMax: physicalMax[i],
+                digitalMin: digitalMin[i],
+                digitalMax: digitalMax[i],
+                prefiltering: prefiltering[i],
+                samplesPerRecord: samplesPerRecord[i],
+                samplingRate: samplesPerRecord[i] / recordDuration,
+                // Scale to µV so every channel shares the dashboard's units
+                unitScale: this.getEDFUnitScale(dimensions[i])
+            };
+        });
+        
+        return {
+            format: reserved.startsWith('EDF+D') ? 'EDF+D' : reserved.startsWith('EDF+C') ? 'EDF+C' : 'EDF',
+            patient: this.parseEDFPatient(patientField),
+            recording: recordingField,
+            startTime: this.parseEDFStartTime(startDate, startTimeText, recordingField),
+            headerBytes,
+            recordCount,
+            recordDuration,
+            signals
+        };
+    }
+
+    readEDFSignalRecord(view, offset, signal, target, base, targetSamples) {
+        const gain = (signal.physicalMax - signal.physicalMin) / (signal.digitalMax - signal.digitalMin);
+        const count = signal.samplesPerRecord;
+        const toPhysical = (digital) => ((digital - signal.digitalMin) * gain + signal.physicalMin) * signal.unitScale;
+        
+        if (count === targetSamples) {
+            for (let i = 0; i < count; i++) {
+                target[base + i] = toPhysical(view.getInt16(offset + i * 2, true));
+            }
+            return;
+        }
+        
+        // Linear interpolation onto the shared time base within the record
+        for (let i = 0; i < targetSamples; i++) {
+            const position = i * count / targetSamples;
+            const left = Math.min(count - 1, Math.floor(position));
+            const right = Math.min(count - 1, left + 1);
+            const fraction = position - left;
+            const a = view.getInt16(offset + left * 2, true);
+            const b = view.getInt16(offset + right * 2, true);
+            target[base + i] = toPhysical(a + (b - a) * fraction);
+        }
+    }
+
+    // Time-stamped annotation lists: +onset[\x15duration]\x14text\x14...\x00
+    parseEDFAnnotations(bytes) {
+        const annotations = [];
+        let recordOnset = null;
+        let start = 0;
+        
+        for (let i = 0; i <= bytes.length; i++) {
+            if (i < bytes.length && bytes[i] !== 0) continue;
+            
+            if (i > start) {
+                const tal = new TextDecoder('utf-8').decode(bytes.subarray(start, i));
+                const parts = tal.split('\x14');
+                const [onsetText, durationText] = parts[0].split('\x15');
+                const onset = parseFloat(onsetText);
+                const texts = parts.slice(1).filter(text => text.length > 0);
+                
+                if (Number.isFinite(onset)) {
+                    if (texts.length === 0 && recordOnset === null) {
+                        recordOnset = onset;
+                    }
+                    texts.forEach(text => {
+                        annotations.push({
+                            id: this.createEventId('edf'),
+                            type: 'annotation',
+                            label: text,
+                            onset,
+                            duration: durationText ? parseFloat(durationText) : 0,
+                            channel: null,
+                            source: 'edf'
+                        });
+                    });
+                }
+            }
+            start = i + 1;
+        }
+        
+        return { recordOnset, annotations };
+    }
+
+    parseEDFPatient(field) {
+        // EDF+ layout: code sex birthdate name [additional]; plain EDF is free text
+        const parts = field.split(' ');
+        if (parts.length >= 4 && /^[MFX]$/.test(parts[1])) {
+            const clean = (value) => (value === 'X' ? null : value.replace(/_/g, ' '));
+            return {
+                raw: field,
+                code: clean(parts[0]),
+                sex: clean(parts[1]),
+                birthdate: clean(parts[2]),
+                name: clean(parts[3]),
+                additional: parts.slice(4).join(' ') || null
+            };
+        }
+        return { raw: field, code: null, sex: null, birthdate: null, name: field || null, additional: null };
+    }
+
+    parseEDFStartTime(dateText, timeText, recordingField) {
+        const [day, month, shortYear] = dateText.split('.').map(Number);
+        const [hours, minutes, seconds] = timeText.split('.').map(Number);
+        if ([day, month, shortYear, hours, minutes, seconds].some(Number.isNaN)) {
+            return null;
+        }
+        
+        // The 2-digit header year is clipped at 1985-2084; EDF+ carries the full year
+        let year = shortYear >= 85 ? 1900 + shortYear : 2000 + shortYear;
+        const match = recordingField.match(/^Startdate \d{2}-[A-Z]{3}-(\d{4})/);
+        if (match) {
+            year = Number(match[1]);
+        }
+        
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+
+    getEDFSignalType(label) {
+        const match = label.match(/^(EEG|EOG|EMG|ECG|EKG|RESP|SAO2|SPO2)\b/i);
+        if (match) {
+            const type = match[1].toUpperCase();
+            return type === 'EKG' ? 'ECG' : type;
+        }
+        if (label === 'EDF Annotations') return 'ANNOTATION';
+        // Many writers leave the type off: "Fp1", "C3-A2", "O2-M1"
+        return this.getEDFElectrode(label) ? 'EEG' : 'OTHER';
+    }
+
+    // The 10-20 electrode a label records from, or null for anything that is not clearly scalp EEG
+    getEDFElectrode(label) {
+        if (/^(EOG|EMG|ECG|EKG|RESP|SAO2|SPO2)\b/i.test(label)) return null;
+        
+        const electrode = label.replace(/^EEG\s+/i, '').trim().split(/[-\s]/)[0].toUpperCase();
+        // Modern 10-10 names for the temporal chain used by this.channels
+        const aliases = { T7: 'T3', T8: 'T4', P7: 'T5', P8: 'T6' };
+        const known = Object.keys(this.electrodePositions);
+        return known.find(name => name.toUpperCase() === electrode) || aliases[electrode] || null;
+    }
+
+    getEDFUnitScale(dimension) {
+        const unit = dimension.replace('µ', 'u').replace('μ', 'u').toLowerCase();
+        if (unit === 'mv') return 1000;
+        if (unit === 'v') return 1e6;
+        if (unit === 'nv') return 0.001;
+        return 1;
+    }
+
+    // "EEG Fp1-A2" or "Fp1-A2" -> "Fp1" so the dashboard's 10-20 channel names keep working
+    mapEDFLabel(label, usedNames) {
+        // "EOG left" or "EMG submental" stay as they are
+        const stripped = label.replace(/^EEG\s+/i, '').trim();
+        const mapped = this.getEDFElectrode(label);
+        
+        if (mapped && !usedNames.has(mapped)) {
+            return mapped;
+        }
+        
+        let name = stripped || label;
+        for (let n = 2; usedNames.has(name); n++) {
+            name = `${stripped || label} (${n})`;
+        }
+        return name;
+    }
+
+    mostCommonValue(values) {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        return [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0][0];
+    }
+
+    setImportProgress(fraction, label) {
+        const container = document.getElementById('import-progress');
+        const bar = document.getElementById('import-progress-bar');
+        const text = document.getElementById('import-progress-label');
+        
+        if (fraction === null) {
+            if (container) container.classList.remove('show');
+            return;
+        }
+        
+        if (container) container.classList.add('show');
+        if (bar) bar.style.width = `${Math.min(100, fraction * 100)}%`;
+        if (text && label) text.textContent = label;
+    }
+
+    async detectSleepEvents() {
+        const btn = document.getElementById('detect-events-btn');
+        const originalHTML = btn ? btn.innerHTML : '';
+        
+        if (btn) {
+            btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Detecting...';
+            btn.disabled = true;
+        }
+        
+        console.log('Detecting sleep events...');
+        
+        try {
+            // Let the spinner paint before the filters run
+            await new Promise(resolve => setTimeout(resolve, 0));
+            
+            if (this.data.sleepStages.length === 0) {
+                await this.runSleepStaging();
+            }
+            
+            const events = this.runEventDetectors();
+            
+            // Replace earlier automatic detections, keep imported and manual events
+            this.data.events = [...this.data.events.filter(event => event.source !== 'auto'), ...events]
+                .sort((a, b) => a.onset - b.onset);
+            this.updateEventViews();
+            
+            const counts = {};
+            events.forEach(event => {
+                counts[event.type] = (counts[event.type] || 0) + 1;
+            });
+            console.log('Sleep events detected:', counts);
+            
+            if (btn) {
+                btn.innerHTML = '<i class="fas fa-check"></i> Events Detected';
+            }
+            
+            const summary = Object.entries(counts).map(([type, count]) => `${count} ${this.eventTypes[type].label.toLowerCase()}${count === 1 ? '' : 's'}`);
+            this.showTooltip(summary.length ? `Detected ${summary.join(', ')}` : 'No sleep events found', 'success');
+        } catch (error) {
+            console.error('Error detecting events:', error);
+            if (btn) {
+                btn.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Error';
+            }
+            this.showTooltip(`Event detection failed: ${error.message}`, 'error');
+        }
+        
+        setTimeout(() => {
+            if (btn) {
+                btn.innerHTML = originalHTML;
+                btn.disabled = false;
+            }
+        }, 2000);
+    }
+
+    runEventDetectors() {
+        const config = this.eventDetection;
+        const channels = config.channels || [this.getStagingChannels().central];
+        const events = [];
+        
+        channels.filter(channel => this.data.channels[channel]).forEach(channel => {
+            events.push(
+                ...this.detectSpindles(channel, config.spindle),
+                ...this.detectKComplexes(channel, config.kComplex),
+                ...this.detectSlowOscillations(channel, config.slowOscillation),
+                ...this.detectArousals(channel, config.arousal)
+            );
+        });
+        
+        // Nothing is reported from rejected stretches of a channel
+        const clean = events.filter(event => {
+            const mask = this.getArtifactMask(event.channel);
+            const start = Math.round(event.onset * this.samplingRate);
+            return !this.maskHasRejection(mask, start, start + Math.max(1, Math.round(event.duration * this.samplingRate)));
+        });
+        if (clean.length < events.length) {
+            console.log(`${events.length - clean.length} events dropped inside artifacts`);
+        }
+        
+        clean.forEach(event => {
+            event.id = this.createEventId('auto');
+            event.source = 'auto';
+            event.stage = this.getEpochStage(this.getEpochAtIndex(Math.round(event.onset * this.samplingRate)))?.stage || null;
+        });
+        
+        return clean;
+    }
+
+    // True when the sample lies in an epoch staged as one of the given stages (or nothing is staged)
+    isInStages(sampleIndex, stages) {
+        if (!stages || this.data.sleepStages.length === 0) return true;
+        const epoch = this.getEpochStage(this.getEpochAtIndex(sampleIndex));
+        return !!epoch && stages.includes(epoch.stage);
+    }
+
+    // Sigma envelope crossing threshold × median, bounded by the lower boundary threshold
+    detectSpindles(channel, options) {
+        const sigma = this.getFilteredChannel(channel, options.band[0], options.band[1]);
+        if (!sigma) {
+            console.warn(`Spindle detection skipped on ${channel}: ${options.band[1]} Hz is above Nyquist`);
+            return [];
+        }
+        
+        const envelope = this.computeEnvelope(sigma, Math.round(0.2 * this.samplingRate));
+        const median = this.percentile(envelope, 0.5);
+        const peakThreshold = options.threshold * median;
+        const boundaryThreshold = options.boundary * median;
+        const events = [];
+        
+        let i = 0;
+        while (i < envelope.length) {
+            if (envelope[i] <= peakThreshold) {
+                i++;
+                continue;
+            }
+            
+            // Grow the candidate outwards to the boundary threshold
+            let start = i;
+            while (start > 0 && envelope[start - 1] > boundaryThreshold) start--;
+            let end = i;
+            while (end < envelope.length - 1 && envelope[end + 1] > boundaryThreshold) end++;
+            i = end + 1;
+            
+            const duration = (end - start + 1) / this.samplingRate;
+            if (duration < options.minDuration || duration > options.maxDuration) continue;
+            if (!this.isInStages(start, options.stages)) continue;
+            
+            events.push({
+                type: 'spindle',
+                label: 'Sleep spindle',
+                onset: this.data.time[start],
+                duration,
+                peakFrequency: this.estimateFrequency(sigma, start, end + 1),
+                amplitude: this.peakToPeak(sigma, start, end + 1),
+                channel
+            });
+        }
+        
+        return events;
+    }
+
+    detectKComplexes(channel, options) {
+        const slow = this.getFilteredChannel(channel, options.band[0], options.band[1]);
+        if (!slow) return [];
+        
+        return this.findSlowWaves(slow, options.minDuration, options.maxDuration)
+            .filter(wave => wave.amplitude >= options.minAmplitude && -wave.troughValue >= options.minNegativePeak)
+            .filter(wave => this.isInStages(wave.start, options.stages))
+            .map(wave => ({
+                type: 'k-complex',
+                label: 'K-complex',
+                onset: this.data.time[wave.start],
+                duration: (wave.end - wave.start) / this.samplingRate,
+                peakFrequency: this.samplingRate / (wave.end - wave.start),
+                amplitude: wave.amplitude,
+                channel
+            }));
+    }
+
+    // Massimini-style criteria on the negative half-wave of 0.16-1.25 Hz activity
+    detectSlowOscillations(channel, options) {
+        const slow = this.getFilteredChannel(channel, options.band[0], options.band[1]);
+        if (!slow) return [];
+        
+        const minSamples = options.minNegativeDuration * this.samplingRate;
+        const maxSamples = options.maxNegativeDuration * this.samplingRate;
+        
+        return this.findSlowWaves(slow, 1 / options.band[1], 1 / options.band[0])
+            .filter(wave => {
+                const negative = wave.negativeEnd - wave.start;
+                return negative >= minSamples && negative <= maxSamples;
+            })
+            .filter(wave => wave.amplitude >= options.minAmplitude && -wave.troughValue >= options.minNegativePeak)
+            .filter(wave => this.isInStages(wave.start, options.stages))
+            .map(wave => ({
+                type: 'slow-oscillation',
+                label: 'Slow oscillation',
+                onset: this.data.time[wave.start],
+                duration: (wave.end - wave.start) / this.samplingRate,
+                peakFrequency: this.samplingRate / (wave.end - wave.start),
+                amplitude: wave.amplitude,
+                channel
+            }));
+    }
+
+    // Fast-band power per second against the median of the preceding baseline seconds
+    detectArousals(channel, options) {
+        const fast = this.getFilteredChannel(channel, options.band[0], options.band[1]);
+        if (!fast) return [];
+        
+        const second = Math.round(this.samplingRate);
+        const seconds = Math.floor(fast.length / second);
+        const power = new Float64Array(seconds);
+        for (let s = 0; s < seconds; s++) {
+            let sum = 0;
+            for (let i = s * second; i < (s + 1) * second; i++) sum += fast[i] * fast[i];
+            power[s] = sum / second;
+        }
+        
+        const events = [];
+        let s = options.baseline;
+        while (s < seconds) {
+            const baseline = this.percentile(power.subarray(s - options.baseline, s), 0.5);
+            if (baseline <= 0 || power[s] < options.threshold * baseline || !this.isInStages(s * second - 1, options.stages)) {
+                s++;
+                continue;
+            }
+            
+            let end = s;
+            while (end + 1 < seconds && power[end + 1] >= options.threshold * baseline) end++;
+            
+            const duration = end - s + 1;
+            if (duration >= options.minDuration) {
+                events.push({
+                    type: 'arousal',
+                    label: 'Arousal',
+                    onset: this.data.time[s * second],
+                    duration,
+                    peakFrequency: this.estimateFrequency(fast, s * second, (end + 1) * second),
+                    amplitude: this.peakToPeak(fast, s * second, (end + 1) * second),
+                    channel
+                });
+                // Need a fresh stretch of stable sleep before the next arousal
+                s = end + 1 + options.baseline;
+            } else {
+                s = end + 1;
+            }
+        }
+        
+        return events;
+    }
+
+    // Zero-crossing frequency of a band-limited segment
+    estimateFrequency(samples, start, end) {
+        let crossings = 0;
+        for (let i = start + 1; i < end; i++) {
+            if ((samples[i - 1] < 0) !== (samples[i] < 0)) crossings++;
+        }
+        return crossings / 2 / ((end - start) / this.samplingRate);
+    }
+
+    peakToPeak(samples, start, end) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = start; i < end; i++) {
+            if (samples[i] < min) min = samples[i];
+            if (samples[i] > max) max = samples[i];
+        }
+        return max - min;
+    }
+
+    updateEventViews() {
+        this.renderAnnotationsList();
+        this.renderTimelineMarkers();
+        this.updateEventsTimelinePlot();
+        // The arousal index feeds the sleep score
+        this.updateSleepScore();
+        this.renderDetectionTruth();
+        this.scheduleSessionSave();
+    }
+
+    // Automatic detections against the simulator's injected events, matched one-to-one by overlap
+    evaluateDetections() {
+        const truth = this.data?.groundTruth;
+        if (!truth) return null;
+        
+        const channels = this.eventDetection.channels || [this.getStagingChannels().central];
+        // Stretches an artifact covered on a detection channel were never scoreable
+        const spoiled = truth.artifacts.filter(artifact => !artifact.channels || artifact.channels.some(name => channels.includes(name)));
+        const overlaps = (a, b) => a.onset < b.onset + b.duration && b.onset < a.onset + a.duration;
+        const detected = this.data.events.filter(event => event.source === 'auto');
+        
+        return ['spindle', 'k-complex', 'slow-oscillation', 'arousal'].map(type => {
+            const expected = truth.events.filter(event => event.type === type && !spoiled.some(artifact => overlaps(event, artifact)));
+            const found = detected.filter(event => event.type === type);
+            const used = new Set();
+            let hits = 0;
+            expected.forEach(event => {
+                const match = found.find(candidate => !used.has(candidate) && overlaps(event, candidate));
+                if (match) {
+                    used.add(match);
+                    hits++;
+                }
+            });
+            
+            const sensitivity = expected.length ? hits / expected.length : null;
+            const precision = found.length ? hits / found.length : null;
+            return {
+                type,
+                expected: expected.length,
+                detected: found.length,
+                hits,
+                sensitivity,
+                precision,
+                f1: sensitivity && precision ? 2 * sensitivity * precision / (sensitivity + precision) : 0
+            };
+        });
+    }
+
+    renderDetectionTruth() {
+        const section = document.getElementById('detection-truth-section');
+        const container = document.getElementById('detection-truth');
+        if (!section || !container) return;
+        
+        const results = this.evaluateDetections();
+        section.style.display = results ? '' : 'none';
+        if (!results) return;
+        
+        if (!this.data.events.some(event => event.source === 'auto')) {
+            container.innerHTML = '<div class="annotation-empty">Run Detect Events to score the detectors against the simulated events</div>';
+            return;
+        }
+        
+        const percent = (value) => (value === null ? '--' : `${Math.round(value * 100)}%`);
+        const rows = results.map(result => `
+            <tr>
+                <th>${this.eventTypes[result.type].label}</th>
+                <td>${result.expected}</td>
+                <td>${result.detected}</td>
+                <td>${percent(result.sensitivity)}</td>
+                <td>${percent(result.precision)}</td>
+                <td>${result.f1.toFixed(2)}</td>
+            </tr>
+        `).join('');
+        container.innerHTML = `
+            <table class="trend-table">
+                <thead><tr><th>Event</th><th>Injected</th><th>Detected</th><th>Sensitivity</th><th>Precision</th><th>F1</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    getEventTypeInfo(type) {
+        return this.eventTypes[type] || this.eventTypes.annotation;
+    }
+
+    describeEvent(event) {
+        const parts = [];
+        if (event.peakFrequency) parts.push(`${event.peakFrequency.toFixed(1)} Hz`);
+        if (event.duration) parts.push(`${event.duration.toFixed(1)}s`);
+        if (event.amplitude) parts.push(`${Math.round(event.amplitude)} μV`);
+        if (event.channel) parts.push(event.channel);
+        if (event.text && event.text !== event.label) parts.push(event.text);
+        return parts.join(', ') || event.label;
+    }
+
+    // Wall-clock time when the recording has a start time, otherwise time into the recording
+    formatEventTime(seconds) {
+        if (this.data.startTime) {
+            const clock = new Date(this.data.startTime.getTime() + seconds * 1000);
+            return clock.toTimeString().slice(0, 8);
+        }
+        return this.formatTime(seconds);
+    }
+
+    // Opens the editor for a drafted selection or, with `existing`, for an event already in the list
+    openAnnotationEditor(draft, existing = null) {
+        const editor = document.getElementById('annotation-editor');
+        this.annotationDraft = { ...draft, id: existing ? existing.id : null };
+        if (!editor) return;
+        
+        const type = document.getElementById('annotation-editor-type');
+        const text = document.getElementById('annotation-editor-text');
+        const title = document.getElementById('annotation-editor-title');
+        const range = document.getElementById('annotation-editor-range');
+        
+        if (type) {
+            const types = existing && !this.manualEventTypes.includes(existing.type) ? [existing.type, ...this.manualEventTypes] : this.manualEventTypes;
+            type.innerHTML = types.map(value => `<option value="${value}">${this.getEventTypeInfo(value).label}</option>`).join('');
+            type.value = existing ? existing.type : 'arousal';
+        }
+        if (text) text.value = existing?.text || '';
+        if (title) title.textContent = existing ? 'Edit annotation' : 'New annotation';
+        if (range) {
+            range.textContent = `${this.formatEventTime(draft.onset)} · ${draft.duration.toFixed(1)}s · ${draft.channel || 'all channels'}`;
+        }
         
-        try {
-            Plotly.react('mini-eeg-plot', [trace], layout);
-        } catch (error) {
-            console.error('Error updating mini EEG plot:', error);
+        editor.classList.add('open');
+        text?.focus();
+    }
+
+    closeAnnotationEditor() {
+        this.annotationDraft = null;
+        document.getElementById('annotation-editor')?.classList.remove('open');
+    }
+
+    saveAnnotationEditor() {
+        const draft = this.annotationDraft;
+        if (!draft) return;
+        
+        const type = document.getElementById('annotation-editor-type')?.value || 'note';
+        const text = document.getElementById('annotation-editor-text')?.value.trim() || '';
+        if (type === 'note' && !text) {
+            this.showTooltip('Notes need some text', 'warning');
+            return;
+        }
+        
+        const changes = { type, text, label: type === 'note' ? text : this.getEventTypeInfo(type).label };
+        if (draft.id) {
+            this.updateEvent(draft.id, changes);
+        } else {
+            this.addEvent({
+                id: this.createEventId('manual'),
+                onset: draft.onset,
+                duration: draft.duration,
+                channel: draft.channel,
+                source: 'manual',
+                stage: this.getEpochStage(this.getEpochAtIndex(Math.round(draft.onset * this.samplingRate)))?.stage || null,
+                ...changes
+            });
         }
+        this.closeAnnotationEditor();
     }
 
-    getChannelColor(channel) {
-        const colors = {
-            'Fp1': '#87CEEB', 'Fp2': '#87CEEB',
-            'F3': '#87CEEB', 'F4': '#87CEEB',
-            'C3': '#98FB98', 'C4': '#98FB98',
-            'P3': '#DDA0DD', 'P4': '#DDA0DD',
-            'O1': '#FFB6C1', 'O2': '#FFB6C1'
-        };
-        return colors[channel] || '#888888';
+    // Unique within the session; stored events keep the ids they were saved with
+    createEventId(prefix) {
+        this.eventSerial++;
+        return `${prefix}-${Date.now().toString(36)}-${this.eventSerial}`;
     }
 
-    getBandColor(band) {
-        const colors = {
-            'delta': '#87CEEB',
-            'theta': '#DDA0DD',
-            'alpha': '#98FB98',
-            'beta': '#FFDAB9',
-            'gamma': '#FFB6C1'
-        };
-        return colors[band] || '#888888';
+    addEvent(event) {
+        this.performEdit({ action: 'add', event });
     }
 
-    togglePlayback() {
-        const btn = document.getElementById('play-pause-btn');
+    updateEvent(id, changes) {
+        const event = this.data.events.find(item => item.id === id);
+        if (!event) return;
+        this.performEdit({ action: 'update', id, before: { ...event }, after: { ...event, ...changes, edited: true } });
+    }
+
+    deleteEvent(id) {
+        const event = this.data.events.find(item => item.id === id);
+        if (!event) return;
+        this.performEdit({ action: 'delete', event });
+    }
+
+    // Stage for an epoch, or null to hand it back to automatic staging
+    setManualStage(epoch, stage) {
+        if (!this.data.sleepStages[epoch]) {
+            this.showTooltip('Run sleep staging before scoring epochs', 'warning');
+            return;
+        }
         
-        if (this.isPlaying) {
-            this.isPlaying = false;
-            if (btn) btn.innerHTML = '<i class="fas fa-play"></i>';
-            if (this.playAnimation) {
-                cancelAnimationFrame(this.playAnimation);
+        const before = this.data.manualStages[epoch] || null;
+        if (before === stage) return;
+        this.performEdit({ action: 'stage', epoch, before, after: stage });
+    }
+
+    performEdit(edit) {
+        this.applyEdit(edit, 'forward');
+        this.editHistory.undo.push(edit);
+        if (this.editHistory.undo.length > this.editHistory.limit) this.editHistory.undo.shift();
+        this.editHistory.redo = [];
+    }
+
+    undoEdit() {
+        const edit = this.editHistory.undo.pop();
+        if (!edit) {
+            this.showTooltip('Nothing to undo', 'info');
+            return;
+        }
+        this.applyEdit(edit, 'backward');
+        this.editHistory.redo.push(edit);
+    }
+
+    redoEdit() {
+        const edit = this.editHistory.redo.pop();
+        if (!edit) {
+            this.showTooltip('Nothing to redo', 'info');
+            return;
+        }
+        this.applyEdit(edit, 'forward');
+        this.editHistory.undo.push(edit);
+    }
+
+    applyEdit(edit, direction) {
+        const forward = direction === 'forward';
+        const events = this.data.events;
+        let touchesArtifacts = false;
+        
+        switch (edit.action) {
+            case 'add':
+            case 'delete': {
+                const insert = (edit.action === 'add') === forward;
+                if (insert) {
+                    events.push(edit.event);
+                    events.sort((a, b) => a.onset - b.onset);
+                } else {
+                    const index = events.findIndex(item => item.id === edit.event.id);
+                    if (index >= 0) events.splice(index, 1);
+                }
+                touchesArtifacts = edit.event.type === 'artifact';
+                break;
             }
-            console.log('Playback stopped');
+            case 'update': {
+                const index = events.findIndex(item => item.id === edit.id);
+                if (index >= 0) events[index] = { ...(forward ? edit.after : edit.before) };
+                touchesArtifacts = edit.before.type === 'artifact' || edit.after.type === 'artifact';
+                break;
+            }
+            case 'stage': {
+                const stage = forward ? edit.after : edit.before;
+                if (stage) this.data.manualStages[edit.epoch] = stage;
+                else delete this.data.manualStages[edit.epoch];
+                this.applyManualStages(this.data.sleepStages);
+                this.updateStagingViews();
+                console.log(`Epoch ${edit.epoch + 1} ${stage ? `scored ${stage}` : 'returned to automatic staging'}`);
+                return;
+            }
+        }
+        
+        if (touchesArtifacts) {
+            this.scheduleArtifactRefresh();
         } else {
-            this.isPlaying = true;
-            if (btn) btn.innerHTML = '<i class="fas fa-pause"></i>';
-            this.startPlayback();
-            console.log('Playback started');
+            this.viewer.pageKey = null;
+            this.updateMainEEGPlot();
         }
+        this.updateEventViews();
     }
 
-    startPlayback() {
-        const playLoop = () => {
-            if (!this.isPlaying) return;
-            
-            this.currentTimeIndex = (this.currentTimeIndex + 5) % this.maxTime;
+    // Manual stages win over automatic ones; the automatic call is kept alongside
+    applyManualStages(epochs) {
+        const manual = this.data.manualStages || {};
+        epochs.forEach(epoch => {
+            if (epoch.autoStage === undefined) epoch.autoStage = epoch.stage;
+            epoch.stage = manual[epoch.epoch] || epoch.autoStage;
+            epoch.source = manual[epoch.epoch] ? 'manual' : 'auto';
+        });
+    }
+
+    renderAnnotationsList() {
+        const list = document.getElementById('annotations-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        const events = this.data.events;
+        
+        if (events.length === 0) {
+            list.innerHTML = '<div class="annotation-empty">No events yet. Use "Detect Events" to analyse the recording.</div>';
+            return;
+        }
+        
+        // The list is for browsing; the timeline and plots show everything
+        const maxItems = 500;
+        const fragment = document.createDocumentFragment();
+        
+        events.slice(0, maxItems).forEach(event => {
+            const item = document.createElement('div');
+            item.className = `annotation-item ${event.type}-event`;
+            item.innerHTML = `
+                <div class="annotation-marker"></div>
+                <div class="annotation-content">
+                    <span class="annotation-time"></span>
+                    <span class="annotation-text"></span>
+                    <span class="annotation-detail"></span>
+                </div>
+                <div class="annotation-actions">
+                    <button class="annotation-action" data-action="edit" title="Edit"><i class="fas fa-pen"></i></button>
+                    <button class="annotation-action" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                </div>
+            `;
+            item.querySelector('.annotation-time').textContent = this.formatEventTime(event.onset);
+            item.querySelector('.annotation-text').textContent = event.source === 'manual' ? `${event.label} (manual)` : event.label;
+            item.querySelector('.annotation-detail').textContent = this.describeEvent(event);
             
-            const timelineSlider = document.getElementById('timeline-slider');
-            if (timelineSlider) {
-                timelineSlider.value = this.currentTimeIndex;
-            }
+            item.querySelectorAll('.annotation-action').forEach(button => {
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    if (button.dataset.action === 'edit') this.openAnnotationEditor(event, event);
+                    else this.deleteEvent(event.id);
+                });
+            });
             
-            this.updateTimePosition(this.currentTimeIndex);
+            item.addEventListener('click', () => this.seekToTime(event.onset));
+            item.addEventListener('mouseenter', (e) => this.showEventTooltip(event, e));
+            item.addEventListener('mouseleave', () => this.hideEventTooltip());
+            fragment.appendChild(item);
+        });
+        
+        if (events.length > maxItems) {
+            const more = document.createElement('div');
+            more.className = 'annotation-empty';
+            more.textContent = `Showing the first ${maxItems} of ${events.length} events`;
+            fragment.appendChild(more);
+        }
+        
+        list.appendChild(fragment);
+    }
+
+    renderTimelineMarkers() {
+        const container = document.getElementById('timeline-annotations');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        
+        this.groupTimelineMarkers(this.data.events, event => event.onset, event => event.type, 10).forEach(({ items, left }) => {
+            const event = items[0];
+            const marker = document.createElement('div');
+            marker.className = `annotation-marker ${event.type}`;
+            marker.style.left = `${left}%`;
             
-            this.playAnimation = requestAnimationFrame(playLoop);
-        };
+            marker.addEventListener('click', () => this.seekToTime(event.onset));
+            marker.addEventListener('mouseenter', (e) => this.showEventTooltip(event, e, items.length));
+            marker.addEventListener('mouseleave', () => this.hideEventTooltip());
+            fragment.appendChild(marker);
+        });
         
-        playLoop();
+        container.appendChild(fragment);
+        this.renderStimulationMarkers();
     }
 
-    updateTimePosition(timeIndex) {
-        this.currentTimeIndex = timeIndex;
-        const timeInSeconds = timeIndex / 10; // 10 Hz sampling
+    // Items of one kind closer than a marker is wide share it, so a full night stays a few hundred nodes
+    groupTimelineMarkers(items, getTime, getKind, markerWidth) {
+        const container = document.getElementById('timeline-annotations');
+        const origin = this.data.time[0] || 0;
+        const duration = (this.data.time[this.data.time.length - 1] - origin) || 1;
+        const buckets = Math.max(1, Math.floor((container?.clientWidth || 1000) / markerWidth));
+        const groups = new Map();
         
-        const timeDisplay = document.getElementById('time-display');
-        if (timeDisplay) {
-            timeDisplay.textContent = this.formatTime(timeInSeconds);
-        }
+        [...items].sort((a, b) => getTime(a) - getTime(b)).forEach(item => {
+            const bucket = Math.floor(Math.min(1, (getTime(item) - origin) / duration) * buckets);
+            const key = `${getKind(item)}:${bucket}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
         
-        // Update visualizations
-        this.updateMainEEGPlot();
-        this.updateMiniEEGPlot();
+        return [...groups.values()].map(group => ({ items: group, left: Math.min(100, (getTime(group[0]) - origin) / duration * 100) }));
     }
 
-    async loadRealEEGData() {
-        const btn = document.getElementById('load-real-data-btn');
-        const originalHTML = btn ? btn.innerHTML : '';
+    updateEventsTimelinePlot() {
+        if (typeof Plotly === 'undefined' || !document.getElementById('events-timeline-plot')) return;
         
-        if (btn) {
-            btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading...';
-            btn.disabled = true;
-        }
+        const types = [...new Set(this.data.events.map(event => event.type))];
+        const traces = types.map(type => {
+            const events = this.data.events.filter(event => event.type === type);
+            return {
+                x: events.map(event => event.onset / 3600),
+                y: events.map(() => this.getEventTypeInfo(type).label),
+                type: 'scatter',
+                mode: 'markers',
+                name: this.getEventTypeInfo(type).label,
+                marker: { color: this.getEventColor(type), size: 8, symbol: 'line-ns-open', line: { width: 2 } },
+                customdata: events.map(event => [this.formatEventTime(event.onset), this.describeEvent(event)]),
+                hovertemplate: '%{customdata[0]} · %{customdata[1]}<extra></extra>'
+            };
+        });
+        
+        const layout = {
+            showlegend: false,
+            margin: { l: 110, r: 20, t: 10, b: 40 },
+            xaxis: { title: 'Time (hours)', range: [0, this.data.time[this.data.time.length - 1] / 3600] },
+            yaxis: { automargin: true },
+            plot_bgcolor: 'rgba(248, 250, 252, 0.9)',
+            paper_bgcolor: 'transparent'
+        };
         
         try {
-            console.log('Loading EEG data...');
-            
-            // Try to load CSV data
-            const response = await fetch('./eeg_data.csv');
-            const csvText = await response.text();
-            
-            console.log('CSV data loaded, length:', csvText.length);
-            
-            // Process the data (simplified)
-            const lines = csvText.split('\n');
-            console.log('CSV lines:', lines.length);
-            
-            if (btn) {
-                btn.innerHTML = '<i class="fas fa-check"></i> Data Loaded';
-            }
-            
-            this.showTooltip('EEG data loaded successfully!', 'success');
-            
+            Plotly.react('events-timeline-plot', traces, layout, { displayModeBar: false, responsive: true });
         } catch (error) {
-            console.error('Error loading data:', error);
-            if (btn) {
-                btn.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Error';
-            }
-            this.showTooltip('Error loading data', 'error');
+            console.error('Error updating events timeline:', error);
         }
-        
-        setTimeout(() => {
-            if (btn) {
-                btn.innerHTML = originalHTML;
-                btn.disabled = false;
-            }
-        }, 2000);
     }
 
-    detectSleepEvents() {
-        const btn = document.getElementById('detect-events-btn');
-        const originalHTML = btn ? btn.innerHTML : '';
+    getEventColor(type) {
+        const colors = {
+            'spindle': '#DDA0DD',
+            'k-complex': '#87CEEB',
+            'slow-oscillation': '#6495ED',
+            'arousal': '#FFA07A',
+            'rem-burst': '#FFB6C1',
+            'artifact': '#DC2626',
+            'note': '#F59E0B'
+        };
+        return colors[type] || '#888888';
+    }
+
+    showEventTooltip(event, mouseEvent, count = 1) {
+        const tooltip = document.getElementById('event-tooltip');
+        if (!tooltip) return;
         
-        if (btn) {
-            btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Detecting...';
-            btn.disabled = true;
-        }
+        const info = this.getEventTypeInfo(event.type);
+        const set = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
         
-        console.log('Detecting sleep events...');
+        set('tooltip-event-type', count > 1 ? `${event.label || info.label} (+${count - 1} nearby)` : event.label || info.label);
+        set('tooltip-event-time', this.formatEventTime(event.onset));
+        set('tooltip-description', info.description);
+        set('tooltip-duration', event.duration ? `${event.duration.toFixed(1)}s` : '--');
+        set('tooltip-frequency', event.peakFrequency ? `${event.peakFrequency.toFixed(1)} Hz` : '--');
+        set('tooltip-amplitude', event.amplitude ? `${Math.round(event.amplitude)} μV` : '--');
         
-        setTimeout(() => {
-            console.log('Sleep events detected');
-            
-            if (btn) {
-                btn.innerHTML = '<i class="fas fa-check"></i> Events Detected';
-            }
-            
-            this.showTooltip('Sleep events detected!', 'success');
-            
-            setTimeout(() => {
-                if (btn) {
-                    btn.innerHTML = originalHTML;
-                    btn.disabled = false;
-                }
-            }, 2000);
-        }, 1500);
+        tooltip.style.left = `${mouseEvent.pageX + 12}px`;
+        tooltip.style.top = `${mouseEvent.pageY + 12}px`;
+        tooltip.classList.add('show');
+    }
+
+    hideEventTooltip() {
+        const tooltip = document.getElementById('event-tooltip');
+        if (tooltip) tooltip.classList.remove('show');
     }
 
     switchTab(tabName) {
@@ -670,6 +8039,10 @@ class AdvancedEEGSleepMonitor {
                         this.initializeRegionPlots();
                     } else if (tabName === 'sleep-stages') {
                         this.initializeSleepStagePlots();
+                    } else if (tabName === 'library') {
+                        this.renderLibrary();
+                    } else if (tabName === 'reports') {
+                        this.updateStimulationReport();
                     }
                 }, 100);
             }
@@ -681,39 +8054,176 @@ class AdvancedEEGSleepMonitor {
 
     initializeRegionPlots() {
         console.log('Initializing region plots...');
+        this.updateRegionViews();
+    }
+
+    getChannelRegion(channel) {
+        const match = /^(Fp|[A-Z])/.exec(channel);
+        if (!match) return null;
         
-        const regions = ['frontal', 'temporal', 'parietal', 'occipital'];
+        return Object.keys(this.brainRegions).find(region => this.brainRegions[region].prefixes.includes(match[1])) || null;
+    }
+
+    // EEG channels per region, skipping electrodes named outside the 10-20 pattern (A1, EOG, ...)
+    getRegionChannels() {
+        const types = this.data.channelTypes;
+        const regions = {};
+        Object.keys(this.brainRegions).forEach(region => {
+            regions[region] = [];
+        });
         
-        regions.forEach(region => {
-            const plotElement = document.getElementById(`${region}-plot`);
-            if (plotElement && typeof Plotly !== 'undefined') {
-                this.createRegionPlot(region);
+        this.data.channelNames
+            .filter(name => (!types[name] || types[name] === 'EEG') && /^(Fp|[FTCPO])\d*z?$/.test(name))
+            .forEach(name => {
+                const region = this.getChannelRegion(name);
+                if (region) regions[region].push(name);
+            });
+        
+        return regions;
+    }
+
+    // Right homologue of a left electrode: odd numbers are left, the next even number is right
+    getHomologousPairs(channels) {
+        return channels
+            .map(channel => /^(\D+)(\d+)$/.exec(channel))
+            .filter(match => match && Number(match[2]) % 2 === 1)
+            .map(match => [match[0], `${match[1]}${Number(match[2]) + 1}`])
+            .filter(([, right]) => channels.includes(right));
+    }
+
+    // Band powers for each clean channel in the 30 s window the main plot shows
+    computeWindowBandPowers(channels) {
+        const windowSize = Math.min(Math.round(30 * this.samplingRate), this.data.time.length);
+        const start = Math.max(0, Math.min(this.currentTimeIndex - Math.floor(windowSize / 2), this.data.time.length - windowSize));
+        const end = start + windowSize;
+        const result = {};
+        
+        channels.forEach(channel => {
+            const mask = this.getArtifactMask(channel);
+            if (this.maskFraction(mask, start, end) > this.artifactDetection.epochRejectFraction) return;
+            
+            const psd = this.computeWelchPSD(this.data.channels[channel], start, end, this.samplingRate, undefined, mask);
+            if (psd) result[channel] = { psd, bands: this.computeBandPowers(psd).absolute };
+        });
+        
+        return { start, end, channels: result };
+    }
+
+    // Region summary: averaged trace, dominant rhythm and activity level over the clean channels
+    analyzeRegion(channels, window) {
+        const clean = channels.filter(channel => window.channels[channel]);
+        if (clean.length === 0) return null;
+        
+        const length = window.end - window.start;
+        const average = new Float32Array(length);
+        clean.forEach(channel => {
+            const samples = this.data.channels[channel];
+            for (let i = 0; i < length; i++) {
+                average[i] += samples[window.start + i] / clean.length;
             }
         });
+        
+        // Mean spectrum across the region's channels
+        const { frequencies } = window.channels[clean[0]].psd;
+        const power = frequencies.map((_, i) => clean.reduce((sum, channel) => sum + window.channels[channel].psd.power[i], 0) / clean.length);
+        
+        // Dominant rhythm: spectral peak after multiplying by f to take out the 1/f background
+        const maxFrequency = Math.min(30, this.samplingRate / 2 * 0.9);
+        let peak = -1;
+        frequencies.forEach((frequency, i) => {
+            if (frequency < 0.5 || frequency > maxFrequency) return;
+            if (peak < 0 || power[i] * frequency > power[peak] * frequencies[peak]) peak = i;
+        });
+        const peakFrequency = peak >= 0 ? frequencies[peak] : null;
+        const dominantBand = peakFrequency === null ? null
+            : Object.keys(this.frequencyBands).find(band => peakFrequency >= this.frequencyBands[band][0] && peakFrequency < this.frequencyBands[band][1]);
+        
+        const rms = Math.sqrt(this.integratePSD(frequencies, power, 0.5, maxFrequency));
+        const activity = this.activityLevels.find(([limit]) => rms < limit)[1];
+        
+        return { channels: clean, average, peakFrequency, dominantBand, rms, activity };
     }
 
-    createRegionPlot(region) {
-        console.log(`Creating plot for ${region} region`);
+    // ln(right) − ln(left) band power averaged over homologous pairs; positive means right > left
+    computeAsymmetry(pairs, window, band) {
+        const indices = pairs
+            .filter(([left, right]) => window.channels[left] && window.channels[right])
+            .map(([left, right]) => Math.log(window.channels[right].bands[band] + 1e-12) - Math.log(window.channels[left].bands[band] + 1e-12));
         
-        const time = [];
-        const data = [];
+        return indices.length ? indices.reduce((sum, value) => sum + value, 0) / indices.length : null;
+    }
+
+    updateRegionViews() {
+        if (!this.data || this.currentTab !== 'brain-regions') return;
         
-        for (let i = 0; i < 100; i++) {
-            time.push(i / 10);
-            data.push(Math.sin(i / 10) * 20 + (Math.random() - 0.5) * 10);
-        }
+        const regions = this.getRegionChannels();
+        const allChannels = Object.values(regions).flat();
+        const window = this.computeWindowBandPowers(allChannels);
+        const time = this.data.time.slice(window.start, window.end);
+        const asymmetry = {};
+        
+        Object.keys(this.brainRegions).forEach(region => {
+            const channels = regions[region];
+            const analysis = this.analyzeRegion(channels, window);
+            const pairs = this.getHomologousPairs(channels);
+            asymmetry[region] = { pairs, values: {} };
+            Object.keys(this.frequencyBands).forEach(band => {
+                asymmetry[region].values[band] = this.computeAsymmetry(pairs, window, band);
+            });
+            
+            const electrodes = document.getElementById(`${region}-electrodes`);
+            if (electrodes) {
+                electrodes.textContent = channels.length ? `Electrodes: ${channels.join(', ')}` : 'No electrodes in this recording';
+            }
+            
+            const dominant = document.getElementById(`${region}-dominant`);
+            if (dominant) {
+                dominant.textContent = analysis?.dominantBand
+                    ? `${analysis.dominantBand.charAt(0).toUpperCase()}${analysis.dominantBand.slice(1)} (${analysis.peakFrequency.toFixed(1)}Hz)`
+                    : '--';
+            }
+            
+            const activity = document.getElementById(`${region}-activity`);
+            if (activity) {
+                activity.textContent = analysis ? `${analysis.activity} (${analysis.rms.toFixed(0)} µV)` : '--';
+            }
+            
+            const alphaAsymmetry = document.getElementById(`${region}-asymmetry`);
+            if (alphaAsymmetry) {
+                const value = asymmetry[region].values.alpha;
+                if (value === null) alphaAsymmetry.textContent = '--';
+                else if (Math.abs(value) < 0.005) alphaAsymmetry.textContent = '0.00 (symmetric)';
+                else alphaAsymmetry.textContent = `${value > 0 ? '+' : ''}${value.toFixed(2)} (${value > 0 ? 'R > L' : 'L > R'})`;
+            }
+            
+            this.createRegionPlot(region, time, analysis);
+        });
+        
+        // Frontal alpha asymmetry is conventionally F4 against F3 alone
+        const frontalAlpha = this.computeAsymmetry([['F3', 'F4']], window, 'alpha');
+        
+        this.data.regionAsymmetry = { regions: asymmetry, frontalAlpha };
+        this.renderAsymmetryTable(asymmetry, frontalAlpha);
+    }
+
+    createRegionPlot(region, time, analysis) {
+        if (typeof Plotly === 'undefined' || !document.getElementById(`${region}-plot`)) return;
         
         const trace = {
             x: time,
-            y: data,
+            y: analysis ? analysis.average : [],
             type: 'scatter',
             mode: 'lines',
             name: `${region} EEG`,
             line: { color: this.getRegionColor(region), width: 2 }
         };
         
+        const title = analysis
+            ? `${this.brainRegions[region].label} Region (mean of ${analysis.channels.length})`
+            : `${this.brainRegions[region].label} Region (no clean channels)`;
+        
         const layout = {
-            title: `${region.charAt(0).toUpperCase() + region.slice(1)} Region`,
+            title,
             xaxis: { title: 'Time (s)' },
             yaxis: { title: 'Amplitude (μV)' },
             margin: { l: 40, r: 20, t: 40, b: 40 },
@@ -725,7 +8235,33 @@ class AdvancedEEGSleepMonitor {
             responsive: true
         };
         
-        Plotly.newPlot(`${region}-plot`, [trace], layout, config);
+        try {
+            Plotly.react(`${region}-plot`, [trace], layout, config);
+        } catch (error) {
+            console.error(`Error updating ${region} plot:`, error);
+        }
+    }
+
+    renderAsymmetryTable(asymmetry, frontalAlpha) {
+        const table = document.getElementById('asymmetry-table');
+        const faa = document.getElementById('frontal-alpha-asymmetry');
+        if (!table) return;
+        
+        const bands = Object.keys(this.frequencyBands);
+        const format = (value) => (value === null ? '--' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}`);
+        
+        if (faa) faa.textContent = format(frontalAlpha);
+        
+        table.innerHTML = `
+            <thead><tr><th>Region</th><th>Pairs</th>${bands.map(band => `<th>${band}</th>`).join('')}</tr></thead>
+            <tbody>${Object.keys(this.brainRegions).map(region => `
+                <tr>
+                    <td>${this.brainRegions[region].label}</td>
+                    <td>${asymmetry[region].pairs.map(([left, right]) => `${right}/${left}`).join(', ') || '--'}</td>
+                    ${bands.map(band => `<td class="${(asymmetry[region].values[band] ?? 0) >= 0 ? 'right-dominant' : 'left-dominant'}">${format(asymmetry[region].values[band])}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        `;
     }
 
     getRegionColor(region) {
@@ -741,7 +8277,7 @@ class AdvancedEEGSleepMonitor {
     initializeSleepStagePlots() {
         console.log('Initializing sleep stage plots...');
         
-        const stages = ['n1', 'n2', 'n3', 'rem'];
+        const stages = ['w', 'n1', 'n2', 'n3', 'rem'];
         
         stages.forEach(stage => {
             const plotElement = document.getElementById(`${stage}-example-plot`);
@@ -763,6 +8299,9 @@ class AdvancedEEGSleepMonitor {
             // Different patterns for different sleep stages
             let signal = 0;
             switch (stage) {
+                case 'w':
+                    signal = Math.sin(i * 2 * Math.PI / 10) * 12 + (Math.random() - 0.5) * 12;
+                    break;
                 case 'n1':
                     signal = Math.sin(i / 5) * 15 + (Math.random() - 0.5) * 5;
                     break;
@@ -807,6 +8346,7 @@ class AdvancedEEGSleepMonitor {
 
     getStageColor(stage) {
         const colors = {
+            'w': '#FFF8DC',
             'n1': '#E6F3FF',
             'n2': '#D4DDFF',
             'n3': '#C2E0FF',
@@ -815,33 +8355,6 @@ class AdvancedEEGSleepMonitor {
         return colors[stage] || '#888888';
     }
 
-    startRealTimeUpdates() {
-        setInterval(() => {
-            // Update session info
-            const sessionDuration = document.getElementById('session-duration');
-            if (sessionDuration) {
-                const hours = Math.floor(Math.random() * 8) + 1;
-                const minutes = Math.floor(Math.random() * 60);
-                sessionDuration.textContent = `${hours}h ${minutes}m`;
-            }
-            
-            // Update sleep score
-            const sleepScore = document.getElementById('sleep-score');
-            if (sleepScore) {
-                const score = 80 + Math.floor(Math.random() * 20);
-                sleepScore.textContent = score;
-            }
-            
-            // Update stage confidence
-            const stageConfidence = document.getElementById('stage-confidence');
-            if (stageConfidence) {
-                const confidence = 85 + Math.floor(Math.random() * 15);
-                stageConfidence.textContent = `${confidence}%`;
-            }
-            
-        }, 3000);
-    }
-
     updateUI() {
         // Initial UI updates
         this.updateUserGreeting();
@@ -852,11 +8365,16 @@ class AdvancedEEGSleepMonitor {
             timeDisplay.textContent = '00:00:00';
         }
         
-        // Set initial stage
-        const stageName = document.getElementById('current-stage-name');
-        const stageDesc = document.getElementById('current-stage-description');
-        if (stageName) stageName.textContent = 'REM Sleep';
-        if (stageDesc) stageDesc.textContent = 'Dreaming phase, rapid eye movement';
+        // Stage card stays empty until staging has run
+        this.updateStageDisplay();
+    }
+
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+        
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${secs}s`;
     }
 
     formatTime(seconds) {
@@ -867,6 +8385,26 @@ class AdvancedEEGSleepMonitor {
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
     }
 
+    // For the generated report, which is built as a string rather than through the DOM
+    escapeHTML(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    getFileSlug(name) {
+        return String(name).replace(/\.[^./]+$/, '').replace(/[^\w-]+/g, '_') || 'recording';
+    }
+
+    downloadFile(contents, fileName, type) {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     showTooltip(message, type = 'info') {
         console.log(`Tooltip: ${type} - ${message}`);
         
@@ -876,7 +8414,7 @@ class AdvancedEEGSleepMonitor {
             position: fixed;
             top: 20px;
             right: 20px;
-            background: ${type === 'success' ? '#059669' : type === 'error' ? '#dc2626' : '#6366f1'};
+            background: ${type === 'success' ? '#059669' : type === 'error' ? '#dc2626' : type === 'warning' ? '#d97706' : '#6366f1'};
             color: white;
             padding: 12px 20px;
             border-radius: 8px;
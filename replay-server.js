@@ -0,0 +1,200 @@
+// Replays a CSV recording as a live WebSocket EEG source, in real time and looping forever.
+//
+//     node replay-server.js [file.csv] [--port 8765] [--binary] [--frame 100] [--drop 0.05]
+//
+// --binary sends sample frames as binary messages instead of JSON, --frame sets the frame length
+// in milliseconds and --drop discards that fraction of frames to exercise gap handling.
+//
+// Protocol (what the dashboard's "Go Live" expects)
+//
+// After connecting, the client receives one JSON text message describing the stream:
+//
+//     { "type": "header", "channels": ["Fp1", ...], "samplingRate": 250, "startTime": "2023-10-26T07:50:00.000Z",
+//       "channelTypes": { "Fp1": "EEG" } }                                   // channelTypes is optional
+//
+// followed by sample frames. `seq` counts frames, `t0` is the time of the frame's first sample in
+// seconds since startTime, and samples are in µV, one array per channel in header order:
+//
+//     { "type": "samples", "seq": 42, "t0": 4.2, "data": [[...Fp1], [...Fp2], ...] }
+//
+// A binary frame carries the same fields, little-endian:
+//
+//     offset  0  4 bytes   ASCII "EEG1"
+//     offset  4  uint32    seq
+//     offset  8  float64   t0
+//     offset 16  uint16    channel count
+//     offset 18  uint16    samples per channel
+//     offset 20  float32   samples, all of channel 0, then channel 1, ...
+//
+// A header is resent on every connection. The client pads jumps in t0 with a gap, drops samples it
+// already has when t0 goes backwards, and starts a new buffer if the channels or rate change.
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import Papa from 'papaparse';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function parseArguments(argv) {
+    const options = { file: 'eeg_data.csv', port: 8765, binary: false, frame: 100, drop: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--binary') options.binary = true;
+        else if (arg === '--port') options.port = Number(argv[++i]);
+        else if (arg === '--frame') options.frame = Number(argv[++i]);
+        else if (arg === '--drop') options.drop = Number(argv[++i]);
+        else options.file = arg;
+    }
+    return options;
+}
+
+// First column is the timestamp (seconds or a date-time), every other column a channel
+function loadRecording(file) {
+    const { data } = Papa.parse(readFileSync(file, 'utf8'), { skipEmptyLines: true });
+    const [header, ...rows] = data;
+    const channels = header.slice(1).map(name => name.trim());
+    const parseTime = (value) => (isNaN(value) ? Date.parse(value.replace(' ', 'T')) / 1000 : Number(value));
+
+    const samples = channels.map(() => new Float32Array(rows.length));
+    rows.forEach((row, i) => {
+        channels.forEach((_, c) => {
+            samples[c][i] = parseFloat(row[c + 1]) || 0;
+        });
+    });
+
+    const first = parseTime(rows[0][0]);
+    const last = parseTime(rows[rows.length - 1][0]);
+    const samplingRate = Math.round((rows.length - 1) / (last - first));
+    if (!Number.isFinite(samplingRate) || samplingRate <= 0) {
+        throw new Error(`Could not infer the sampling rate from the timestamps in ${file}`);
+    }
+
+    const startTime = isNaN(rows[0][0]) ? new Date(first * 1000) : new Date();
+    return { channels, samples, samplingRate, startTime, length: rows.length };
+}
+
+// Server-to-client frames are never masked
+function encodeFrame(payload, opcode) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function encodeSamples(recording, seq, t0, start, count, binary) {
+    const { samples, length } = recording;
+    const slice = (channel) => Array.from({ length: count }, (_, i) => channel[(start + i) % length]);
+
+    if (!binary) {
+        const message = { type: 'samples', seq, t0, data: samples.map(channel => slice(channel).map(value => +value.toFixed(3))) };
+        return encodeFrame(Buffer.from(JSON.stringify(message)), 0x1);
+    }
+
+    const buffer = Buffer.alloc(20 + samples.length * count * 4);
+    buffer.write('EEG1', 0, 'ascii');
+    buffer.writeUInt32LE(seq, 4);
+    buffer.writeDoubleLE(t0, 8);
+    buffer.writeUInt16LE(samples.length, 16);
+    buffer.writeUInt16LE(count, 18);
+    let offset = 20;
+    samples.forEach(channel => {
+        slice(channel).forEach(value => {
+            buffer.writeFloatLE(value, offset);
+            offset += 4;
+        });
+    });
+    return encodeFrame(buffer, 0x2);
+}
+
+const options = parseArguments(process.argv.slice(2));
+const recording = loadRecording(options.file);
+const clients = new Set();
+
+// One stream clock for every client, like a real amplifier: reconnecting skips what was missed
+const clockStart = process.hrtime.bigint();
+let sent = 0;
+let seq = 0;
+
+setInterval(() => {
+    const elapsed = Number(process.hrtime.bigint() - clockStart) / 1e9;
+    const due = Math.floor(elapsed * recording.samplingRate);
+    if (due <= sent) return;
+
+    const count = Math.min(due - sent, 65535);
+    const t0 = sent / recording.samplingRate;
+    if (clients.size > 0 && Math.random() >= options.drop) {
+        const frame = encodeSamples(recording, seq, t0, sent, count, options.binary);
+        clients.forEach(socket => socket.write(frame));
+    }
+    sent += count;
+    seq++;
+}, options.frame);
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('This endpoint streams EEG over WebSocket\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    const header = {
+        type: 'header',
+        channels: recording.channels,
+        samplingRate: recording.samplingRate,
+        startTime: recording.startTime.toISOString()
+    };
+    socket.write(encodeFrame(Buffer.from(JSON.stringify(header)), 0x1));
+    clients.add(socket);
+    console.log(`Client connected from ${request.socket.remoteAddress} (${clients.size} connected)`);
+
+    // Clients only send control frames: answer pings and close handshakes, ignore the rest
+    socket.on('data', (chunk) => {
+        const opcode = chunk[0] & 0x0f;
+        if (opcode === 0x8) {
+            socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+        } else if (opcode === 0x9) {
+            const length = chunk[1] & 0x7f;
+            const mask = chunk.subarray(2, 6);
+            const payload = Buffer.from(chunk.subarray(6, 6 + length).map((byte, i) => byte ^ mask[i % 4]));
+            socket.write(encodeFrame(payload, 0xa));
+        }
+    });
+    const remove = () => {
+        if (clients.delete(socket)) console.log(`Client disconnected (${clients.size} connected)`);
+    };
+    socket.on('close', remove);
+    socket.on('error', remove);
+});
+
+server.listen(options.port, () => {
+    const seconds = (recording.length / recording.samplingRate).toFixed(1);
+    console.log(`Replaying ${options.file}: ${recording.channels.length} channels @ ${recording.samplingRate} Hz, ${seconds} s looped`);
+    console.log(`Streaming ${options.binary ? 'binary' : 'JSON'} frames on ws://localhost:${options.port}`);
+});